@@ -14,6 +14,13 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/user.js';
 import shipmentRoutes from './routes/shipment.js';
 import notificationRoutes from './routes/notification.js';
+import paymentRoutes from './routes/payment.js';
+import rateCardRoutes from './routes/rateCard.js';
+import exchangeRateRoutes from './routes/exchangeRate.js';
+import promoCodeRoutes from './routes/promoCode.js';
+import courierRoutes from './routes/courier.js';
+import recipientRoutes from './routes/recipient.js';
+import pickupPointRoutes from './routes/pickupPoint.js';
 import cleanupDrafts from './scripts/cleanupDrafts.js';
 
 // Load environment variables
@@ -77,7 +84,15 @@ app.use('/api/auth', authLimiter); // Auth routes get more lenient limit
 app.use(standardLimiter); // All other routes get standard limit
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment webhooks; signatures are computed over the exact bytes
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser middleware
@@ -102,6 +117,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/shipments', shipmentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/courier', courierRoutes);
+app.use('/api/recipient', recipientRoutes);
+app.use('/api/pickup-points', pickupPointRoutes);
 
 // API documentation route
 app.get('/', (req, res) => {
@@ -158,6 +180,14 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Operational errors (AppError) carry a message meant for clients
+  if (err.isOperational) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message
+    });
+  }
+
   // Handle other errors
   res.status(err.statusCode || 500).json({
     success: false,
@@ -175,7 +205,7 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-// Schedule draft cleanup cron job (every day at midnight)
+// Schedule draft expiry warnings and cleanup (every day at midnight)
 cron.schedule('0 0 * * *', () => {
   console.log('Running draft cleanup...');
   cleanupDrafts().catch(console.error);
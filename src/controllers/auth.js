@@ -1,6 +1,7 @@
 import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
 import User from '../models/User.js';
 import emailService from '../utils/email.js';
+import guestShipmentService from '../services/guestShipmentService.js';
 import { sanitizeData } from '../middleware/validate.js';
 
 /**
@@ -47,6 +48,11 @@ const sendTokenResponse = (user, statusCode, res) => {
 export const register = asyncHandler(async (req, res) => {
   const userData = sanitizeData(req.body);
 
+  // Check the email before creating so clients get a clear conflict
+  if (await User.exists({ email: String(userData.email).toLowerCase() })) {
+    throw new AppError('Email is already registered', 409);
+  }
+
   // Create user
   const user = await User.create(userData);
 
@@ -88,9 +94,11 @@ export const login = asyncHandler(async (req, res) => {
     throw new AppError('Please verify your email to login', 401);
   }
 
-  // Update last login
-  user.lastLogin = Date.now();
-  await user.save();
+  // Update last login without validating the rest of the document
+  await User.updateOne({ _id: user._id }, { lastLogin: Date.now() });
+
+  // Pick up shipments sent from this email as a guest
+  await guestShipmentService.claimShipments(user);
 
   sendTokenResponse(user, 200, res);
 });
@@ -119,6 +127,9 @@ export const verifyEmail = asyncHandler(async (req, res) => {
   user.verificationTokenExpires = undefined;
   await user.save();
 
+  // The email is now proven, so shipments sent from it as a guest belong to this account
+  await guestShipmentService.claimShipments(user);
+
   successResponse(res, 200, 'Email verification successful. You can now login.');
 });
 
@@ -0,0 +1,98 @@
+import { asyncHandler, successResponse } from '../utils/responseHandler.js';
+import courierService from '../services/courierService.js';
+import { sanitizeData } from '../middleware/validate.js';
+
+/**
+ * @desc    Get the courier's pickup and delivery tasks
+ * @route   GET /api/courier/tasks
+ * @access  Private/Courier
+ */
+export const getTasks = asyncHandler(async (req, res) => {
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+  const tasks = await courierService.getTasks(req.user, date);
+
+  successResponse(res, 200, 'Tasks retrieved successfully', tasks);
+});
+
+/**
+ * @desc    Record a pickup
+ * @route   POST /api/courier/shipments/:id/pickup
+ * @access  Private/Courier
+ */
+export const recordPickup = asyncHandler(async (req, res) => {
+  const { location, notes } = sanitizeData(req.body);
+
+  const shipment = await courierService.recordPickup(req.params.id, req.user, {
+    location,
+    notes
+  });
+
+  successResponse(res, 200, 'Pickup recorded successfully', { shipment });
+});
+
+/**
+ * @desc    Mark a shipment as out for delivery
+ * @route   POST /api/courier/shipments/:id/out-for-delivery
+ * @access  Private/Courier
+ */
+export const startDelivery = asyncHandler(async (req, res) => {
+  const { location, notes } = sanitizeData(req.body);
+
+  const shipment = await courierService.startDelivery(req.params.id, req.user, {
+    location,
+    notes
+  });
+
+  successResponse(res, 200, 'Shipment is out for delivery', { shipment });
+});
+
+/**
+ * @desc    Record a failed delivery attempt
+ * @route   POST /api/courier/shipments/:id/attempt
+ * @access  Private/Courier
+ */
+export const recordAttempt = asyncHandler(async (req, res) => {
+  const { reason, notes, location } = sanitizeData(req.body);
+
+  const shipment = await courierService.recordAttempt(req.params.id, req.user, {
+    reason,
+    notes,
+    location
+  });
+
+  successResponse(res, 200, 'Delivery attempt recorded', {
+    shipment,
+    attempts: shipment.deliveryAttempts.length
+  });
+});
+
+/**
+ * @desc    Record a delivery with proof of delivery
+ * @route   POST /api/courier/shipments/:id/deliver
+ * @access  Private/Courier
+ */
+export const recordDelivery = asyncHandler(async (req, res) => {
+  const {
+    receiverName,
+    latitude,
+    longitude,
+    accuracy,
+    packages,
+    location,
+    notes
+  } = sanitizeData(req.body);
+
+  const shipment = await courierService.recordDelivery(req.params.id, req.user, {
+    receiverName,
+    files: req.files,
+    geolocation: latitude !== undefined ? { latitude, longitude, accuracy } : undefined,
+    packages,
+    location,
+    notes
+  });
+
+  successResponse(res, 200, 'Delivery recorded successfully', {
+    shipment,
+    packageSummary: shipment.getPackageSummary()
+  });
+});
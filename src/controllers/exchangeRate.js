@@ -0,0 +1,47 @@
+import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import currencyService from '../services/currencyService.js';
+
+/**
+ * @desc    Get exchange rates
+ * @route   GET /api/exchange-rates
+ * @access  Public
+ */
+export const getExchangeRates = asyncHandler(async (req, res) => {
+  const rates = await currencyService.getRates();
+
+  successResponse(res, 200, 'Exchange rates retrieved successfully', rates);
+});
+
+/**
+ * @desc    Create or update exchange rate
+ * @route   PUT /api/exchange-rates/:currency
+ * @access  Private/Admin
+ */
+export const setExchangeRate = asyncHandler(async (req, res) => {
+  const currency = req.params.currency.toUpperCase();
+  const rate = parseFloat(req.body.rate);
+
+  const exchangeRate = await currencyService.setRate(currency, rate, req.user.id);
+
+  successResponse(res, 200, 'Exchange rate updated successfully', { exchangeRate });
+});
+
+/**
+ * @desc    Delete exchange rate
+ * @route   DELETE /api/exchange-rates/:currency
+ * @access  Private/Admin
+ */
+export const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const exchangeRate = await ExchangeRate.findOne({
+    currency: req.params.currency.toUpperCase()
+  });
+
+  if (!exchangeRate) {
+    throw new AppError('Exchange rate not found', 404);
+  }
+
+  await exchangeRate.deleteOne();
+
+  successResponse(res, 200, 'Exchange rate deleted successfully');
+});
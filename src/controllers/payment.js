@@ -1,7 +1,12 @@
 import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
 import paymentService from '../services/paymentService.js';
+import storageService from '../services/storageService.js';
+import invoiceService from '../services/invoiceService.js';
 import Shipment from '../models/Shipment.js';
+import ShipmentBatch from '../models/ShipmentBatch.js';
+import Payment from '../models/Payment.js';
 import { sanitizeData } from '../middleware/validate.js';
+import { getBaseCurrency, roundAmount } from '../utils/currency.js';
 
 /**
  * @desc    Initialize bank transfer payment
@@ -22,14 +27,15 @@ export const initializeBankTransfer = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to access this shipment', 403);
   }
 
-  // Check if payment already exists
-  if (shipment.payment && shipment.payment.status !== 'pending') {
-    throw new AppError('Payment already initialized', 400);
+  // Batches are paid for with a single card payment
+  if (shipment.batchId) {
+    throw new AppError('Shipments in a batch are paid for by card as one payment', 400);
   }
 
   const updatedShipment = await paymentService.initializeBankTransfer(shipment, {
     accountName,
-    bankName
+    bankName,
+    receipt: req.file
   });
 
   successResponse(res, 200, 'Bank transfer payment initialized', {
@@ -37,6 +43,80 @@ export const initializeBankTransfer = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Initialize card payment for a shipment or a batch of shipments
+ * @route   POST /api/payments/card/initialize
+ * @access  Private
+ */
+export const initializeCardPayment = asyncHandler(async (req, res) => {
+  const { shipmentId, batchId, callbackUrl } = sanitizeData(req.body);
+
+  const payable = batchId ?
+    await ShipmentBatch.findById(batchId) :
+    await Shipment.findById(shipmentId);
+  if (!payable) {
+    throw new AppError(batchId ? 'Batch not found' : 'Shipment not found', 404);
+  }
+
+  // Check ownership
+  if (payable.userId && payable.userId.toString() !== req.user.id) {
+    throw new AppError(`Not authorized to access this ${batchId ? 'batch' : 'shipment'}`, 403);
+  }
+
+  // Batch shipments are paid for together
+  if (payable.batchId) {
+    throw new AppError('This shipment is part of a batch, pay for the batch instead', 400);
+  }
+
+  const checkout = await paymentService.initializeCardPayment(payable, {
+    email: payable.sender?.email || req.user.email,
+    callbackUrl
+  });
+
+  successResponse(res, 200, 'Card payment initialized', { checkout });
+});
+
+/**
+ * @desc    Verify card payment after checkout
+ * @route   GET /api/payments/card/verify/:reference
+ * @access  Private
+ */
+export const verifyCardPayment = asyncHandler(async (req, res) => {
+  const existing = await Payment.findOne({ reference: req.params.reference });
+  if (!existing) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  // Check ownership
+  if (existing.userId && existing.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to access this payment', 403);
+  }
+
+  const payment = await paymentService.verifyCardPayment(req.params.reference);
+  const shipment = await Shipment.findById(payment.shipmentId).select('status');
+
+  successResponse(res, 200, 'Card payment verified', {
+    payment,
+    shipmentStatus: shipment?.status
+  });
+});
+
+/**
+ * @desc    Receive payment provider webhook
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public (signed by provider)
+ */
+export const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const result = await paymentService.handleWebhook(req.params.provider, {
+    rawBody: req.rawBody,
+    headers: req.headers,
+    body: req.body
+  });
+
+  // Always acknowledge verified events so the provider stops retrying
+  successResponse(res, 200, 'Webhook received', result);
+});
+
 /**
  * @desc    Verify bank transfer payment
  * @route   POST /api/payments/bank-transfer/verify/:shipmentId
@@ -66,19 +146,22 @@ export const verifyBankTransfer = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const processRefund = asyncHandler(async (req, res) => {
-  const { reason, amount } = sanitizeData(req.body);
+  const { reason, amount, cancelShipment } = sanitizeData(req.body);
 
-  const updatedShipment = await paymentService.processRefund(
+  const { shipment, payment, refund } = await paymentService.processRefund(
     req.params.shipmentId,
     {
       reason,
       amount,
+      cancelShipment,
       adminId: req.user.id
     }
   );
 
   successResponse(res, 200, 'Refund processed successfully', {
-    shipment: updatedShipment
+    shipment,
+    payment,
+    refund
   });
 });
 
@@ -105,6 +188,80 @@ export const getPaymentStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Download invoice or credit note PDF
+ * @route   GET /api/payments/:shipmentId/invoice
+ * @access  Private (owner or admin)
+ */
+export const getInvoice = asyncHandler(async (req, res) => {
+  const shipment = await Shipment.findById(req.params.shipmentId);
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404);
+  }
+
+  // Check ownership
+  if (req.user.role !== 'admin' && shipment.userId?.toString() !== req.user.id) {
+    throw new AppError('Not authorized to access this shipment', 403);
+  }
+
+  const payment = await paymentService.getCurrentPayment(shipment);
+  const invoice = await invoiceService.findForShipment(shipment, payment, req.query.number);
+  const pdf = await invoiceService.renderPdf(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+  res.send(pdf);
+});
+
+/**
+ * @desc    List invoices and credit notes for a shipment
+ * @route   GET /api/payments/:shipmentId/invoices
+ * @access  Private (owner or admin)
+ */
+export const getInvoices = asyncHandler(async (req, res) => {
+  const shipment = await Shipment.findById(req.params.shipmentId);
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404);
+  }
+
+  // Check ownership
+  if (req.user.role !== 'admin' && shipment.userId?.toString() !== req.user.id) {
+    throw new AppError('Not authorized to access this shipment', 403);
+  }
+
+  const invoices = await invoiceService.listForShipment(shipment._id, shipment.batchId);
+
+  successResponse(res, 200, 'Invoices retrieved', { invoices });
+});
+
+/**
+ * @desc    Download bank transfer receipt
+ * @route   GET /api/payments/:paymentId/receipt
+ * @access  Private (owner or admin)
+ */
+export const downloadReceipt = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.paymentId);
+  if (!payment || !payment.receipt?.key) {
+    throw new AppError('Receipt not found', 404);
+  }
+
+  // Check ownership
+  if (req.user.role !== 'admin' && payment.userId?.toString() !== req.user.id) {
+    throw new AppError('Not authorized to access this receipt', 403);
+  }
+
+  const stream = await storageService.getFileStream(payment.receipt);
+  const filename = (payment.receipt.originalName || 'receipt').replace(/[^\w.-]/g, '_');
+
+  res.setHeader('Content-Type', payment.receipt.mimeType);
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  stream.on('error', (error) => {
+    console.error('Error streaming receipt:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
 /**
  * @desc    Get pending bank transfers
  * @route   GET /api/payments/bank-transfer/pending
@@ -114,22 +271,25 @@ export const getPendingBankTransfers = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 20;
 
-  const pendingPayments = await Shipment.find({
-    'payment.method': 'bank_transfer',
-    'payment.status': 'awaiting_verification'
-  })
+  const query = {
+    method: 'bank_transfer',
+    status: 'awaiting_verification'
+  };
+
+  const pendingPayments = await Payment.find(query)
     .populate('userId', 'firstName lastName email')
-    .sort({ 'payment.createdAt': -1 })
+    .populate('shipmentId', 'trackingNumber type status sender recipient cost')
+    .sort({ createdAt: -1 })
     .skip((page - 1) * limit)
     .limit(limit);
 
-  const total = await Shipment.countDocuments({
-    'payment.method': 'bank_transfer',
-    'payment.status': 'awaiting_verification'
-  });
+  const total = await Payment.countDocuments(query);
 
   successResponse(res, 200, 'Pending bank transfers retrieved', {
-    payments: pendingPayments,
+    payments: pendingPayments.map(payment => ({
+      ...payment.toJSON(),
+      receiptUrl: payment.receipt?.key ? `/api/payments/${payment._id}/receipt` : null
+    })),
     pagination: {
       page,
       limit,
@@ -149,21 +309,41 @@ export const getPaymentHistory = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 20;
   const status = req.query.status;
 
-  const query = { userId: req.user.id };
+  const query = { userId: req.user._id };
   if (status) {
-    query['payment.status'] = status;
+    query.status = status;
   }
 
-  const payments = await Shipment.find(query)
-    .select('trackingNumber payment cost createdAt')
+  const payments = await Payment.find(query)
+    .select('-bankDetails -history')
+    .populate('shipmentId', 'trackingNumber status')
     .sort({ createdAt: -1 })
     .skip((page - 1) * limit)
     .limit(limit);
 
-  const total = await Shipment.countDocuments(query);
+  const total = await Payment.countDocuments(query);
+
+  // Totals per currency; amounts in different currencies are never added together
+  const totals = await Payment.aggregate([
+    {
+      $match: query
+    },
+    {
+      $group: {
+        _id: '$currency',
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$amount' },
+        refundedAmount: { $sum: '$refundedAmount' }
+      }
+    },
+    {
+      $project: { _id: 0, currency: '$_id', count: 1, totalAmount: 1, refundedAmount: 1 }
+    }
+  ]);
 
   successResponse(res, 200, 'Payment history retrieved', {
     payments,
+    totals,
     pagination: {
       page,
       limit,
@@ -181,35 +361,51 @@ export const getPaymentHistory = asyncHandler(async (req, res) => {
 export const getPaymentStats = asyncHandler(async (req, res) => {
   const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(0);
   const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+  const baseCurrency = getBaseCurrency();
 
-  const stats = await Shipment.aggregate([
+  const stats = await Payment.aggregate([
     {
       $match: {
-        createdAt: { $gte: startDate, $lte: endDate },
-        'payment.status': { $exists: true }
+        createdAt: { $gte: startDate, $lte: endDate }
       }
     },
     {
       $group: {
-        _id: '$payment.status',
+        _id: {
+          status: '$status',
+          currency: '$currency'
+        },
         count: { $sum: 1 },
-        totalAmount: { $sum: '$cost.total' }
+        totalAmount: { $sum: '$amount' },
+        totalAmountBase: {
+          $sum: { $divide: ['$amount', { $ifNull: ['$exchangeRate', 1] }] }
+        }
       }
+    },
+    {
+      $sort: { '_id.status': 1, '_id.currency': 1 }
     }
   ]);
 
-  const totalPayments = await Shipment.countDocuments({
-    createdAt: { $gte: startDate, $lte: endDate },
-    'payment.status': { $exists: true }
+  const totalPayments = await Payment.countDocuments({
+    createdAt: { $gte: startDate, $lte: endDate }
   });
 
-  const totalAmount = stats.reduce((acc, curr) => acc + curr.totalAmount, 0);
+  // Amounts in different currencies are only summed after conversion to the base currency
+  const totalAmount = roundAmount(stats.reduce((acc, curr) => acc + curr.totalAmountBase, 0));
+  const byCurrency = stats.reduce((acc, curr) => {
+    const currency = curr._id.currency;
+    acc[currency] = roundAmount((acc[currency] || 0) + curr.totalAmount);
+    return acc;
+  }, {});
 
   successResponse(res, 200, 'Payment statistics retrieved', {
     stats,
     summary: {
       totalPayments,
-      totalAmount
+      totalAmount,
+      currency: baseCurrency,
+      byCurrency
     },
     dateRange: {
       startDate,
@@ -0,0 +1,71 @@
+import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
+import PickupPoint from '../models/PickupPoint.js';
+import { sanitizeData } from '../middleware/validate.js';
+
+/**
+ * @desc    Get pickup points
+ * @route   GET /api/pickup-points
+ * @access  Public (admins also see disabled points)
+ */
+export const getPickupPoints = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.country) {
+    query['address.country'] = req.query.country.toUpperCase();
+  }
+  if (req.query.city) {
+    query['address.city'] = new RegExp(`^${req.query.city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  }
+  if (req.user?.role !== 'admin') {
+    query.isActive = true;
+  }
+
+  const pickupPoints = await PickupPoint.find(query).sort({ 'address.city': 1, name: 1 });
+
+  successResponse(res, 200, 'Pickup points retrieved successfully', { pickupPoints });
+});
+
+/**
+ * @desc    Create pickup point
+ * @route   POST /api/pickup-points
+ * @access  Private/Admin
+ */
+export const createPickupPoint = asyncHandler(async (req, res) => {
+  const pickupPointData = sanitizeData(req.body);
+
+  const pickupPoint = await PickupPoint.create({
+    ...pickupPointData,
+    createdBy: req.user.id
+  });
+
+  successResponse(res, 201, 'Pickup point created successfully', { pickupPoint });
+});
+
+/**
+ * @desc    Update pickup point
+ * @route   PUT /api/pickup-points/:id
+ * @access  Private/Admin
+ */
+export const updatePickupPoint = asyncHandler(async (req, res) => {
+  const { address, ...updateData } = sanitizeData(req.body);
+  delete updateData.createdBy;
+
+  // Update address fields individually so a partial address keeps the rest
+  Object.entries(address || {}).forEach(([key, value]) => {
+    updateData[`address.${key}`] = value;
+  });
+
+  const pickupPoint = await PickupPoint.findByIdAndUpdate(
+    req.params.id,
+    updateData,
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!pickupPoint) {
+    throw new AppError('Pickup point not found', 404);
+  }
+
+  successResponse(res, 200, 'Pickup point updated successfully', { pickupPoint });
+});
@@ -0,0 +1,93 @@
+import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
+import PromoCode from '../models/PromoCode.js';
+import promoService from '../services/promoService.js';
+import { sanitizeData } from '../middleware/validate.js';
+
+/**
+ * @desc    Get promo codes
+ * @route   GET /api/promo-codes
+ * @access  Private/Admin
+ */
+export const getPromoCodes = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const query = {};
+  if (req.query.active !== undefined) {
+    query.isActive = req.query.active === 'true';
+  }
+
+  const promoCodes = await PromoCode.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await PromoCode.countDocuments(query);
+
+  successResponse(res, 200, 'Promo codes retrieved successfully', {
+    promoCodes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * @desc    Create promo code
+ * @route   POST /api/promo-codes
+ * @access  Private/Admin
+ */
+export const createPromoCode = asyncHandler(async (req, res) => {
+  const promoData = sanitizeData(req.body);
+
+  // Usage is tracked by the server, never set by the client
+  delete promoData.usageCount;
+
+  const promoCode = await PromoCode.create({
+    ...promoData,
+    createdBy: req.user.id
+  });
+
+  successResponse(res, 201, 'Promo code created successfully', { promoCode });
+});
+
+/**
+ * @desc    Disable promo code
+ * @route   PUT /api/promo-codes/:id/disable
+ * @access  Private/Admin
+ */
+export const disablePromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  if (!promoCode.isActive) {
+    throw new AppError('Promo code is already disabled', 400);
+  }
+
+  promoCode.isActive = false;
+  promoCode.disabledAt = new Date();
+  promoCode.disabledBy = req.user.id;
+  await promoCode.save();
+
+  successResponse(res, 200, 'Promo code disabled successfully', { promoCode });
+});
+
+/**
+ * @desc    Get promo code redemption report
+ * @route   GET /api/promo-codes/:id/redemptions
+ * @access  Private/Admin
+ */
+export const getPromoCodeRedemptions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const report = await promoService.getRedemptionReport(req.params.id, { page, limit });
+
+  successResponse(res, 200, 'Promo code redemptions retrieved successfully', report);
+});
@@ -0,0 +1,106 @@
+import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
+import RateCard from '../models/RateCard.js';
+import { sanitizeData } from '../middleware/validate.js';
+
+/**
+ * @desc    Get rate cards
+ * @route   GET /api/rate-cards
+ * @access  Private/Admin
+ */
+export const getRateCards = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const query = {};
+  if (req.query.shipmentType) {
+    query.shipmentType = req.query.shipmentType;
+  }
+  if (req.query.active !== undefined) {
+    query.isActive = req.query.active === 'true';
+  }
+
+  const rateCards = await RateCard.find(query)
+    .sort({ shipmentType: 1, priority: -1, effectiveFrom: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await RateCard.countDocuments(query);
+
+  successResponse(res, 200, 'Rate cards retrieved successfully', {
+    rateCards,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * @desc    Get rate card by ID
+ * @route   GET /api/rate-cards/:id
+ * @access  Private/Admin
+ */
+export const getRateCard = asyncHandler(async (req, res) => {
+  const rateCard = await RateCard.findById(req.params.id);
+
+  if (!rateCard) {
+    throw new AppError('Rate card not found', 404);
+  }
+
+  successResponse(res, 200, 'Rate card retrieved successfully', { rateCard });
+});
+
+/**
+ * @desc    Create rate card
+ * @route   POST /api/rate-cards
+ * @access  Private/Admin
+ */
+export const createRateCard = asyncHandler(async (req, res) => {
+  const rateCardData = sanitizeData(req.body);
+
+  const rateCard = await RateCard.create({
+    ...rateCardData,
+    createdBy: req.user.id
+  });
+
+  successResponse(res, 201, 'Rate card created successfully', { rateCard });
+});
+
+/**
+ * @desc    Update rate card
+ * @route   PUT /api/rate-cards/:id
+ * @access  Private/Admin
+ */
+export const updateRateCard = asyncHandler(async (req, res) => {
+  const rateCardData = sanitizeData(req.body);
+  const rateCard = await RateCard.findById(req.params.id);
+
+  if (!rateCard) {
+    throw new AppError('Rate card not found', 404);
+  }
+
+  delete rateCardData.createdBy;
+  Object.assign(rateCard, rateCardData);
+  await rateCard.save();
+
+  successResponse(res, 200, 'Rate card updated successfully', { rateCard });
+});
+
+/**
+ * @desc    Delete rate card
+ * @route   DELETE /api/rate-cards/:id
+ * @access  Private/Admin
+ */
+export const deleteRateCard = asyncHandler(async (req, res) => {
+  const rateCard = await RateCard.findById(req.params.id);
+
+  if (!rateCard) {
+    throw new AppError('Rate card not found', 404);
+  }
+
+  await rateCard.deleteOne();
+
+  successResponse(res, 200, 'Rate card deleted successfully');
+});
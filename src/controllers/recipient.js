@@ -0,0 +1,128 @@
+import { asyncHandler, successResponse } from '../utils/responseHandler.js';
+import redeliveryService, {
+  RESCHEDULABLE_STATUSES,
+  getMaxDeliveryAttempts
+} from '../services/redeliveryService.js';
+import recipientService, {
+  DELIVERY_CHANGE_STATUSES,
+  INSTRUCTION_STATUSES
+} from '../services/recipientService.js';
+import { sanitizeData } from '../middleware/validate.js';
+import { DELIVERY_ATTEMPT_REASONS } from '../utils/shipmentStatus.js';
+
+/**
+ * Reduce a shipment to what the recipient may see
+ * @param {Object} shipment - Shipment
+ * @returns {Object} Recipient view
+ */
+const toRecipientView = shipment => ({
+  trackingNumber: shipment.trackingNumber,
+  status: shipment.status,
+  sender: { name: shipment.sender?.name },
+  recipient: {
+    name: shipment.recipient?.name,
+    address: shipment.recipient?.address
+  },
+  packageCount: shipment.packages.length,
+  delivery: {
+    estimatedDate: shipment.delivery?.estimatedDate,
+    actualDate: shipment.delivery?.actualDate,
+    timeWindow: shipment.delivery?.options?.timeWindow,
+    specialInstructions: shipment.delivery?.options?.specialInstructions,
+    pickupPoint: shipment.delivery?.pickupPoint?.pickupPointId ?
+      shipment.delivery.pickupPoint :
+      undefined,
+    redelivery: shipment.delivery?.redelivery
+  },
+  timeline: shipment.timeline.map(entry => ({
+    status: entry.status,
+    description: entry.description,
+    location: entry.location,
+    timestamp: entry.timestamp
+  })),
+  attempts: shipment.deliveryAttempts.map(attempt => ({
+    reason: DELIVERY_ATTEMPT_REASONS[attempt.reason],
+    attemptedAt: attempt.attemptedAt
+  })),
+  maxAttempts: getMaxDeliveryAttempts(),
+  actions: {
+    changeTimeWindow: DELIVERY_CHANGE_STATUSES.includes(shipment.status),
+    changeInstructions: INSTRUCTION_STATUSES.includes(shipment.status),
+    redirect: DELIVERY_CHANGE_STATUSES.includes(shipment.status),
+    reschedule: RESCHEDULABLE_STATUSES.includes(shipment.status)
+  }
+});
+
+/**
+ * @desc    View a shipment addressed to the recipient
+ * @route   GET /api/recipient/shipments/:id
+ * @access  Recipient link token
+ */
+export const getRecipientShipment = asyncHandler(async (req, res) => {
+  successResponse(res, 200, 'Shipment retrieved successfully', {
+    shipment: toRecipientView(req.shipment)
+  });
+});
+
+/**
+ * @desc    Change the delivery time window
+ * @route   PUT /api/recipient/shipments/:id/time-window
+ * @access  Recipient link token
+ */
+export const updateTimeWindow = asyncHandler(async (req, res) => {
+  const { start, end } = sanitizeData(req.body);
+
+  const shipment = await recipientService.updateTimeWindow(req.shipment, { start, end });
+
+  successResponse(res, 200, 'Delivery time window updated successfully', {
+    shipment: toRecipientView(shipment)
+  });
+});
+
+/**
+ * @desc    Change the delivery instructions
+ * @route   PUT /api/recipient/shipments/:id/instructions
+ * @access  Recipient link token
+ */
+export const updateInstructions = asyncHandler(async (req, res) => {
+  const { specialInstructions } = sanitizeData(req.body);
+
+  const shipment = await recipientService.updateInstructions(req.shipment, specialInstructions);
+
+  successResponse(res, 200, 'Delivery instructions updated successfully', {
+    shipment: toRecipientView(shipment)
+  });
+});
+
+/**
+ * @desc    Redirect the delivery to a pickup point
+ * @route   POST /api/recipient/shipments/:id/redirect
+ * @access  Recipient link token
+ */
+export const redirectDelivery = asyncHandler(async (req, res) => {
+  const { pickupPointId } = sanitizeData(req.body);
+
+  const shipment = await recipientService.redirectToPickupPoint(req.shipment, pickupPointId);
+
+  successResponse(res, 200, 'Delivery redirected successfully', {
+    shipment: toRecipientView(shipment)
+  });
+});
+
+/**
+ * @desc    Reschedule a failed delivery
+ * @route   POST /api/recipient/shipments/:id/reschedule
+ * @access  Recipient link token
+ */
+export const rescheduleDelivery = asyncHandler(async (req, res) => {
+  const { date, timeWindow } = sanitizeData(req.body);
+
+  const shipment = await redeliveryService.reschedule(req.shipment, {
+    date: new Date(date),
+    timeWindow
+  });
+
+  successResponse(res, 200, 'Delivery rescheduled successfully', {
+    shipment: toRecipientView(shipment)
+  });
+});
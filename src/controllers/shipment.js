@@ -1,9 +1,89 @@
-import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
+import { asyncHandler, successResponse, errorResponse, AppError } from '../utils/responseHandler.js';
 import Shipment from '../models/Shipment.js';
+import ShipmentBatch from '../models/ShipmentBatch.js';
 import User from '../models/User.js';
 import emailService from '../utils/email.js';
 import shipmentService from '../services/shipmentService.js';
+import currencyService from '../services/currencyService.js';
+import quoteService from '../services/quoteService.js';
+import promoService from '../services/promoService.js';
+import courierService from '../services/courierService.js';
+import redeliveryService from '../services/redeliveryService.js';
+import recipientService from '../services/recipientService.js';
+import guestShipmentService from '../services/guestShipmentService.js';
+import draftService from '../services/draftService.js';
+import addressBookService from '../services/addressBookService.js';
+import shipmentWizardService from '../services/shipmentWizardService.js';
+import trackingService, { TRACKING_ACCESS } from '../services/trackingService.js';
+import shipmentImportService from '../services/shipmentImportService.js';
+import shipmentExportService from '../services/shipmentExportService.js';
+import deliveryProofService, {
+  PROOF_OF_DELIVERY_PURPOSE
+} from '../services/deliveryProofService.js';
 import { sanitizeData } from '../middleware/validate.js';
+import { canAccessShipment } from '../middleware/shipmentAccess.js';
+import { getBaseCurrency } from '../utils/currency.js';
+import { renderShippingLabels } from '../utils/labelPdf.js';
+import { parsePieceTrackingNumber } from '../utils/trackingNumber.js';
+import { verifyShipmentToken } from '../utils/shipmentToken.js';
+
+// Shipments that are still moving
+const ACTIVE_STATUSES = [
+  'pending',
+  'awaiting_pickup',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'partially_delivered',
+  'delivery_attempted',
+  'held_at_facility'
+];
+
+// Aggregation expression converting a shipment total back to the base currency
+const BASE_AMOUNT_EXPRESSION = {
+  $divide: ['$cost.total', { $ifNull: ['$cost.exchangeRate', 1] }]
+};
+
+/**
+ * Build the response data for a shipment that may belong to a guest
+ * Guest shipments come with the token needed to view and edit them later.
+ * @param {Object} shipment - Shipment
+ * @returns {Object} Response data
+ */
+const withGuestToken = (shipment) => (shipment.userId ?
+  { shipment } :
+  { shipment, guestToken: guestShipmentService.createToken(shipment) });
+
+/**
+ * Record a new shipment on its timeline and send the confirmation emails
+ * @param {Object} shipment - Shipment that was just created
+ * @param {Object} [user] - Authenticated user who created it
+ */
+const announceShipment = async (shipment, user) => {
+  // Add initial timeline entry
+  const statusUpdate = shipmentService.formatStatusUpdate('pending');
+  await shipment.addTimelineEntry(
+    statusUpdate.status,
+    null,
+    statusUpdate.description
+  );
+
+  // Send confirmation email
+  // For guest shipments, use the sender's email
+  // For authenticated users, use their account email
+  if (user) {
+    await emailService.sendShipmentConfirmation(shipment, user);
+  } else {
+    await emailService.sendGuestShipmentConfirmation(
+      shipment,
+      shipment.sender.email,
+      guestShipmentService.getShipmentUrl(shipment)
+    );
+  }
+
+  // Let the recipient follow and manage the delivery without an account
+  await recipientService.sendLink(shipment);
+};
 
 /**
  * @desc    Save shipment draft
@@ -12,65 +92,178 @@ import { sanitizeData } from '../middleware/validate.js';
  */
 export const saveShipmentDraft = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const { step, formData } = sanitizedData;
+  const { step } = sanitizedData;
+  const formData = shipmentWizardService.pickStepFields(sanitizedData.formData, Number(step));
+  const draftId = sanitizedData.formData._id;
 
   let shipment;
-  if (formData._id) {
-    shipment = await Shipment.findById(formData._id);
-    // Check ownership only if the shipment has a userId and current user is different
-    if (shipment && shipment.userId && (!req.user || shipment.userId.toString() !== req.user.id)) {
+  if (draftId) {
+    shipment = await Shipment.findOne({ _id: draftId, isDraft: true });
+    if (!shipment) {
+      throw new AppError('Draft not found', 404);
+    }
+    if (!canAccessShipment(req, shipment)) {
       throw new AppError('Not authorized to modify this shipment', 403);
     }
   }
 
+  // Every step before the one being saved must be complete
+  const incomplete = await shipmentWizardService.findIncompleteStep(
+    { ...(shipment ? shipmentWizardService.toStepData(shipment) : {}), ...formData },
+    Number(step) - 1
+  );
+  if (incomplete) {
+    return errorResponse(
+      res,
+      400,
+      `Step ${incomplete.step} (${incomplete.title}) must be completed first`,
+      incomplete
+    );
+  }
+
   const shipmentData = {
     ...formData,
     isDraft: true,
     lastSavedStep: step
   };
 
-  // Only add userId if user is authenticated
-  if (req.user) {
+  // Only add userId if user is authenticated and the draft has no owner yet
+  if (req.user && !shipment?.userId) {
     shipmentData.userId = req.user.id;
   }
 
   if (shipment) {
     Object.assign(shipment, shipmentData);
+    await shipmentService.recalculate(shipment, req.user);
     await shipment.save();
   } else {
     shipment = await Shipment.create(shipmentData);
   }
 
-  successResponse(res, 200, 'Draft saved successfully', { shipment });
+  successResponse(res, 200, 'Draft saved successfully', withGuestToken(shipment));
 });
 
 /**
  * @desc    Get shipment draft
  * @route   GET /api/shipments/draft/:id
- * @access  Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const getShipmentDraft = asyncHandler(async (req, res) => {
-  const shipment = await Shipment.findOne({
-    _id: req.params.id,
-    isDraft: true
+  successResponse(res, 200, 'Draft retrieved successfully', {
+    shipment: draftService.toSummary(req.shipment)
   });
+});
 
-  if (!shipment) {
-    throw new AppError('Draft not found', 404);
+/**
+ * @desc    List the user's shipment drafts
+ * @route   GET /api/shipments/drafts
+ * @access  Private
+ */
+export const getShipmentDrafts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const { drafts, total } = await draftService.listDrafts(req.user.id, { page, limit });
+
+  successResponse(res, 200, 'Drafts retrieved successfully', {
+    drafts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * @desc    Start a new draft from a copy of an existing draft
+ * @route   POST /api/shipments/draft/:id/duplicate
+ * @access  Owner, admin or guest with the shipment's guest token
+ */
+export const duplicateShipmentDraft = asyncHandler(async (req, res) => {
+  const shipment = await draftService.duplicate(req.shipment, req.user);
+
+  successResponse(res, 201, 'Draft duplicated successfully', withGuestToken(shipment));
+});
+
+/**
+ * @desc    Validate one step of a draft, optionally with unsaved changes
+ * @route   POST /api/shipments/draft/:id/validate
+ * @access  Owner, admin or guest with the shipment's guest token
+ */
+export const validateDraftStep = asyncHandler(async (req, res) => {
+  const { step, formData = {} } = sanitizeData(req.body);
+
+  const result = await shipmentWizardService.validateStep(step, {
+    ...shipmentWizardService.toStepData(req.shipment),
+    ...formData
+  });
+
+  successResponse(
+    res,
+    200,
+    result.valid ? 'Step is valid' : 'Step has errors',
+    result
+  );
+});
+
+/**
+ * @desc    Create the shipment from a draft once every step validates
+ * @route   POST /api/shipments/draft/:id/convert
+ * @access  Owner, admin or guest with the shipment's guest token
+ */
+export const convertShipmentDraft = asyncHandler(async (req, res) => {
+  const { currency, promoCode } = sanitizeData(req.body);
+
+  const steps = await shipmentWizardService.validateSteps(
+    shipmentWizardService.toStepData(req.shipment)
+  );
+  const incomplete = steps.filter(step => !step.valid);
+  if (incomplete.length) {
+    return errorResponse(
+      res,
+      400,
+      'Every step must be completed before the shipment is created',
+      incomplete
+    );
   }
 
-  // Check ownership only if the shipment has a userId and current user is different
-  if (shipment.userId && (!req.user || shipment.userId.toString() !== req.user.id)) {
-    throw new AppError('Not authorized to access this draft', 403);
+  const shipment = await shipmentWizardService.convertDraft(req.shipment, {
+    currency,
+    promoCode,
+    user: req.user
+  });
+
+  // Confirm to the shipment's owner, who is not the caller when an admin converts it
+  let owner = null;
+  if (shipment.userId) {
+    owner = shipment.userId.toString() === req.user?.id ?
+      req.user :
+      await User.findById(shipment.userId);
   }
+  await announceShipment(shipment, owner);
 
-  successResponse(res, 200, 'Draft retrieved successfully', { shipment });
+  successResponse(res, 201, 'Shipment created successfully', withGuestToken(shipment));
+});
+
+/**
+ * @desc    Keep a draft for another full period
+ * @route   POST /api/shipments/draft/:id/extend
+ * @access  Owner, admin or guest with the shipment's guest token
+ */
+export const extendShipmentDraft = asyncHandler(async (req, res) => {
+  const shipment = await draftService.extend(req.shipment);
+
+  successResponse(res, 200, 'Draft extended successfully', {
+    shipment: draftService.toSummary(shipment)
+  });
 });
 
 /**
  * @desc    Calculate shipping cost
  * @route   POST /api/shipments/calculate-cost
- * @access  Public
+ * @access  Public/Private
  */
 export const calculateCost = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
@@ -78,10 +271,24 @@ export const calculateCost = asyncHandler(async (req, res) => {
   // Validate packages
   shipmentService.validatePackages(sanitizedData.packages);
 
-  // Calculate costs
-  const cost = shipmentService.calculateShippingCost(sanitizedData);
+  // Calculate costs in the requested or preferred currency
+  const currency = currencyService.resolveCurrency(sanitizedData.currency, req.user);
+  const cost = await shipmentService.calculateShippingCost(sanitizedData, {
+    currency,
+    promoCode: sanitizedData.promoCode,
+    user: req.user
+  });
+
+  // Persist the quote so the price can be locked when the shipment is created
+  const quote = await quoteService.createQuote(sanitizedData, cost, req.user);
 
-  successResponse(res, 200, 'Shipping cost calculated', { cost });
+  successResponse(res, 200, 'Shipping cost calculated', {
+    cost,
+    quote: {
+      id: quote._id,
+      expiresAt: quote.expiresAt
+    }
+  });
 });
 
 /**
@@ -101,18 +308,34 @@ export const createShipment = asyncHandler(async (req, res) => {
   // Validate pickup date
   shipmentService.validatePickupDate(sanitizedData.pickup.date);
 
-  // Calculate costs
-  const cost = shipmentService.calculateShippingCost(sanitizedData);
+  // Use the locked price of a valid quote, otherwise calculate costs
+  // in the requested or preferred currency
+  let quote;
+  let cost;
+  if (sanitizedData.quoteId) {
+    quote = await quoteService.claimQuote(sanitizedData.quoteId, sanitizedData, req.user);
+    cost = quote.cost;
+  } else {
+    const currency = currencyService.resolveCurrency(sanitizedData.currency, req.user);
+    cost = await shipmentService.calculateShippingCost(sanitizedData, {
+      currency,
+      promoCode: sanitizedData.promoCode,
+      user: req.user
+    });
+  }
 
   // Estimate delivery date
   const estimatedDate = shipmentService.estimateDeliveryDate(sanitizedData);
 
-  // Create shipment
+  // Create shipment; clients only supply its details, status and payment are the server's
+  const details = shipmentService.pickShipmentFields(sanitizedData);
   const shipmentData = {
-    ...sanitizedData,
+    ...details,
+    status: 'pending',
     cost,
+    quoteId: quote?._id,
     delivery: {
-      ...sanitizedData.delivery,
+      ...details.delivery,
       estimatedDate
     },
     isDraft: false
@@ -123,26 +346,98 @@ export const createShipment = asyncHandler(async (req, res) => {
     shipmentData.userId = req.user.id;
   }
 
-  const shipment = await Shipment.create(shipmentData);
+  let shipment;
+  try {
+    shipment = await Shipment.create(shipmentData);
+  } catch (error) {
+    // Give the quote back so the client can retry with it
+    if (quote) {
+      await quoteService.releaseQuote(quote);
+    }
+    throw error;
+  }
 
-  // Add initial timeline entry
-  const statusUpdate = shipmentService.formatStatusUpdate('pending');
-  await shipment.addTimelineEntry(
-    statusUpdate.status,
-    null,
-    statusUpdate.description
-  );
+  // Redeem the promo code; undo the shipment if it can no longer be redeemed
+  if (shipment.cost.promoCode) {
+    try {
+      await promoService.redeem(shipment, req.user);
+    } catch (error) {
+      await shipment.deleteOne();
+      if (quote) {
+        await quoteService.releaseQuote(quote);
+      }
+      throw error;
+    }
+  }
 
-  // Send confirmation email
-  // For guest shipments, use the sender's email
-  // For authenticated users, use their account email
-  if (req.user) {
-    await emailService.sendShipmentConfirmation(shipment, req.user);
-  } else {
-    await emailService.sendGuestShipmentConfirmation(shipment, shipmentData.sender.email);
+  if (quote) {
+    await quoteService.attachShipment(quote, shipment._id);
   }
 
-  successResponse(res, 201, 'Shipment created successfully', { shipment });
+  await announceShipment(shipment, req.user);
+
+  successResponse(res, 201, 'Shipment created successfully', withGuestToken(shipment));
+});
+
+/**
+ * @desc    Create shipments in bulk from a CSV or XLSX file
+ * @route   POST /api/shipments/import
+ * @access  Private
+ */
+export const importShipments = asyncHandler(async (req, res) => {
+  const { dryRun, currency } = sanitizeData(req.body);
+
+  const report = await shipmentImportService.buildReport(req.file, {
+    currency: currencyService.resolveCurrency(currency, req.user),
+    user: req.user
+  });
+
+  // A dry run only reports; a real import creates nothing unless every row is valid
+  if (dryRun) {
+    return successResponse(res, 200, 'Shipment file checked', {
+      dryRun: true,
+      ...shipmentImportService.formatReport(report)
+    });
+  }
+
+  if (report.errorCount) {
+    return errorResponse(
+      res,
+      400,
+      `${report.errorCount} of ${report.rowCount} rows have errors, no shipments were created`,
+      shipmentImportService.formatReport(report)
+    );
+  }
+
+  const { batch, shipments } = await shipmentImportService.createBatch(report, {
+    user: req.user,
+    file: req.file
+  });
+
+  successResponse(res, 201, `${shipments.length} shipments created successfully`, {
+    batch,
+    ...shipmentImportService.formatReport(report, shipments)
+  });
+});
+
+/**
+ * @desc    Get a batch of imported shipments
+ * @route   GET /api/shipments/batches/:batchId
+ * @access  Private
+ */
+export const getShipmentBatch = asyncHandler(async (req, res) => {
+  const batch = await ShipmentBatch.findById(req.params.batchId)
+    .populate('shipments', 'trackingNumber status recipient.name recipient.address cost.total');
+
+  if (!batch) {
+    throw new AppError('Batch not found', 404);
+  }
+
+  if (batch.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to access this batch', 403);
+  }
+
+  successResponse(res, 200, 'Batch retrieved successfully', { batch });
 });
 
 /**
@@ -181,21 +476,63 @@ export const getShipments = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Stream an export to the response
+ * Once streaming has started the status can no longer change, so a failure
+ * part-way through aborts the download instead.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Export options
+ * @param {string} [options.userId] - Only this user's shipments
+ * @param {boolean} [options.admin] - Include finance columns
+ */
+const sendExport = async (req, res, { userId, admin = false }) => {
+  const { format = 'csv', status, type, startDate, endDate } = req.query;
+  const query = shipmentExportService.buildQuery({ userId, status, type, startDate, endDate });
+
+  res.set(shipmentExportService.getHeaders(format, admin));
+
+  try {
+    await shipmentExportService.stream(res, { query, format, admin });
+  } catch (error) {
+    if (!res.headersSent) {
+      throw error;
+    }
+    console.error('Shipment export failed:', error);
+    res.destroy(error);
+  }
+};
+
+/**
+ * @desc    Export user shipments as CSV or XLSX
+ * @route   GET /api/shipments/export
+ * @access  Private
+ */
+export const exportShipments = asyncHandler(async (req, res) => {
+  await sendExport(req, res, { userId: req.user.id });
+});
+
+/**
+ * @desc    Export shipments of all users with cost and payment details
+ * @route   GET /api/shipments/export/all
+ * @access  Private/Admin
+ */
+export const exportAllShipments = asyncHandler(async (req, res) => {
+  await sendExport(req, res, { admin: true });
+});
+
 /**
  * @desc    Update package details
  * @route   PUT /api/shipments/:id/package
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updatePackageDetails = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
+  const shipment = req.shipment;
 
   // Update package details
-  shipment.packages = sanitizedData.packages;
+  shipment.packages = shipmentService.pickPackageFields(sanitizedData.packages);
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Package details updated successfully', { shipment });
@@ -204,21 +541,15 @@ export const updatePackageDetails = asyncHandler(async (req, res) => {
 /**
  * @desc    Update delivery options
  * @route   PUT /api/shipments/:id/delivery
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updateDeliveryOptions = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
+  const shipment = req.shipment;
 
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
-
-  // Update delivery options
-  shipment.delivery = {
-    ...shipment.delivery,
-    ...sanitizedData.delivery
-  };
+  // Senders choose the delivery options; delivery dates are set by the system
+  shipment.set('delivery.options', sanitizedData.delivery?.options);
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Delivery options updated successfully', { shipment });
@@ -227,18 +558,15 @@ export const updateDeliveryOptions = asyncHandler(async (req, res) => {
 /**
  * @desc    Update sender information
  * @route   PUT /api/shipments/:id/sender
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updateSenderInfo = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
+  const shipment = req.shipment;
 
   // Update sender information
   shipment.sender = sanitizedData.sender;
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Sender information updated successfully', { shipment });
@@ -247,18 +575,15 @@ export const updateSenderInfo = asyncHandler(async (req, res) => {
 /**
  * @desc    Update recipient information
  * @route   PUT /api/shipments/:id/recipient
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updateRecipientInfo = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
+  const shipment = req.shipment;
 
   // Update recipient information
   shipment.recipient = sanitizedData.recipient;
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Recipient information updated successfully', { shipment });
@@ -267,18 +592,15 @@ export const updateRecipientInfo = asyncHandler(async (req, res) => {
 /**
  * @desc    Update pickup location
  * @route   PUT /api/shipments/:id/pickup
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updatePickupLocation = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
+  const shipment = req.shipment;
 
   // Update pickup location
   shipment.pickup = sanitizedData.pickup;
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Pickup location updated successfully', { shipment });
@@ -287,18 +609,15 @@ export const updatePickupLocation = asyncHandler(async (req, res) => {
 /**
  * @desc    Update insurance
  * @route   PUT /api/shipments/:id/insurance
- * @access  Public/Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const updateInsurance = asyncHandler(async (req, res) => {
   const sanitizedData = sanitizeData(req.body);
-  const shipment = await Shipment.findById(req.params.id);
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404);
-  }
+  const shipment = req.shipment;
 
   // Update insurance
   shipment.insurance = sanitizedData.insurance;
+  await shipmentService.recalculate(shipment, req.user);
   await shipment.save();
 
   successResponse(res, 200, 'Insurance updated successfully', { shipment });
@@ -335,20 +654,68 @@ export const initializeShipment = asyncHandler(async (req, res) => {
   // Only add userId if user is authenticated
   if (req.user) {
     shipmentData.userId = req.user.id;
+
+    // Pre-fill the default sender and pickup location when they suit the origin
+    const { sender, pickup } = addressBookService.getShipmentDefaults(
+      req.user,
+      sanitizedData.origin
+    );
+    if (sender) {
+      shipmentData.sender = sender;
+    }
+    if (pickup) {
+      shipmentData.pickup = pickup;
+    }
   }
 
   // Create shipment
   const shipment = await Shipment.create(shipmentData);
 
-  successResponse(res, 201, 'Shipment initialized successfully', { shipment });
+  successResponse(res, 201, 'Shipment initialized successfully', withGuestToken(shipment));
 });
 
 /**
  * @desc    Get shipment by ID
  * @route   GET /api/shipments/:id
- * @access  Private
+ * @access  Owner, admin or guest with the shipment's guest token
  */
 export const getShipment = asyncHandler(async (req, res) => {
+  successResponse(res, 200, 'Shipment retrieved successfully', { shipment: req.shipment });
+});
+
+/**
+ * @desc    Get printable shipping labels (one per package)
+ * @route   GET /api/shipments/:id/label
+ * @access  Owner, admin or guest with the shipment's guest token
+ */
+export const getShippingLabel = asyncHandler(async (req, res) => {
+  const shipment = req.shipment;
+
+  if (!shipment.trackingNumber) {
+    throw new AppError('Shipment does not have a tracking number yet', 400);
+  }
+
+  if (shipment.status === 'cancelled') {
+    throw new AppError('Labels cannot be printed for a cancelled shipment', 400);
+  }
+
+  const format = req.query.format || '4x6';
+  const pdf = await renderShippingLabels(shipment, { format });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="label-${shipment.trackingNumber}-${format}.pdf"`
+  );
+  res.send(pdf);
+});
+
+/**
+ * @desc    Download the proof-of-delivery document
+ * @route   GET /api/shipments/:id/proof-of-delivery
+ * @access  Owner, admin or holder of the emailed link token
+ */
+export const getProofOfDelivery = asyncHandler(async (req, res) => {
   const shipment = await Shipment.findOne({
     _id: req.params.id,
     isDraft: false
@@ -358,30 +725,117 @@ export const getShipment = asyncHandler(async (req, res) => {
     throw new AppError('Shipment not found', 404);
   }
 
-  // Check ownership if not a guest shipment
-  if (shipment.userId && shipment.userId.toString() !== req.user?.id && req.user?.role !== 'admin') {
+  const isOwner = shipment.userId && shipment.userId.toString() === req.user?.id;
+  const hasToken = verifyShipmentToken(req.query.token, shipment._id, PROOF_OF_DELIVERY_PURPOSE);
+  if (!isOwner && !hasToken && req.user?.role !== 'admin') {
     throw new AppError('Not authorized to access this shipment', 403);
   }
 
-  successResponse(res, 200, 'Shipment retrieved successfully', { shipment });
+  const pdf = await deliveryProofService.renderDocument(shipment);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="proof-of-delivery-${shipment.trackingNumber}.pdf"`
+  );
+  res.send(pdf);
 });
 
 /**
  * @desc    Track shipment
  * @route   GET /api/shipments/track/:trackingNumber
- * @access  Public
+ * @access  Public (full details for the owner, admins, or callers who verify the shipment)
  */
 export const trackShipment = asyncHandler(async (req, res) => {
+  const { trackingNumber } = req.params;
+  const { postalCode, phone } = req.query;
+
+  // Accept either the shipment (master) number or a package (piece) number
+  const piece = parsePieceTrackingNumber(trackingNumber);
   const shipment = await Shipment.findOne({
-    trackingNumber: req.params.trackingNumber,
+    ...(piece ?
+      { 'packages.trackingNumber': trackingNumber } :
+      { trackingNumber }),
     isDraft: false
-  }).select('trackingNumber status timeline type sender.address recipient.address delivery packages');
+  }).select('trackingNumber status timeline type userId sender recipient delivery packages cost');
 
   if (!shipment) {
     throw new AppError('Invalid tracking number', 404);
   }
 
-  successResponse(res, 200, 'Shipment tracking information retrieved', { shipment });
+  const access = trackingService.getAccessLevel(shipment, {
+    user: req.user,
+    postalCode,
+    phone
+  });
+  const trackedPackage = piece ?
+    shipment.packages.find(pkg => pkg.trackingNumber === trackingNumber) :
+    undefined;
+
+  successResponse(res, 200, 'Shipment tracking information retrieved', {
+    access,
+    shipment: access === TRACKING_ACCESS.FULL ?
+      trackingService.toFullView(shipment) :
+      trackingService.toLimitedView(shipment),
+    packageSummary: shipment.getPackageSummary(),
+    package: trackedPackage ?
+      trackingService.toPackageView(trackedPackage, access) :
+      undefined
+  });
+});
+
+/**
+ * @desc    Record a package scan
+ * @route   POST /api/shipments/scan
+ * @access  Private/Admin
+ */
+export const scanPackage = asyncHandler(async (req, res) => {
+  const { trackingNumber, status, location, description } = sanitizeData(req.body);
+
+  const piece = parsePieceTrackingNumber(trackingNumber);
+  if (!piece) {
+    throw new AppError('Invalid package tracking number', 400);
+  }
+
+  const shipment = await Shipment.findOne({
+    'packages.trackingNumber': trackingNumber,
+    isDraft: false
+  });
+
+  if (!shipment) {
+    throw new AppError('Package not found', 404);
+  }
+
+  await shipment.recordPackageScan(trackingNumber, status, {
+    location,
+    description,
+    scannedBy: req.user
+  });
+
+  successResponse(res, 200, 'Package scan recorded', {
+    shipment,
+    package: shipment.packages.find(pkg => pkg.trackingNumber === trackingNumber),
+    packageSummary: shipment.getPackageSummary()
+  });
+});
+
+/**
+ * @desc    Assign couriers to a shipment
+ * @route   PUT /api/shipments/:id/assign
+ * @access  Private/Admin
+ */
+export const assignCouriers = asyncHandler(async (req, res) => {
+  const { pickupCourierId, deliveryCourierId } = sanitizeData(req.body);
+
+  const shipment = await courierService.assignShipment(
+    req.params.id,
+    { pickupCourierId, deliveryCourierId },
+    req.user
+  );
+
+  successResponse(res, 200, 'Couriers assigned successfully', {
+    assignment: shipment.assignment
+  });
 });
 
 /**
@@ -390,7 +844,7 @@ export const trackShipment = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const updateShipmentStatus = asyncHandler(async (req, res) => {
-  const { status, location, description } = sanitizeData(req.body);
+  const { status, location, description, force, reason } = sanitizeData(req.body);
 
   const shipment = await Shipment.findOne({
     _id: req.params.id,
@@ -401,17 +855,28 @@ export const updateShipmentStatus = asyncHandler(async (req, res) => {
     throw new AppError('Shipment not found', 404);
   }
 
-  shipment.status = status;
   if (status === 'delivered') {
     shipment.delivery.actualDate = Date.now();
   }
 
-  // Add timeline entry
+  if (status === 'returned_to_sender') {
+    shipment.returnInfo = redeliveryService.buildReturnInfo(shipment, {
+      reason: description || reason || 'Returned by admin',
+      updatedBy: req.user
+    });
+  }
+
+  // Add timeline entry (enforces the status transition rules unless forced)
   const statusUpdate = shipmentService.formatStatusUpdate(status);
   await shipment.addTimelineEntry(
     status,
     location,
-    description || statusUpdate.description
+    description || statusUpdate.description,
+    {
+      updatedBy: req.user,
+      force: force === true || force === 'true',
+      reason
+    }
   );
 
   // Send status update email if user exists
@@ -445,7 +910,7 @@ export const getShipmentStats = asyncHandler(async (req, res) => {
         activeShipments: {
           $sum: {
             $cond: [
-              { $in: ['$status', ['pending', 'awaiting_pickup', 'picked_up', 'in_transit', 'out_for_delivery']] },
+              { $in: ['$status', ACTIVE_STATUSES] },
               1,
               0
             ]
@@ -454,7 +919,7 @@ export const getShipmentStats = asyncHandler(async (req, res) => {
         completedShipments: {
           $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
         },
-        totalSpent: { $sum: '$cost.total' }
+        totalSpent: { $sum: BASE_AMOUNT_EXPRESSION }
       }
     }
   ]);
@@ -473,7 +938,7 @@ export const getShipmentStats = asyncHandler(async (req, res) => {
           month: { $month: '$createdAt' }
         },
         count: { $sum: 1 },
-        total: { $sum: '$cost.total' }
+        total: { $sum: BASE_AMOUNT_EXPRESSION }
       }
     },
     {
@@ -485,6 +950,7 @@ export const getShipmentStats = asyncHandler(async (req, res) => {
   ]);
 
   successResponse(res, 200, 'Shipment statistics retrieved', {
+    currency: getBaseCurrency(),
     overview: stats[0] || {
       totalShipments: 0,
       activeShipments: 0,
@@ -1,5 +1,10 @@
 import { asyncHandler, successResponse, AppError } from '../utils/responseHandler.js';
 import User from '../models/User.js';
+import courierService from '../services/courierService.js';
+import addressBookService, {
+  MAX_ADDRESSES,
+  MAX_SAVED_LOCATIONS
+} from '../services/addressBookService.js';
 import { sanitizeData } from '../middleware/validate.js';
 
 /**
@@ -55,16 +60,18 @@ export const addAddress = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   // Check if maximum addresses limit reached
-  if (user.addresses.length >= 10) {
-    throw new AppError('Maximum number of addresses (10) reached', 400);
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw new AppError(`Maximum number of addresses (${MAX_ADDRESSES}) reached`, 400);
   }
 
   user.addresses.push(addressData);
+  const address = user.addresses[user.addresses.length - 1];
+  if (address.isDefaultSender) {
+    addressBookService.setDefault(user.addresses, address, 'isDefaultSender');
+  }
   await user.save();
 
-  successResponse(res, 201, 'Address added successfully', {
-    address: user.addresses[user.addresses.length - 1]
-  });
+  successResponse(res, 201, 'Address added successfully', { address });
 });
 
 /**
@@ -84,6 +91,9 @@ export const updateAddress = asyncHandler(async (req, res) => {
 
   // Update address fields
   Object.assign(address, addressData);
+  if (address.isDefaultSender) {
+    addressBookService.setDefault(user.addresses, address, 'isDefaultSender');
+  }
   await user.save();
 
   successResponse(res, 200, 'Address updated successfully', { address });
@@ -102,7 +112,7 @@ export const deleteAddress = asyncHandler(async (req, res) => {
     throw new AppError('Address not found', 404);
   }
 
-  address.remove();
+  address.deleteOne();
   await user.save();
 
   successResponse(res, 200, 'Address deleted successfully');
@@ -131,8 +141,8 @@ export const addSavedLocation = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   // Check if maximum saved locations limit reached
-  if (user.savedLocations.length >= 20) {
-    throw new AppError('Maximum number of saved locations (20) reached', 400);
+  if (user.savedLocations.length >= MAX_SAVED_LOCATIONS) {
+    throw new AppError(`Maximum number of saved locations (${MAX_SAVED_LOCATIONS}) reached`, 400);
   }
 
   // Check if location name already exists
@@ -145,11 +155,13 @@ export const addSavedLocation = asyncHandler(async (req, res) => {
   }
 
   user.savedLocations.push(locationData);
+  const location = user.savedLocations[user.savedLocations.length - 1];
+  if (location.isDefaultPickup) {
+    addressBookService.setDefault(user.savedLocations, location, 'isDefaultPickup');
+  }
   await user.save();
 
-  successResponse(res, 201, 'Location saved successfully', {
-    location: user.savedLocations[user.savedLocations.length - 1]
-  });
+  successResponse(res, 201, 'Location saved successfully', { location });
 });
 
 /**
@@ -181,6 +193,9 @@ export const updateSavedLocation = asyncHandler(async (req, res) => {
 
   // Update location fields
   Object.assign(location, locationData);
+  if (location.isDefaultPickup) {
+    addressBookService.setDefault(user.savedLocations, location, 'isDefaultPickup');
+  }
   await user.save();
 
   successResponse(res, 200, 'Location updated successfully', { location });
@@ -199,12 +214,42 @@ export const deleteSavedLocation = asyncHandler(async (req, res) => {
     throw new AppError('Location not found', 404);
   }
 
-  location.remove();
+  location.deleteOne();
   await user.save();
 
   successResponse(res, 200, 'Location deleted successfully');
 });
 
+/**
+ * @desc    Download the address book as CSV or vCard
+ * @route   GET /api/users/address-book/export
+ * @access  Private
+ */
+export const exportAddressBook = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  const user = await User.findById(req.user.id);
+
+  res.set(addressBookService.getHeaders(format));
+  res.send(addressBookService.export(user, format));
+});
+
+/**
+ * @desc    Add addresses and saved locations from a CSV or vCard file
+ * @route   POST /api/users/address-book/import
+ * @access  Private
+ */
+export const importAddressBook = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const report = await addressBookService.import(user, req.file);
+
+  successResponse(
+    res,
+    200,
+    `Imported ${report.addresses} addresses and ${report.savedLocations} saved locations`,
+    report
+  );
+});
+
 /**
  * @desc    Get user statistics
  * @route   GET /api/users/stats
@@ -223,3 +268,41 @@ export const getUserStats = asyncHandler(async (req, res) => {
 
   successResponse(res, 200, 'User statistics retrieved', { stats });
 });
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/users/:id/role
+ * @access  Private/Admin
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = sanitizeData(req.body);
+
+  if (req.params.id === req.user.id) {
+    throw new AppError('You cannot change your own role', 400);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  successResponse(res, 200, 'User role updated successfully', { user });
+});
+
+/**
+ * @desc    Get courier accounts
+ * @route   GET /api/users/couriers
+ * @access  Private/Admin
+ */
+export const getCouriers = asyncHandler(async (req, res) => {
+  const couriers = await courierService.listCouriers();
+  successResponse(res, 200, 'Couriers retrieved successfully', { couriers });
+});
@@ -1,7 +1,9 @@
 import jwt from 'jsonwebtoken';
 import { asyncHandler } from '../utils/responseHandler.js';
 import User from '../models/User.js';
+import Shipment from '../models/Shipment.js';
 import { AppError } from '../utils/responseHandler.js';
+import { verifyShipmentToken } from '../utils/shipmentToken.js';
 
 /**
  * Protect routes - Verify token and attach user to request
@@ -126,6 +128,26 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require a signed shipment link token (?token=) for a purpose
+ * Attaches the shipment to the request.
+ * @param {string} purpose - Purpose the token must grant
+ */
+export const requireShipmentToken = (purpose) => asyncHandler(async (req, res, next) => {
+  const shipment = await Shipment.findOne({
+    _id: req.params.id,
+    isDraft: false
+  });
+
+  // Unknown shipments and bad tokens look the same so links cannot be probed
+  if (!shipment || !verifyShipmentToken(req.query.token, shipment._id, purpose)) {
+    throw new AppError('This link is invalid or has expired', 403);
+  }
+
+  req.shipment = shipment;
+  next();
+});
+
 /**
  * Verify reset password token
  */
@@ -0,0 +1,63 @@
+import Shipment from '../models/Shipment.js';
+import { asyncHandler, AppError } from '../utils/responseHandler.js';
+import { verifyShipmentToken } from '../utils/shipmentToken.js';
+import { GUEST_ACCESS_PURPOSE } from '../services/guestShipmentService.js';
+
+/**
+ * Get the guest access token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Token from the X-Guest-Token header or ?token=
+ */
+export const getGuestToken = (req) => req.get('X-Guest-Token') || req.query.token;
+
+/**
+ * Check whether a request may access a shipment
+ * Admins may access any shipment, users their own shipments, and guests the
+ * shipments they created without an account when they send its guest token.
+ * @param {Object} req - Express request
+ * @param {Object} shipment - Shipment
+ * @returns {boolean} Whether access is allowed
+ */
+export const canAccessShipment = (req, shipment) => {
+  if (req.user?.role === 'admin') {
+    return true;
+  }
+
+  if (shipment.userId) {
+    return shipment.userId.toString() === req.user?.id;
+  }
+
+  return verifyShipmentToken(getGuestToken(req), shipment._id, GUEST_ACCESS_PURPOSE);
+};
+
+/**
+ * Load the shipment in req.params.id and check the caller may access it
+ * Attaches the shipment to the request. Use after optionalAuth or protect.
+ * @param {Object} [options] - Access options
+ * @param {boolean} [options.isDraft] - Only match drafts (true) or created shipments (false)
+ * @param {boolean} [options.edit] - Also require the shipment to be editable
+ */
+export const shipmentAccess = (options = {}) => asyncHandler(async (req, res, next) => {
+  const { isDraft, edit = false } = options;
+  const query = { _id: req.params.id };
+  if (isDraft !== undefined) {
+    query.isDraft = isDraft;
+  }
+
+  const shipment = await Shipment.findOne(query);
+
+  if (!shipment) {
+    throw new AppError(isDraft ? 'Draft not found' : 'Shipment not found', 404);
+  }
+
+  if (!canAccessShipment(req, shipment)) {
+    throw new AppError('Not authorized to access this shipment', 403);
+  }
+
+  if (edit) {
+    shipment.assertEditable();
+  }
+
+  req.shipment = shipment;
+  next();
+});
@@ -0,0 +1,19 @@
+import rateLimit from 'express-rate-limit';
+
+/**
+ * Throttle failed tracking lookups per IP
+ * Only unknown tracking numbers and failed verifications count towards the limit,
+ * so customers refreshing a valid tracking page are never blocked.
+ */
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  // Read lazily so values from dotenv are picked up
+  max: () => parseInt(process.env.TRACKING_FAILED_LOOKUP_LIMIT, 10) || 20,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: 'Too many failed tracking lookups, please try again later'
+  }
+});
+
+export default trackingLimiter;
@@ -0,0 +1,211 @@
+import multer from 'multer';
+import { AppError } from '../utils/responseHandler.js';
+
+/**
+ * Get maximum upload size in bytes (read lazily so values from dotenv are picked up)
+ * @returns {number} Maximum file size
+ */
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+
+/**
+ * Leading bytes of the file types we accept
+ */
+const FILE_SIGNATURES = {
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+  // XLSX files are ZIP archives
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [[0x50, 0x4b, 0x03, 0x04]],
+  // CSV is plain text and has no signature; browsers on Windows report it as an Excel type
+  'text/csv': [[]],
+  'application/vnd.ms-excel': [[]],
+  // vCard is plain text as well
+  'text/vcard': [[]],
+  'text/x-vcard': [[]],
+  'text/directory': [[]]
+};
+
+export const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+export const SPREADSHEET_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+export const ADDRESS_BOOK_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.ms-excel',
+  'text/vcard',
+  'text/x-vcard',
+  'text/directory'
+];
+
+// Proof-of-delivery images are embedded in a PDF, which only supports JPEG and PNG
+export const PROOF_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Check file contents match the declared type
+ * @param {Object} file - Multer file
+ * @returns {boolean} Whether contents match
+ */
+const matchesSignature = (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype] || [];
+  return signatures.some(signature =>
+    signature.every((byte, index) => file.buffer[index] === byte)
+  );
+};
+
+/**
+ * Turn a multer error into a client error
+ * @param {Error} err - Upload error
+ * @param {string} label - Name used in error messages
+ * @returns {Error} Error to pass on
+ */
+const toUploadError = (err, label) => {
+  if (!(err instanceof multer.MulterError)) {
+    return err;
+  }
+
+  const message = err.code === 'LIMIT_FILE_SIZE' ?
+    `${label} cannot exceed ${Math.round(getMaxFileSize() / (1024 * 1024))}MB` :
+    `${label} upload failed: ${err.message}`;
+  return new AppError(message, 400);
+};
+
+/**
+ * Create single file upload middleware
+ * Files are kept in memory and handed to the storage service by the controller.
+ * @param {string} field - Form field name
+ * @param {Object} options - Upload options
+ * @param {Array} options.allowedTypes - Allowed MIME types
+ * @param {boolean} [options.required] - Whether the file is required
+ * @param {string} [options.label] - Name used in error messages
+ * @returns {Function} Express middleware
+ */
+export const uploadSingle = (field, { allowedTypes, required = false, label = 'File' }) => {
+  const fileFilter = (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new AppError(`${label} must be one of: ${allowedTypes.join(', ')}`, 400));
+    }
+    cb(null, true);
+  };
+
+  return (req, res, next) => {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: getMaxFileSize(), files: 1 },
+      fileFilter
+    }).single(field);
+
+    upload(req, res, (err) => {
+      if (err) {
+        return next(toUploadError(err, label));
+      }
+
+      if (!req.file) {
+        return required ? next(new AppError(`${label} is required`, 400)) : next();
+      }
+
+      if (!matchesSignature(req.file)) {
+        return next(new AppError(`${label} content does not match its file type`, 400));
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Create upload middleware for several single-file fields
+ * Files end up in req.files keyed by field name, one file per field.
+ * @param {Array} fields - Fields as { name, label, required }
+ * @param {Object} options - Upload options
+ * @param {Array} options.allowedTypes - Allowed MIME types
+ * @returns {Function} Express middleware
+ */
+export const uploadFields = (fields, { allowedTypes }) => {
+  const labelFor = name => fields.find(field => field.name === name)?.label || 'File';
+
+  const fileFilter = (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new AppError(
+        `${labelFor(file.fieldname)} must be one of: ${allowedTypes.join(', ')}`,
+        400
+      ));
+    }
+    cb(null, true);
+  };
+
+  return (req, res, next) => {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: getMaxFileSize(), files: fields.length },
+      fileFilter
+    }).fields(fields.map(({ name }) => ({ name, maxCount: 1 })));
+
+    upload(req, res, (err) => {
+      if (err) {
+        return next(toUploadError(err, labelFor(err.field)));
+      }
+
+      const files = {};
+      for (const { name, label = 'File', required = false } of fields) {
+        const file = req.files?.[name]?.[0];
+        if (!file) {
+          if (required) {
+            return next(new AppError(`${label} is required`, 400));
+          }
+          continue;
+        }
+
+        if (!matchesSignature(file)) {
+          return next(new AppError(`${label} content does not match its file type`, 400));
+        }
+        files[name] = file;
+      }
+
+      req.files = files;
+      next();
+    });
+  };
+};
+
+/**
+ * Bank transfer receipt upload (image or PDF)
+ */
+export const uploadReceipt = uploadSingle('receipt', {
+  allowedTypes: RECEIPT_MIME_TYPES,
+  required: true,
+  label: 'Receipt'
+});
+
+/**
+ * Proof-of-delivery upload (signature and doorstep photo)
+ * Whether a signature is required depends on the shipment, so both are optional here.
+ */
+export const uploadProofOfDelivery = uploadFields([
+  { name: 'signature', label: 'Signature' },
+  { name: 'photo', label: 'Photo' }
+], {
+  allowedTypes: PROOF_IMAGE_MIME_TYPES
+});
+
+/**
+ * Bulk shipment upload (CSV or XLSX)
+ */
+export const uploadShipmentFile = uploadSingle('file', {
+  allowedTypes: SPREADSHEET_MIME_TYPES,
+  required: true,
+  label: 'Shipment file'
+});
+
+/**
+ * Address book upload (CSV or vCard)
+ */
+export const uploadAddressBookFile = uploadSingle('file', {
+  allowedTypes: ADDRESS_BOOK_MIME_TYPES,
+  required: true,
+  label: 'Address book file'
+});
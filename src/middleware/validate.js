@@ -15,7 +15,8 @@ export const validate = (validations) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       const errorMessages = errors.array().map(err => err.msg);
-      throw new AppError(errorMessages[0], 400);
+      // Express 4 does not catch rejected middleware promises, so hand the error on
+      return next(new AppError(errorMessages[0], 400));
     }
 
     next();
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Atomically increment a named counter and return the new value
+ * @param {string} key - Counter key
+ * @returns {Promise<number>} Next sequence value
+ */
+counterSchema.statics.next = async function(key) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two concurrent upserts can race on the unique key; the retry hits the existing doc
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true }
+      );
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Atomically increment a named counter unless it has reached a limit
+ * A counter that does not exist yet starts at the value `getStart` resolves to,
+ * e.g. usage recorded before the counter was introduced.
+ * @param {string} key - Counter key
+ * @param {number} limit - Value the counter may not go beyond
+ * @param {Function} getStart - Returns the starting value of a new counter
+ * @returns {Promise<boolean>} Whether the counter was incremented
+ */
+counterSchema.statics.incrementBelow = async function(key, limit, getStart) {
+  if (!(await this.exists({ key }))) {
+    try {
+      await this.create({ key, seq: await getStart() });
+    } catch (error) {
+      // Created concurrently; the conditional increment below decides
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  const result = await this.updateOne({ key, seq: { $lt: limit } }, { $inc: { seq: 1 } });
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Undo an increment of a named counter
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+counterSchema.statics.decrement = async function(key) {
+  await this.updateOne({ key, seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    enum: SUPPORTED_CURRENCIES
+  },
+  // Units of this currency per 1 unit of the base currency
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
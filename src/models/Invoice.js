@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  phone: String,
+  street: String,
+  city: String,
+  country: String,
+  postalCode: String,
+  taxId: String
+}, { _id: false });
+
+// Invoices are immutable snapshots; the PDF is rendered from these fields
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  shipmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: function() {
+      return !this.batchId;
+    }
+  },
+  // Set instead of shipmentId for the invoice of a batch payment
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShipmentBatch'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Credit notes point at the invoice and refund they correct
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refundId: mongoose.Schema.Types.ObjectId,
+  trackingNumber: String,
+  billTo: partySchema,
+  lines: [invoiceLineSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  vatRate: {
+    type: Number,
+    default: 0
+  },
+  vat: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  paymentMethod: String,
+  paymentReference: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ shipmentId: 1, issuedAt: -1 });
+invoiceSchema.index({ batchId: 1, issuedAt: -1 }, { sparse: true });
+// One invoice per payment and one credit note per refund
+invoiceSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit_note' } }
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
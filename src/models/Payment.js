@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import { PAYMENT_STATUSES, PAYMENT_METHODS } from '../utils/paymentStatus.js';
+import { SUPPORTED_CURRENCIES, roundAmount } from '../utils/currency.js';
+
+const historyEntrySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    required: true
+  },
+  note: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Provider reference for card refunds
+  refundReference: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const paymentSchema = new mongoose.Schema({
+  shipmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: [function() {
+      return !this.batchId;
+    }, 'Shipment is required']
+  },
+  // Set instead of shipmentId when one payment covers a batch of shipments
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShipmentBatch'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 1 for the first attempt on a shipment (or batch), 2 for the next, and so on
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: PAYMENT_METHODS
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0, 'Payment amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Payment currency is required'],
+    enum: SUPPORTED_CURRENCIES
+  },
+  // Rate the shipment was quoted at, used to report in the base currency
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  // Card payments
+  provider: String,
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  transactionId: String,
+  failureReason: String,
+  // Bank transfers
+  bankDetails: {
+    accountName: String,
+    bankName: String
+  },
+  receipt: {
+    key: String,
+    driver: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: Date
+  },
+  verifiedAt: Date,
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String,
+  rejectionReason: String,
+  paidAt: Date,
+  // Set when a cancelled card attempt is captured anyway and the money has to go back
+  refundRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Refunds; refundedAmount is the running total and never exceeds amount
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  history: [historyEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Record the initial status
+paymentSchema.pre('save', function(next) {
+  if (this.isNew && !this.history.length) {
+    this.history.push({ status: this.status });
+  }
+  next();
+});
+
+/**
+ * Change status and record it in the history
+ * @param {string} status - New status
+ * @param {Object} [options] - Options
+ * @param {string} [options.note] - Note about the change
+ * @param {string} [options.by] - User making the change
+ * @returns {Object} Payment
+ */
+paymentSchema.methods.setStatus = function(status, { note, by } = {}) {
+  this.status = status;
+  this.history.push({ status, note, by });
+  return this;
+};
+
+/**
+ * Get amount that can still be refunded
+ * @returns {number} Refundable balance
+ */
+paymentSchema.methods.getRefundableAmount = function() {
+  return Math.max(roundAmount(this.amount - this.refundedAmount), 0);
+};
+
+paymentSchema.index({ shipmentId: 1, attempt: -1 });
+paymentSchema.index({ batchId: 1, attempt: -1 }, { sparse: true });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ method: 1, status: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const pickupPointSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Pickup point code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Pickup point code must be 3-20 letters, numbers, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Pickup point name is required'],
+    trim: true,
+    maxlength: [100, 'Pickup point name cannot exceed 100 characters']
+  },
+  address: {
+    street: {
+      type: String,
+      required: [true, 'Street address is required'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      uppercase: true,
+      trim: true
+    },
+    postalCode: {
+      type: String,
+      trim: true
+    }
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Free text, e.g. "Mon-Fri 08:00-18:00, Sat 09:00-13:00"
+  openingHours: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Opening hours cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pickupPointSchema.index({ 'address.country': 1, 'address.city': 1, isActive: 1 });
+
+const PickupPoint = mongoose.model('PickupPoint', pickupPointSchema);
+
+export default PickupPoint;
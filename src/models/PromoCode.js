@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percentage', 'fixed']
+  },
+  // Percentage (0-100) or fixed amount in the base currency
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Cap for percentage discounts, in the base currency
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Minimum pre-tax order amount, in the base currency
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total redemptions allowed across all users (unlimited when empty)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Shipment types the code applies to (any when empty)
+  shipmentTypes: [{
+    type: String,
+    enum: ['international', 'local']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  disabledAt: Date,
+  disabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Validate percentage range and validity window
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until date must be after valid from date');
+  }
+
+  next();
+});
+
+// Calculate discount for a pre-tax subtotal in the base currency
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  let discount = this.discountType === 'percentage' ?
+    subtotal * this.value / 100 :
+    this.value;
+
+  if (this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return parseFloat(Math.min(discount, subtotal).toFixed(2));
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
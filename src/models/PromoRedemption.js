@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Sender email, used to apply per-user limits to guests
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  shipmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  // Discount in the shipment currency
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES
+  },
+  // Discount converted back to the base currency for reporting
+  discountBase: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promoRedemptionSchema.index({ promoCodeId: 1, createdAt: -1 });
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 });
+promoRedemptionSchema.index({ promoCodeId: 1, email: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+export default PromoRedemption;
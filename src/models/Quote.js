@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const quoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['international', 'local']
+  },
+  originCountry: {
+    type: String,
+    uppercase: true
+  },
+  destinationCountry: {
+    type: String,
+    uppercase: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: SUPPORTED_CURRENCIES
+  },
+  // Cost breakdown exactly as returned to the client
+  cost: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Hash of the priced inputs (route, packages, insurance, currency)
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  shipmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment'
+  }
+}, {
+  timestamps: true
+});
+
+// Check if quote has expired
+quoteSchema.methods.isExpired = function() {
+  return Date.now() > this.expiresAt.getTime();
+};
+
+// Keep expired quotes for a day so clients get "expired" rather than "not found"
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+
+const weightBandSchema = new mongoose.Schema({
+  minWeight: {
+    type: Number,
+    required: [true, 'Band minimum weight is required'],
+    min: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: 0
+  },
+  ratePerKg: {
+    type: Number,
+    required: [true, 'Band rate per kg is required'],
+    min: 0
+  },
+  flatFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const surchargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Surcharge name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    default: 'fixed'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Surcharge amount is required'],
+    min: 0
+  }
+}, { _id: false });
+
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  // Empty country lists match any country
+  originCountries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  destinationCountries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  weightBands: {
+    type: [weightBandSchema],
+    validate: {
+      validator: bands => bands.length > 0,
+      message: 'Each zone needs at least one weight band'
+    }
+  },
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  surcharges: [surchargeSchema]
+});
+
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true,
+    maxlength: [100, 'Rate card name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  shipmentType: {
+    type: String,
+    required: [true, 'Shipment type is required'],
+    enum: ['international', 'local']
+  },
+  zones: {
+    type: [zoneSchema],
+    validate: {
+      validator: zones => zones.length > 0,
+      message: 'A rate card needs at least one zone'
+    }
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Higher priority wins when several active cards cover the same route
+  priority: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Validate effective dates and weight band ranges
+rateCardSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after effective from date');
+  }
+
+  this.zones.forEach((zone, zoneIndex) => {
+    const bands = [...zone.weightBands].sort((a, b) => a.minWeight - b.minWeight);
+
+    bands.forEach((band, bandIndex) => {
+      if (band.maxWeight !== undefined && band.maxWeight !== null &&
+          band.maxWeight <= band.minWeight) {
+        this.invalidate(
+          `zones.${zoneIndex}.weightBands`,
+          `Zone ${zone.name}: band maximum weight must be greater than its minimum`
+        );
+      }
+
+      const previous = bands[bandIndex - 1];
+      if (previous && (previous.maxWeight === undefined || previous.maxWeight === null ||
+          previous.maxWeight > band.minWeight)) {
+        this.invalidate(
+          `zones.${zoneIndex}.weightBands`,
+          `Zone ${zone.name}: weight bands must not overlap`
+        );
+      }
+    });
+  });
+
+  next();
+});
+
+/**
+ * Score how specifically a zone matches a route (-1 if it does not match)
+ * @param {Object} zone - Zone subdocument
+ * @param {string} originCountry - Origin country code
+ * @param {string} destinationCountry - Destination country code
+ * @returns {number} Match score
+ */
+const scoreZone = (zone, originCountry, destinationCountry) => {
+  let score = 0;
+
+  if (zone.originCountries.length) {
+    if (!zone.originCountries.includes(originCountry)) {
+      return -1;
+    }
+    score += 1;
+  }
+
+  if (zone.destinationCountries.length) {
+    if (!zone.destinationCountries.includes(destinationCountry)) {
+      return -1;
+    }
+    score += 1;
+  }
+
+  return score;
+};
+
+// Find the most specific zone on this card for a route
+rateCardSchema.methods.findZone = function(originCountry, destinationCountry) {
+  let bestZone = null;
+  let bestScore = -1;
+
+  this.zones.forEach(zone => {
+    const score = scoreZone(zone, originCountry, destinationCountry);
+    if (score > bestScore) {
+      bestZone = zone;
+      bestScore = score;
+    }
+  });
+
+  return bestZone;
+};
+
+/**
+ * Find the active rate card and zone for a route
+ * @param {Object} criteria - Lookup criteria
+ * @param {string} criteria.type - Shipment type
+ * @param {string} criteria.originCountry - Origin country code
+ * @param {string} criteria.destinationCountry - Destination country code
+ * @param {Date} [criteria.date] - Date the card must be effective on
+ * @returns {Promise<Object|null>} { rateCard, zone } or null
+ */
+rateCardSchema.statics.findActiveFor = async function({
+  type,
+  originCountry,
+  destinationCountry,
+  date = new Date()
+}) {
+  const cards = await this.find({
+    shipmentType: type,
+    isActive: true,
+    effectiveFrom: { $lte: date },
+    $or: [
+      { effectiveTo: { $exists: false } },
+      { effectiveTo: null },
+      { effectiveTo: { $gt: date } }
+    ]
+  }).sort({ priority: -1, effectiveFrom: -1 });
+
+  for (const rateCard of cards) {
+    const zone = rateCard.findZone(
+      originCountry?.toUpperCase(),
+      destinationCountry?.toUpperCase()
+    );
+    if (zone) {
+      return { rateCard, zone };
+    }
+  }
+
+  return null;
+};
+
+// Indexes
+rateCardSchema.index({ shipmentType: 1, isActive: 1, effectiveFrom: -1 });
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+export default RateCard;
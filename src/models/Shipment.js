@@ -1,5 +1,19 @@
 import mongoose from 'mongoose';
-import { generateTrackingNumber } from '../utils/trackingNumber.js';
+import { generateTrackingNumber, generatePieceTrackingNumber } from '../utils/trackingNumber.js';
+import {
+  SHIPMENT_STATUSES,
+  PACKAGE_STATUSES,
+  DELIVERY_ATTEMPT_REASONS,
+  canTransition,
+  canAdvancePackage,
+  deriveShipmentStatus,
+  getAllowedTransitions,
+  getTransitionPath,
+  requiresPayment
+} from '../utils/shipmentStatus.js';
+import { AppError } from '../utils/responseHandler.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { PAYMENT_STATUSES, PAYMENT_METHODS, isPaid } from '../utils/paymentStatus.js';
 
 const addressSchema = new mongoose.Schema({
   name: {
@@ -52,7 +66,33 @@ const dimensionsSchema = new mongoose.Schema({
   }
 });
 
+const packageEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: PACKAGE_STATUSES
+  },
+  location: String,
+  description: String,
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const packageSchema = new mongoose.Schema({
+  // Piece number derived from the shipment tracking number, e.g. INT-20250205-0000172-01
+  trackingNumber: String,
+  status: {
+    type: String,
+    enum: PACKAGE_STATUSES,
+    default: 'pending'
+  },
+  events: [packageEventSchema],
   packageType: {
     type: String,
     enum: ['parcel', 'documents', 'pallet', 'container', 'other']
@@ -89,21 +129,74 @@ const timelineEntrySchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: [
-      'pending',
-      'awaiting_pickup',
-      'picked_up',
-      'in_transit',
-      'out_for_delivery',
-      'delivered',
-      'cancelled'
-    ]
+    enum: SHIPMENT_STATUSES
   },
   location: String,
   description: String,
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  overrideReason: String
+});
+
+const storedFileSchema = new mongoose.Schema({
+  key: String,
+  driver: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: Date
+}, { _id: false });
+
+// Evidence captured when packages are handed over
+const deliveryProofSchema = new mongoose.Schema({
+  packages: [String],
+  receiverName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  signature: storedFileSchema,
+  photo: storedFileSchema,
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  courier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: Object.keys(DELIVERY_ATTEMPT_REASONS)
+  },
+  notes: String,
+  location: String,
+  attemptedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -118,28 +211,80 @@ const costSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  promoCode: {
+    type: String,
+    uppercase: true
+  },
   vat: {
     type: Number,
     required: true,
     min: 0
   },
+  // VAT rate applied when the cost was calculated (e.g. 0.075)
+  vatRate: {
+    type: Number,
+    min: 0
+  },
   total: {
     type: Number,
     required: true,
     min: 0
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'NGN'
+  },
+  // Exchange rate snapshot: units of currency per unit of base currency at quote time
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    // A rate of 0 would turn every converted amount into 0
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  baseCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'NGN'
+  },
+  rateCard: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard'
+    },
+    name: String,
+    zone: String
   }
 });
 
+// Summary of the current payment attempt; full records live in the Payment collection
 const paymentSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: PAYMENT_STATUSES,
     default: 'pending'
   },
-  transactionId: String,
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS
+  },
+  amount: Number,
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES
+  },
   paidAt: Date,
-  refundReason: String
-});
+  refundedAmount: Number
+}, { _id: false });
 
 const shipmentSchema = new mongoose.Schema({
   userId: {
@@ -158,15 +303,7 @@ const shipmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: [
-      'pending',
-      'awaiting_pickup',
-      'picked_up',
-      'in_transit',
-      'out_for_delivery',
-      'delivered',
-      'cancelled'
-    ],
+    enum: SHIPMENT_STATUSES,
     default: 'pending'
   },
   sender: {
@@ -193,7 +330,16 @@ const shipmentSchema = new mongoose.Schema({
     date: {
       type: Date
     },
-    instructions: String
+    instructions: String,
+    // Person the courier asks for at the pickup location
+    contactName: {
+      type: String,
+      trim: true
+    },
+    contactPhone: {
+      type: String,
+      trim: true
+    }
   },
   delivery: {
     estimatedDate: Date,
@@ -208,8 +354,62 @@ const shipmentSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    proofs: [deliveryProofSchema],
+    // Set when the recipient redirects the delivery to a pickup point
+    pickupPoint: {
+      pickupPointId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PickupPoint'
+      },
+      code: String,
+      name: String,
+      address: {
+        street: String,
+        city: String,
+        country: String,
+        postalCode: String
+      },
+      openingHours: String,
+      redirectedAt: Date
+    },
+    // Set when the recipient picks a new date after a failed attempt
+    redelivery: {
+      requestedDate: Date,
+      requestedAt: Date
+    }
+  },
+  deliveryAttempts: [deliveryAttemptSchema],
+  returnInfo: {
+    reason: String,
+    initiatedAt: Date,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    charge: {
+      baseAmount: Number,
+      vat: Number,
+      vatRate: Number,
+      total: Number,
+      currency: String
     }
   },
+  assignment: {
+    pickupCourier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveryCourier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date
+  },
   insurance: {
     type: {
       type: String,
@@ -225,6 +425,15 @@ const shipmentSchema = new mongoose.Schema({
   cost: {
     type: costSchema
   },
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // Set when the shipment was created by a bulk import
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShipmentBatch'
+  },
   payment: {
     type: paymentSchema,
     default: {}
@@ -238,30 +447,329 @@ const shipmentSchema = new mongoose.Schema({
     type: Number,
     min: 1,
     max: 7
-  }
+  },
+  // When the owner was last warned that this draft is about to expire
+  draftWarningSentAt: Date
 }, {
   timestamps: true
 });
 
-// Generate tracking number before saving
+// Maximum attempts to find an unused tracking number before giving up
+const MAX_TRACKING_NUMBER_ATTEMPTS = 5;
+
+// Generate tracking number before saving. New shipments always get a generated
+// number, so every number has a check digit and collisions can be retried.
 shipmentSchema.pre('save', async function(next) {
-  if (!this.trackingNumber && !this.isDraft) {
+  if (this.isDraft || (this.trackingNumber && !this.isNew)) {
+    return next();
+  }
+
+  try {
     this.trackingNumber = await generateTrackingNumber(this.type);
+    this.$locals.trackingNumberGenerated = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check whether a save failed because a generated tracking number is taken
+ * @param {Object} shipment - Shipment being saved
+ * @param {Error} error - Save error
+ * @returns {boolean} Whether the tracking number collided
+ */
+const isTrackingNumberCollision = (shipment, error) => (
+  error.code === 11000 &&
+  shipment.$locals.trackingNumberGenerated &&
+  Object.keys(error.keyPattern || {}).some(
+    key => key === 'trackingNumber' || key === 'packages.trackingNumber'
+  )
+);
+
+/**
+ * Save, retrying with a new tracking number when the generated one is taken
+ * The unique index is what keeps tracking numbers unique: numbers can collide
+ * after a counter reset, and checking for them before inserting would race.
+ * Mongoose restores the document's changes when a save fails, so it can be
+ * saved again. Model.create goes through $save, so both are wrapped.
+ * @param {Object} [options] - Save options
+ * @returns {Promise<Object>} Saved shipment
+ */
+async function saveWithUniqueTrackingNumber(options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await mongoose.Model.prototype.save.call(this, options);
+    } catch (error) {
+      if (!isTrackingNumberCollision(this, error)) {
+        throw error;
+      }
+      if (attempt >= MAX_TRACKING_NUMBER_ATTEMPTS) {
+        throw new AppError('Could not allocate a tracking number, please try again', 503);
+      }
+
+      this.trackingNumber = undefined;
+      this.packages.forEach((pkg) => {
+        pkg.trackingNumber = undefined;
+      });
+      this.$locals.trackingNumberGenerated = false;
+    }
+  }
+}
+
+shipmentSchema.method('save', saveWithUniqueTrackingNumber, { suppressWarning: true });
+shipmentSchema.method('$save', saveWithUniqueTrackingNumber, { suppressWarning: true });
+
+// Give every package its piece number once the shipment has a tracking number.
+// Piece numbers are always derived here, never taken from the client.
+shipmentSchema.pre('save', function(next) {
+  if (this.trackingNumber) {
+    this.packages.forEach((pkg, index) => {
+      const pieceNumber = generatePieceTrackingNumber(this.trackingNumber, index);
+      if (pkg.trackingNumber !== pieceNumber) {
+        pkg.trackingNumber = pieceNumber;
+      }
+    });
   }
   next();
 });
 
+// Remember the persisted status so status changes can be checked on save
+shipmentSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Reject status changes that bypass the transition rules
+shipmentSchema.pre('save', function(next) {
+  if (this.isNew) {
+    // Later statuses can only be reached through transitions
+    if (this.status !== 'pending') {
+      return next(new AppError('New shipments must start as pending', 400));
+    }
+    return next();
+  }
+  if (!this.isModified('status') || this.$locals.statusTransitionChecked) {
+    return next();
+  }
+
+  try {
+    this.assertStatusTransition(this.$locals.persistedStatus, this.status);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+shipmentSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.trackingNumberGenerated = false;
+  this.$locals.statusTransitionChecked = false;
+});
+
+/**
+ * Assert that the shipment may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {Object} [options] - Override options
+ * @param {Object} [options.updatedBy] - User performing the change
+ * @param {boolean} [options.force] - Skip transition and payment rules (admin only)
+ * @param {string} [options.reason] - Reason for forcing the change
+ * @throws {AppError} If the transition is not allowed
+ */
+shipmentSchema.methods.assertStatusTransition = function(from, to, options = {}) {
+  const { updatedBy, force = false, reason } = options;
+
+  if (force) {
+    if (!updatedBy || updatedBy.role !== 'admin') {
+      throw new AppError('Only admins can force a status change', 403);
+    }
+    if (!reason) {
+      throw new AppError('A reason is required to force a status change', 400);
+    }
+    return;
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from);
+    throw new AppError(
+      `Cannot change shipment status from ${from} to ${to}. ` +
+      `Allowed next statuses: ${allowed.length ? allowed.join(', ') : 'none'}`,
+      409
+    );
+  }
+
+  if (requiresPayment(to) && !isPaid(this.payment?.status)) {
+    throw new AppError(
+      `Payment must be completed before the shipment can be ${to.replace(/_/g, ' ')}`,
+      409
+    );
+  }
+
+  if (to === 'delivered' && this.delivery?.options?.requiresSignature && !this.hasSignedProof()) {
+    throw new AppError('A recipient signature is required before the shipment can be delivered', 409);
+  }
+};
+
+/**
+ * Assert that the shipment's details may still be edited
+ * Edits are locked once a payment has been started or made, once the shipment
+ * has left pending, and for imported shipments priced as part of a batch.
+ * @throws {AppError} If the shipment is locked
+ */
+shipmentSchema.methods.assertEditable = function() {
+  if (this.isDraft) {
+    return;
+  }
+
+  if (this.status !== 'pending') {
+    throw new AppError(`Shipment can no longer be edited once it is ${this.status.replace(/_/g, ' ')}`, 409);
+  }
+
+  if (this.batchId) {
+    throw new AppError('Imported shipments cannot be edited one by one', 409);
+  }
+
+  if (this.payment?.paymentId && !['failed', 'cancelled'].includes(this.payment.status)) {
+    throw new AppError('Shipment can no longer be edited once payment has started', 409);
+  }
+};
+
+// Whether a signed proof of delivery has been captured
+shipmentSchema.methods.hasSignedProof = function() {
+  return (this.delivery?.proofs || []).some(proof => proof.signature?.key);
+};
+
 // Add timeline entry method
-shipmentSchema.methods.addTimelineEntry = async function(status, location, description) {
+shipmentSchema.methods.addTimelineEntry = async function(
+  status,
+  location,
+  description,
+  options = {}
+) {
+  const { updatedBy, force = false, reason } = options;
+  const from = this.$locals.persistedStatus || this.status;
+  const isInitialEntry = this.timeline.length === 0 && status === from;
+
+  if (!isInitialEntry) {
+    this.assertStatusTransition(from, status, options);
+  }
+
   this.timeline.push({
     status,
     location,
-    description
+    description,
+    updatedBy: updatedBy?._id || updatedBy,
+    forced: force,
+    overrideReason: force ? reason : undefined
   });
   this.status = status;
+  this.$locals.statusTransitionChecked = true;
+
+  // Packages that are behind a shipment-wide move catch up with it
+  if (PACKAGE_STATUSES.includes(status)) {
+    this.packages.forEach((pkg) => {
+      if (canAdvancePackage(pkg.status, status)) {
+        pkg.status = status;
+        pkg.events.push({
+          status,
+          location,
+          description: description || 'Updated with shipment',
+          scannedBy: updatedBy?._id || updatedBy
+        });
+      }
+    });
+  }
+
   return this.save();
 };
 
+/**
+ * Record a scan of one package and update the shipment status from its packages
+ * @param {string} pieceTrackingNumber - Package tracking number
+ * @param {string} status - New package status
+ * @param {Object} [options] - Scan details
+ * @param {string} [options.location] - Scan location
+ * @param {string} [options.description] - Scan description
+ * @param {Object} [options.scannedBy] - User recording the scan
+ * @returns {Promise<Object>} Saved shipment
+ * @throws {AppError} If the package is unknown or the scan moves it backwards
+ */
+shipmentSchema.methods.recordPackageScan = async function(
+  pieceTrackingNumber,
+  status,
+  options = {}
+) {
+  const { location, description, scannedBy } = options;
+
+  const pkg = this.packages.find(item => item.trackingNumber === pieceTrackingNumber);
+  if (!pkg) {
+    throw new AppError('Package not found in this shipment', 404);
+  }
+
+  if (!canAdvancePackage(pkg.status, status)) {
+    throw new AppError(
+      `Cannot change package status from ${pkg.status} to ${status}`,
+      409
+    );
+  }
+
+  const derived = deriveShipmentStatus(
+    this.packages.map(item => (item === pkg ? status : item.status))
+  );
+  const path = derived ? getTransitionPath(this.status, derived) : null;
+
+  // Check the shipment-level moves before touching the package
+  let from = this.status;
+  (path || []).forEach((step) => {
+    this.assertStatusTransition(from, step, { updatedBy: scannedBy });
+    from = step;
+  });
+
+  pkg.status = status;
+  pkg.events.push({
+    status,
+    location,
+    description,
+    scannedBy: scannedBy?._id || scannedBy
+  });
+
+  if (!path || !path.length) {
+    return this.save();
+  }
+
+  const delivered = this.packages.filter(item => item.status === 'delivered').length;
+  path.forEach((step) => {
+    this.timeline.push({
+      status: step,
+      location,
+      description: step === 'partially_delivered' ?
+        `${delivered} of ${this.packages.length} packages delivered` :
+        `All packages ${step.replace(/_/g, ' ')}`,
+      updatedBy: scannedBy?._id || scannedBy
+    });
+  });
+  this.status = path[path.length - 1];
+  this.$locals.statusTransitionChecked = true;
+  if (this.status === 'delivered') {
+    this.delivery.actualDate = Date.now();
+  }
+
+  return this.save();
+};
+
+// Count packages by status, e.g. { delivered: 3, out_for_delivery: 1 }
+shipmentSchema.methods.getPackageSummary = function() {
+  return this.packages.reduce((summary, pkg) => {
+    summary[pkg.status] = (summary[pkg.status] || 0) + 1;
+    return summary;
+  }, {});
+};
+
+// Get statuses the shipment can move to next
+shipmentSchema.methods.getAllowedTransitions = function() {
+  return getAllowedTransitions(this.status);
+};
+
 // Get estimated delivery date
 shipmentSchema.methods.getEstimatedDeliveryDate = function() {
   return this.delivery.estimatedDate;
@@ -285,17 +793,21 @@ shipmentSchema.methods.getLatestTimelineEntry = function() {
 
 // Check if shipment can be cancelled
 shipmentSchema.methods.canBeCancelled = function() {
-  const nonCancellableStatuses = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'cancelled'];
-  return !nonCancellableStatuses.includes(this.status);
+  return canTransition(this.status, 'cancelled');
 };
 
 // Indexes
 shipmentSchema.index({ userId: 1, createdAt: -1 });
 shipmentSchema.index({ trackingNumber: 1 });
+shipmentSchema.index({ 'packages.trackingNumber': 1 }, { unique: true, sparse: true });
 shipmentSchema.index({ status: 1 });
+shipmentSchema.index({ 'assignment.pickupCourier': 1, status: 1 });
+shipmentSchema.index({ 'assignment.deliveryCourier': 1, status: 1 });
 shipmentSchema.index({ 'sender.email': 1 });
 shipmentSchema.index({ 'recipient.email': 1 });
 shipmentSchema.index({ isDraft: 1, lastSavedStep: 1 });
+shipmentSchema.index({ isDraft: 1, updatedAt: 1 });
+shipmentSchema.index({ batchId: 1 }, { sparse: true });
 
 const Shipment = mongoose.model('Shipment', shipmentSchema);
 
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { PAYMENT_STATUSES, PAYMENT_METHODS } from '../utils/paymentStatus.js';
+
+// Shipments created together from one uploaded file and paid for with one payment
+const shipmentBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  shipments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment'
+  }],
+  // Sum of the shipment costs, all in one currency
+  cost: {
+    baseAmount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    insurance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    vat: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      required: true
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0']
+    }
+  },
+  // Summary of the current payment attempt, mirrored onto every shipment
+  payment: {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: 'pending'
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS
+    },
+    amount: Number,
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES
+    },
+    paidAt: Date,
+    refundedAmount: Number
+  },
+  source: {
+    fileName: String,
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx']
+    },
+    rows: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Number batches per year, e.g. BAT-2025-000042
+shipmentBatchSchema.pre('save', async function(next) {
+  if (this.batchNumber) {
+    return next();
+  }
+
+  try {
+    const year = new Date().getUTCFullYear();
+    const seq = await Counter.next(`shipment_batch:${year}`);
+    this.batchNumber = `BAT-${year}-${String(seq).padStart(6, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+shipmentBatchSchema.index({ userId: 1, createdAt: -1 });
+
+const ShipmentBatch = mongoose.model('ShipmentBatch', shipmentBatchSchema);
+
+export default ShipmentBatch;
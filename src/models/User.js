@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
 
 const addressSchema = new mongoose.Schema({
   street: {
@@ -33,6 +34,34 @@ const addressSchema = new mongoose.Schema({
   }
 });
 
+// Address book entry: a contact to send from or to and their address
+const contactAddressSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: addressSchema,
+    required: [true, 'Address is required']
+  },
+  // Pre-filled as the sender of new shipments; at most one address has it
+  isDefaultSender: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const savedLocationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -43,6 +72,21 @@ const savedLocationSchema = new mongoose.Schema({
   address: {
     type: addressSchema,
     required: [true, 'Address is required']
+  },
+  // Person the courier asks for at the location
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  // Pre-filled as the pickup location of new shipments; at most one location has it
+  isDefaultPickup: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -85,7 +129,7 @@ const settingsSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
-      enum: ['USD', 'EUR', 'GBP', 'NGN'],
+      enum: SUPPORTED_CURRENCIES,
       default: 'NGN'
     },
     timezone: {
@@ -139,7 +183,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'courier'],
     default: 'user'
   },
   isVerified: {
@@ -152,7 +196,7 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: Date,
   passwordChangedAt: Date,
   lastLogin: Date,
-  addresses: [addressSchema],
+  addresses: [contactAddressSchema],
   savedLocations: [savedLocationSchema],
   settings: {
     type: settingsSchema,
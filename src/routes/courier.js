@@ -0,0 +1,92 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getTasks,
+  recordPickup,
+  startDelivery,
+  recordAttempt,
+  recordDelivery
+} from '../controllers/courier.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { uploadProofOfDelivery } from '../middleware/upload.js';
+import { DELIVERY_ATTEMPT_REASONS } from '../utils/shipmentStatus.js';
+
+const router = express.Router();
+
+// Task list validation
+const tasksValidation = [
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Date must be a valid date')
+];
+
+// Common scan validation
+const scanValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid shipment ID'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Location cannot exceed 200 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Failed attempt validation
+const attemptValidation = [
+  ...scanValidation,
+  body('reason')
+    .notEmpty().withMessage('A reason is required for a failed attempt')
+    .isIn(Object.keys(DELIVERY_ATTEMPT_REASONS))
+    .withMessage(`Reason must be one of: ${Object.keys(DELIVERY_ATTEMPT_REASONS).join(', ')}`)
+];
+
+// Delivery validation (multipart, so numbers arrive as strings)
+const deliveryValidation = [
+  ...scanValidation,
+  body('receiverName')
+    .trim()
+    .notEmpty().withMessage('Receiver name is required')
+    .isLength({ max: 100 }).withMessage('Receiver name cannot exceed 100 characters'),
+  body('latitude')
+    .if(body('longitude').exists())
+    .notEmpty().withMessage('Latitude is required with longitude')
+    .bail()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .if(body('latitude').exists())
+    .notEmpty().withMessage('Longitude is required with latitude')
+    .bail()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Accuracy must be a positive number in metres')
+    .toFloat(),
+  body('packages')
+    .optional()
+    .toArray()
+    .isArray({ min: 1 }).withMessage('Packages must be a non-empty array'),
+  body('packages.*')
+    .isString().withMessage('Package tracking numbers must be strings')
+];
+
+// All routes are for couriers only
+router.use(protect, authorize('courier'));
+
+router.get('/tasks', validate(tasksValidation), getTasks);
+router.post('/shipments/:id/pickup', validate(scanValidation), recordPickup);
+router.post('/shipments/:id/out-for-delivery', validate(scanValidation), startDelivery);
+router.post('/shipments/:id/attempt', validate(attemptValidation), recordAttempt);
+router.post(
+  '/shipments/:id/deliver',
+  uploadProofOfDelivery,
+  validate(deliveryValidation),
+  recordDelivery
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+} from '../controllers/exchangeRate.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const router = express.Router();
+
+// Currency param validation
+const currencyParamValidation = [
+  param('currency')
+    .toUpperCase()
+    .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
+];
+
+// Exchange rate validation
+const exchangeRateValidation = [
+  ...currencyParamValidation,
+  body('rate')
+    .notEmpty().withMessage('Exchange rate is required')
+    .isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than 0')
+];
+
+// Public routes
+router.get('/', getExchangeRates);
+
+// Admin only routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.put('/:currency', validate(exchangeRateValidation), setExchangeRate);
+router.delete('/:currency', validate(currencyParamValidation), deleteExchangeRate);
+
+export default router;
@@ -3,14 +3,22 @@ import { body, query } from 'express-validator';
 import {
   initializeBankTransfer,
   verifyBankTransfer,
+  initializeCardPayment,
+  verifyCardPayment,
+  handlePaymentWebhook,
   processRefund,
   getPaymentStatus,
+  downloadReceipt,
+  getInvoice,
+  getInvoices,
   getPendingBankTransfers,
   getPaymentHistory,
   getPaymentStats
 } from '../controllers/payment.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { uploadReceipt } from '../middleware/upload.js';
 import { validate } from '../middleware/validate.js';
+import { PAYMENT_STATUSES } from '../utils/paymentStatus.js';
 
 const router = express.Router();
 
@@ -29,6 +37,22 @@ const bankTransferValidation = [
     .isLength({ min: 2, max: 100 }).withMessage('Bank name must be between 2 and 100 characters')
 ];
 
+// Card payment validation (a shipment, or a batch of imported shipments)
+const cardPaymentValidation = [
+  body()
+    .custom(value => Boolean(value.shipmentId) !== Boolean(value.batchId))
+    .withMessage('Either a shipment ID or a batch ID is required'),
+  body('shipmentId')
+    .optional()
+    .isMongoId().withMessage('Invalid shipment ID'),
+  body('batchId')
+    .optional()
+    .isMongoId().withMessage('Invalid batch ID'),
+  body('callbackUrl')
+    .optional()
+    .isURL({ require_tld: false }).withMessage('Callback URL must be a valid URL')
+];
+
 // Verification validation
 const verificationValidation = [
   body('verified')
@@ -54,7 +78,11 @@ const refundValidation = [
   body('amount')
     .optional()
     .isNumeric().withMessage('Amount must be a number')
-    .custom((value) => value > 0).withMessage('Amount must be greater than 0')
+    .custom((value) => value > 0).withMessage('Amount must be greater than 0'),
+  body('cancelShipment')
+    .optional()
+    .isBoolean().withMessage('Cancel shipment must be a boolean')
+    .toBoolean()
 ];
 
 // Query validation
@@ -67,10 +95,16 @@ const historyQueryValidation = [
     .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['pending', 'awaiting_verification', 'completed', 'failed', 'refunded'])
+    .isIn(PAYMENT_STATUSES)
     .withMessage('Invalid payment status')
 ];
 
+const invoiceQueryValidation = [
+  query('number')
+    .optional()
+    .matches(/^(INV|CN)-\d{4}-\d{6}$/).withMessage('Invalid invoice number')
+];
+
 const statsQueryValidation = [
   query('startDate')
     .optional()
@@ -86,12 +120,29 @@ const statsQueryValidation = [
     })
 ];
 
-// Protect all routes
+// Provider webhooks are authenticated by signature, not by user token
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+// Protect all other routes
 router.use(protect);
 
+// Card payment routes
+router.post(
+  '/card/initialize',
+  validate(cardPaymentValidation),
+  initializeCardPayment
+);
+
+router.get(
+  '/card/verify/:reference',
+  verifyCardPayment
+);
+
 // Bank transfer routes
+// Multipart form: receipt file plus the fields below
 router.post(
   '/bank-transfer/initialize',
+  uploadReceipt,
   validate(bankTransferValidation),
   initializeBankTransfer
 );
@@ -116,6 +167,24 @@ router.get(
   getPaymentStatus
 );
 
+// Invoice routes (?number= selects a specific invoice or credit note)
+router.get(
+  '/:shipmentId/invoice',
+  validate(invoiceQueryValidation),
+  getInvoice
+);
+
+router.get(
+  '/:shipmentId/invoices',
+  getInvoices
+);
+
+// Receipt download route
+router.get(
+  '/:paymentId/receipt',
+  downloadReceipt
+);
+
 // Refund route
 router.post(
   '/:shipmentId/refund',
@@ -0,0 +1,76 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getPickupPoints,
+  createPickupPoint,
+  updatePickupPoint
+} from '../controllers/pickupPoint.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { validate, commonValidations } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Pickup point validation; on update every field is optional
+const createPickupPointValidation = (isUpdate = false) => {
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .notEmpty().withMessage('Pickup point code is required')
+      .matches(/^[A-Za-z0-9_-]{3,20}$/)
+      .withMessage('Pickup point code must be 3-20 letters, numbers, dashes or underscores'),
+    field('name')
+      .notEmpty().withMessage('Pickup point name is required')
+      .isLength({ max: 100 }).withMessage('Pickup point name cannot exceed 100 characters'),
+    field('address.street')
+      .notEmpty().withMessage('Street address is required')
+      .trim(),
+    field('address.city')
+      .notEmpty().withMessage('City is required')
+      .trim(),
+    field('address.country')
+      .notEmpty().withMessage(commonValidations.country.notEmpty)
+      .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+    body('address.postalCode')
+      .optional()
+      .trim(),
+    body('phone')
+      .optional()
+      .matches(/^\+?[\d\s-()]{8,}$/).withMessage('Please provide a valid phone number'),
+    body('openingHours')
+      .optional()
+      .isLength({ max: 200 }).withMessage('Opening hours cannot exceed 200 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('Active must be a boolean')
+  ];
+};
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid pickup point ID')
+];
+
+// Query validation
+const listQueryValidation = [
+  query('country')
+    .optional()
+    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+  query('city')
+    .optional()
+    .isLength({ max: 100 }).withMessage('City cannot exceed 100 characters')
+];
+
+router.get('/', optionalAuth, validate(listQueryValidation), getPickupPoints);
+
+// Admin only routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.post('/', validate(createPickupPointValidation()), createPickupPoint);
+router.put(
+  '/:id',
+  validate([...idValidation, ...createPickupPointValidation(true)]),
+  updatePickupPoint
+);
+
+export default router;
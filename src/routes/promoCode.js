@@ -0,0 +1,98 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getPromoCodes,
+  createPromoCode,
+  disablePromoCode,
+  getPromoCodeRedemptions
+} from '../controllers/promoCode.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Promo code validation
+const promoCodeValidation = [
+  body('code')
+    .notEmpty().withMessage('Promo code is required')
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('discountType')
+    .notEmpty().withMessage('Discount type is required')
+    .isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+  body('value')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0')
+    .custom((value, { req }) => {
+      if (req.body.discountType === 'percentage' && value > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+      return true;
+    }),
+  body('maxDiscount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+  body('minOrderAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Minimum order amount must be non-negative'),
+  body('usageLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+  body('validFrom')
+    .optional()
+    .isISO8601().withMessage('Valid from must be a valid date'),
+  body('validUntil')
+    .optional()
+    .isISO8601().withMessage('Valid until must be a valid date')
+    .custom((validUntil, { req }) => {
+      if (new Date(validUntil) <= new Date(req.body.validFrom || Date.now())) {
+        throw new Error('Valid until date must be in the future and after valid from');
+      }
+      return true;
+    }),
+  body('shipmentTypes')
+    .optional()
+    .isArray().withMessage('Shipment types must be an array'),
+  body('shipmentTypes.*')
+    .isIn(['international', 'local']).withMessage('Shipment type must be either international or local')
+];
+
+// Query validation
+const listQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('active')
+    .optional()
+    .isBoolean().withMessage('Active must be a boolean')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid promo code ID')
+];
+
+// All promo code routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/')
+  .get(validate(listQueryValidation), getPromoCodes)
+  .post(validate(promoCodeValidation), createPromoCode);
+
+router.put('/:id/disable', validate(idValidation), disablePromoCode);
+router.get(
+  '/:id/redemptions',
+  validate([...idValidation, ...listQueryValidation]),
+  getPromoCodeRedemptions
+);
+
+export default router;
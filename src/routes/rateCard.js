@@ -0,0 +1,115 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+} from '../controllers/rateCard.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, commonValidations } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Rate card validation (optional = true for partial updates)
+const createRateCardValidation = (optional = false) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+
+  return [
+    field('name')
+      .notEmpty().withMessage('Rate card name is required')
+      .isLength({ max: 100 }).withMessage('Rate card name cannot exceed 100 characters'),
+    field('shipmentType')
+      .notEmpty().withMessage(commonValidations.shipmentType.notEmpty)
+      .isIn(['international', 'local']).withMessage(commonValidations.shipmentType.isIn),
+    field('zones')
+      .isArray({ min: 1 }).withMessage('At least one zone is required'),
+    body('zones.*.name')
+      .notEmpty().withMessage('Zone name is required'),
+    body('zones.*.originCountries')
+      .optional()
+      .isArray().withMessage('Origin countries must be an array'),
+    body('zones.*.originCountries.*')
+      .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+    body('zones.*.destinationCountries')
+      .optional()
+      .isArray().withMessage('Destination countries must be an array'),
+    body('zones.*.destinationCountries.*')
+      .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+    body('zones.*.weightBands')
+      .isArray({ min: 1 }).withMessage('Each zone needs at least one weight band'),
+    body('zones.*.weightBands.*.minWeight')
+      .isFloat({ min: 0 }).withMessage('Band minimum weight must be non-negative'),
+    body('zones.*.weightBands.*.maxWeight')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Band maximum weight must be non-negative'),
+    body('zones.*.weightBands.*.ratePerKg')
+      .isFloat({ min: 0 }).withMessage('Band rate per kg must be non-negative'),
+    body('zones.*.weightBands.*.flatFee')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Band flat fee must be non-negative'),
+    body('zones.*.minimumCharge')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Minimum charge must be non-negative'),
+    body('zones.*.surcharges')
+      .optional()
+      .isArray().withMessage('Surcharges must be an array'),
+    body('zones.*.surcharges.*.name')
+      .notEmpty().withMessage('Surcharge name is required'),
+    body('zones.*.surcharges.*.type')
+      .optional()
+      .isIn(['fixed', 'percentage']).withMessage('Surcharge type must be fixed or percentage'),
+    body('zones.*.surcharges.*.amount')
+      .isFloat({ min: 0 }).withMessage('Surcharge amount must be non-negative'),
+    body('effectiveFrom')
+      .optional()
+      .isISO8601().withMessage('Effective from must be a valid date'),
+    body('effectiveTo')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Effective to must be a valid date')
+      .custom((effectiveTo, { req }) => {
+        if (req.body.effectiveFrom && new Date(effectiveTo) <= new Date(req.body.effectiveFrom)) {
+          throw new Error('Effective to date must be after effective from date');
+        }
+        return true;
+      }),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('Active flag must be a boolean'),
+    body('priority')
+      .optional()
+      .isInt().withMessage('Priority must be an integer')
+  ];
+};
+
+// Query validation
+const listQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('shipmentType')
+    .optional()
+    .isIn(['international', 'local']).withMessage(commonValidations.shipmentType.isIn),
+  query('active')
+    .optional()
+    .isBoolean().withMessage('Active must be a boolean')
+];
+
+// All rate card routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/')
+  .get(validate(listQueryValidation), getRateCards)
+  .post(validate(createRateCardValidation()), createRateCard);
+
+router.route('/:id')
+  .get(getRateCard)
+  .put(validate(createRateCardValidation(true)), updateRateCard)
+  .delete(deleteRateCard);
+
+export default router;
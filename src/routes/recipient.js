@@ -0,0 +1,73 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getRecipientShipment,
+  updateTimeWindow,
+  updateInstructions,
+  redirectDelivery,
+  rescheduleDelivery
+} from '../controllers/recipient.js';
+import { requireShipmentToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { RECIPIENT_PURPOSE } from '../services/recipientService.js';
+
+const router = express.Router();
+
+// Shipment link validation
+const shipmentLinkValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid shipment ID')
+];
+
+// Time window validation
+const timeWindowValidation = [
+  body('start')
+    .notEmpty().withMessage('Time window start is required')
+    .isISO8601().withMessage('Time window start must be a valid date'),
+  body('end')
+    .notEmpty().withMessage('Time window end is required')
+    .isISO8601().withMessage('Time window end must be a valid date')
+];
+
+// Instructions validation
+const instructionsValidation = [
+  body('specialInstructions')
+    .exists().withMessage('Special instructions are required')
+    .isString().withMessage('Special instructions must be text')
+    .isLength({ max: 500 }).withMessage('Special instructions cannot exceed 500 characters')
+];
+
+// Redirect validation
+const redirectValidation = [
+  body('pickupPointId')
+    .notEmpty().withMessage('Pickup point is required')
+    .isMongoId().withMessage('Invalid pickup point ID')
+];
+
+// Reschedule validation
+const rescheduleValidation = [
+  body('date')
+    .notEmpty().withMessage('Delivery date is required')
+    .isISO8601().withMessage('Delivery date must be a valid date'),
+  body('timeWindow.start')
+    .if(body('timeWindow').exists())
+    .isISO8601().withMessage('Time window start must be a valid date'),
+  body('timeWindow.end')
+    .if(body('timeWindow').exists())
+    .isISO8601().withMessage('Time window end must be a valid date')
+];
+
+// Links emailed to the recipient carry a signed token instead of a login
+router.use(
+  '/shipments/:id',
+  validate(shipmentLinkValidation),
+  requireShipmentToken(RECIPIENT_PURPOSE)
+);
+
+router.get('/shipments/:id', getRecipientShipment);
+router.put('/shipments/:id/time-window', validate(timeWindowValidation), updateTimeWindow);
+router.put('/shipments/:id/instructions', validate(instructionsValidation), updateInstructions);
+router.post('/shipments/:id/redirect', validate(redirectValidation), redirectDelivery);
+router.post('/shipments/:id/reschedule', validate(rescheduleValidation), rescheduleDelivery);
+
+export default router;
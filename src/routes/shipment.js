@@ -1,123 +1,75 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   createShipment,
   getShipments,
   getShipment,
   trackShipment,
   updateShipmentStatus,
+  getShippingLabel,
+  getProofOfDelivery,
+  scanPackage,
+  assignCouriers,
   calculateCost,
   getShipmentStats,
   saveShipmentDraft,
   getShipmentDraft,
+  getShipmentDrafts,
+  duplicateShipmentDraft,
+  extendShipmentDraft,
+  validateDraftStep,
+  convertShipmentDraft,
   initializeShipment,
   updatePackageDetails,
   updateDeliveryOptions,
   updateSenderInfo,
   updateRecipientInfo,
   updatePickupLocation,
-  updateInsurance
+  updateInsurance,
+  importShipments,
+  getShipmentBatch,
+  exportShipments,
+  exportAllShipments
 } from '../controllers/shipment.js';
 import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { shipmentAccess } from '../middleware/shipmentAccess.js';
+import trackingLimiter from '../middleware/trackingLimiter.js';
+import { uploadShipmentFile } from '../middleware/upload.js';
 import { validate, commonValidations } from '../middleware/validate.js';
+import { SHIPMENT_STATUSES, PACKAGE_STATUSES } from '../utils/shipmentStatus.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { LABEL_FORMATS } from '../utils/labelPdf.js';
+import { MIN_PHONE_DIGITS } from '../services/trackingService.js';
+import { EXPORT_FORMATS } from '../services/shipmentExportService.js';
+import {
+  createContactValidation,
+  createPackageValidation,
+  createShipmentValidation,
+  packagesValidation,
+  deliveryOptionsValidation,
+  pickupValidation,
+  insuranceValidation,
+  pricingValidation
+} from '../validators/shipment.js';
+import { STEP_COUNT } from '../validators/shipmentSteps.js';
 
 const router = express.Router();
 
-// Contact validation schema generator
-const createContactValidation = (prefix) => [
-  body(`${prefix}.name`)
-    .notEmpty().withMessage(commonValidations.name.notEmpty)
-    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body(`${prefix}.email`)
-    .notEmpty().withMessage(commonValidations.email.notEmpty)
-    .isEmail().withMessage(commonValidations.email.isEmail),
-  body(`${prefix}.phone`)
-    .notEmpty().withMessage(commonValidations.phone.notEmpty),
-  body(`${prefix}.address.street`)
-    .notEmpty().withMessage('Street is required'),
-  body(`${prefix}.address.city`)
-    .notEmpty().withMessage('City is required'),
-  body(`${prefix}.address.country`)
-    .notEmpty().withMessage(commonValidations.country.notEmpty)
-    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
-  body(`${prefix}.address.postalCode`)
-    .notEmpty().withMessage(commonValidations.postalCode.notEmpty),
-  body(`${prefix}.address.taxId`)
-    .optional()
-    .notEmpty().withMessage('Tax ID cannot be empty if provided')
-];
-
-// Package validation schema generator
-const createPackageValidation = (prefix = '') => [
-  body(`${prefix}packageType`)
-    .notEmpty().withMessage('Package type is required')
-    .isIn(['parcel', 'documents', 'pallet', 'container', 'other'])
-    .withMessage('Invalid package type'),
-  body(`${prefix}weight`)
-    .notEmpty().withMessage(commonValidations.weight.notEmpty)
-    .isNumeric().withMessage(commonValidations.weight.isNumeric)
-    .isFloat({ min: 0.1 }).withMessage(commonValidations.weight.min),
-  body(`${prefix}dimensions.length`)
-    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
-    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
-    .isFloat({ min: 1, max: 150 }).withMessage('Length must be between 1 and 150 cm'),
-  body(`${prefix}dimensions.width`)
-    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
-    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
-    .isFloat({ min: 1, max: 150 }).withMessage('Width must be between 1 and 150 cm'),
-  body(`${prefix}dimensions.height`)
-    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
-    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
-    .isFloat({ min: 1, max: 150 }).withMessage('Height must be between 1 and 150 cm'),
-  body(`${prefix}isFragile`).optional().isBoolean(),
-  body(`${prefix}isPerishable`).optional().isBoolean(),
-  body(`${prefix}isHazardous`).optional().isBoolean(),
-  body(`${prefix}description`).optional().isString().trim()
-];
-
 // Draft validation schema
 const draftValidation = [
   body('step')
     .notEmpty().withMessage('Step number is required')
-    .isInt({ min: 1, max: 7 }).withMessage('Invalid step number'),
+    .isInt({ min: 1, max: STEP_COUNT }).withMessage('Invalid step number'),
   body('formData').isObject().withMessage('Form data is required')
 ];
 
-// Shipment creation validation
-const createShipmentValidation = [
-  body('type')
-    .notEmpty().withMessage(commonValidations.shipmentType.notEmpty)
-    .isIn(['international', 'local']).withMessage(commonValidations.shipmentType.isIn),
-  body('sender').isObject().withMessage('Sender information is required'),
-  ...createContactValidation('sender'),
-  body('recipient').isObject().withMessage('Recipient information is required'),
-  ...createContactValidation('recipient'),
-  body('packages')
-    .isArray({ min: 1, max: 10 }).withMessage('At least one package is required (max 10)'),
-  body('packages.*').isObject().withMessage('Invalid package data'),
-  ...createPackageValidation('packages.*.'),
-  body('pickup.location').isObject().withMessage('Pickup location is required'),
-  body('pickup.location.street').notEmpty().withMessage('Pickup street is required'),
-  body('pickup.location.city').notEmpty().withMessage('Pickup city is required'),
-  body('pickup.location.country')
-    .notEmpty().withMessage('Pickup country is required')
-    .isISO31661Alpha2().withMessage('Invalid pickup country code'),
-  body('pickup.location.postalCode').notEmpty().withMessage('Pickup postal code is required'),
-  body('pickup.date')
-    .notEmpty().withMessage(commonValidations.date.notEmpty)
-    .isISO8601().withMessage(commonValidations.date.isDate),
-  body('delivery.options').optional().isObject(),
-  body('delivery.options.timeWindow').optional().isObject(),
-  body('delivery.options.timeWindow.start').optional().isISO8601(),
-  body('delivery.options.timeWindow.end').optional().isISO8601(),
-  body('delivery.options.specialInstructions').optional().isString(),
-  body('delivery.options.requiresSignature').optional().isBoolean(),
-  body('insurance.type')
-    .optional()
-    .isIn(['none', 'basic', 'premium']).withMessage('Invalid insurance type'),
-  body('insurance.coverage')
-    .optional()
-    .isFloat({ min: 0 }).withMessage('Coverage amount must be non-negative')
+// Draft step validation schema
+const draftStepValidation = [
+  body('step')
+    .notEmpty().withMessage('Step number is required')
+    .isInt({ min: 1, max: STEP_COUNT }).withMessage('Invalid step number')
+    .toInt(),
+  body('formData').optional().isObject().withMessage('Form data must be an object')
 ];
 
 // Initialize shipment validation
@@ -128,6 +80,27 @@ const initializeShipmentValidation = [
   body('destination').isObject()
 ];
 
+// Shipment edit validation; each route replaces one section, so that section is required
+const updateDeliveryValidation = [
+  body('delivery.options').isObject().withMessage('Delivery options are required'),
+  ...deliveryOptionsValidation
+];
+
+const updateSenderValidation = [
+  body('sender').isObject().withMessage('Sender information is required'),
+  ...createContactValidation('sender')
+];
+
+const updateRecipientValidation = [
+  body('recipient').isObject().withMessage('Recipient information is required'),
+  ...createContactValidation('recipient')
+];
+
+const updateInsuranceValidation = [
+  body('insurance').isObject().withMessage('Insurance details are required'),
+  ...insuranceValidation
+];
+
 // Cost calculation validation
 const calculateCostValidation = [
   body('type')
@@ -137,53 +110,160 @@ const calculateCostValidation = [
     .isArray({ min: 1, max: 10 }).withMessage('At least one package is required (max 10)'),
   body('packages.*').isObject().withMessage('Invalid package data'),
   ...createPackageValidation('packages.*.'),
+  body('sender.address.country')
+    .optional()
+    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+  body('recipient.address.country')
+    .optional()
+    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
   body('insurance.type')
     .optional()
-    .isIn(['none', 'basic', 'premium']).withMessage('Invalid insurance type')
+    .isIn(['none', 'basic', 'premium']).withMessage('Invalid insurance type'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('promoCode')
+    .optional()
+    .isString().withMessage('Promo code must be a string')
+    .isLength({ min: 3, max: 30 }).withMessage('Invalid promo code')
 ];
 
 // Status update validation
 const updateStatusValidation = [
   body('status')
     .notEmpty().withMessage('Status is required')
-    .isIn([
-      'pending',
-      'awaiting_pickup',
-      'picked_up',
-      'in_transit',
-      'out_for_delivery',
-      'delivered',
-      'cancelled'
-    ]).withMessage('Invalid status'),
+    .isIn(SHIPMENT_STATUSES).withMessage('Invalid status'),
+  body('location').optional().notEmpty().withMessage('Location cannot be empty if provided'),
+  body('description').optional().notEmpty().withMessage('Description cannot be empty if provided'),
+  body('force').optional().isBoolean().withMessage('Force must be a boolean'),
+  body('reason')
+    .if(body('force').equals('true'))
+    .notEmpty().withMessage('A reason is required to force a status change')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Package scan validation
+const scanValidation = [
+  body('trackingNumber')
+    .notEmpty().withMessage('Package tracking number is required'),
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(PACKAGE_STATUSES).withMessage('Invalid package status'),
   body('location').optional().notEmpty().withMessage('Location cannot be empty if provided'),
   body('description').optional().notEmpty().withMessage('Description cannot be empty if provided')
 ];
 
+// Courier assignment validation
+const assignValidation = [
+  body()
+    .custom(value => value.pickupCourierId !== undefined || value.deliveryCourierId !== undefined)
+    .withMessage('A pickup or delivery courier is required'),
+  body('pickupCourierId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid pickup courier ID'),
+  body('deliveryCourierId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid delivery courier ID')
+];
+
+// Bulk import validation (multipart fields sent with the file)
+const importValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean().withMessage('Dry run must be a boolean')
+    .toBoolean(),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
+];
+
+// Export validation
+const exportQueryValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(SHIPMENT_STATUSES).withMessage('Invalid shipment status'),
+  query('type')
+    .optional()
+    .isIn(['international', 'local']).withMessage('Invalid shipment type'),
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('End date must be a valid date')
+    .custom((endDate, { req }) => {
+      if (req.query.startDate && new Date(endDate) < new Date(req.query.startDate)) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    })
+];
+
+// Label validation
+const labelQueryValidation = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(LABEL_FORMATS))
+    .withMessage(`Label format must be one of: ${Object.keys(LABEL_FORMATS).join(', ')}`)
+];
+
+// Tracking verification validation
+const trackQueryValidation = [
+  query('postalCode')
+    .optional()
+    .isString().withMessage('Postal code must be a string')
+    .isLength({ max: 20 }).withMessage('Postal code cannot exceed 20 characters'),
+  query('phone')
+    .optional()
+    .isString().withMessage('Phone must be a string')
+    .matches(new RegExp(`^\\d{${MIN_PHONE_DIGITS},}$`))
+    .withMessage(`Phone must be at least the last ${MIN_PHONE_DIGITS} digits of the sender's phone number`)
+];
+
 // Public routes
-router.get('/track/:trackingNumber', trackShipment);
-router.post('/calculate-cost', validate(calculateCostValidation), calculateCost);
+router.get('/track/:trackingNumber', trackingLimiter, optionalAuth, validate(trackQueryValidation), trackShipment);
+router.post('/calculate-cost', optionalAuth, validate(calculateCostValidation), calculateCost);
+
+// Exports, drafts and stats need login but must come before /:id, which would otherwise match them
+router.get('/export', protect, validate(exportQueryValidation), exportShipments);
+router.get('/export/all', protect, authorize('admin'), validate(exportQueryValidation), exportAllShipments);
+router.get('/drafts', protect, getShipmentDrafts);
+router.get('/stats', protect, getShipmentStats);
 
 // Routes that work with or without auth
 router.post('/initialize', optionalAuth, validate(initializeShipmentValidation), initializeShipment);
 router.post('/', optionalAuth, validate(createShipmentValidation), createShipment);
-router.get('/:id', optionalAuth, getShipment);
+router.get('/:id', optionalAuth, shipmentAccess({ isDraft: false }), getShipment);
+router.get('/:id/label', optionalAuth, validate(labelQueryValidation), shipmentAccess({ isDraft: false }), getShippingLabel);
+router.get('/:id/proof-of-delivery', optionalAuth, getProofOfDelivery);
 router.post('/draft', optionalAuth, validate(draftValidation), saveShipmentDraft);
-router.get('/draft/:id', optionalAuth, getShipmentDraft);
+router.get('/draft/:id', optionalAuth, shipmentAccess({ isDraft: true }), getShipmentDraft);
+router.post('/draft/:id/duplicate', optionalAuth, shipmentAccess({ isDraft: true }), duplicateShipmentDraft);
+router.post('/draft/:id/extend', optionalAuth, shipmentAccess({ isDraft: true }), extendShipmentDraft);
+router.post('/draft/:id/validate', optionalAuth, validate(draftStepValidation), shipmentAccess({ isDraft: true }), validateDraftStep);
+router.post('/draft/:id/convert', optionalAuth, validate(pricingValidation), shipmentAccess({ isDraft: true }), convertShipmentDraft);
 
-// Package update routes
-router.put('/:id/package', optionalAuth, updatePackageDetails);
-router.put('/:id/delivery', optionalAuth, updateDeliveryOptions);
-router.put('/:id/sender', optionalAuth, updateSenderInfo);
-router.put('/:id/recipient', optionalAuth, updateRecipientInfo);
-router.put('/:id/pickup', optionalAuth, updatePickupLocation);
-router.put('/:id/insurance', optionalAuth, updateInsurance);
+// Package update routes (owner, admin or guest token; locked once paid or picked up)
+const canEdit = shipmentAccess({ edit: true });
+router.put('/:id/package', optionalAuth, validate(packagesValidation), canEdit, updatePackageDetails);
+router.put('/:id/delivery', optionalAuth, validate(updateDeliveryValidation), canEdit, updateDeliveryOptions);
+router.put('/:id/sender', optionalAuth, validate(updateSenderValidation), canEdit, updateSenderInfo);
+router.put('/:id/recipient', optionalAuth, validate(updateRecipientValidation), canEdit, updateRecipientInfo);
+router.put('/:id/pickup', optionalAuth, validate(pickupValidation), canEdit, updatePickupLocation);
+router.put('/:id/insurance', optionalAuth, validate(updateInsuranceValidation), canEdit, updateInsurance);
 
 // Protected routes (require login)
 router.use(protect);
 router.get('/', getShipments);
-router.get('/stats', getShipmentStats);
+router.post('/import', uploadShipmentFile, validate(importValidation), importShipments);
+router.get('/batches/:batchId', getShipmentBatch);
 
 // Admin only routes
 router.put('/:id/status', authorize('admin'), validate(updateStatusValidation), updateShipmentStatus);
+router.post('/scan', authorize('admin'), validate(scanValidation), scanPackage);
+router.put('/:id/assign', authorize('admin'), validate(assignValidation), assignCouriers);
 
 export default router;
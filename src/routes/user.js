@@ -10,10 +10,20 @@ import {
   addSavedLocation,
   updateSavedLocation,
   deleteSavedLocation,
-  getUserStats
+  exportAddressBook,
+  importAddressBook,
+  getUserStats,
+  updateUserRole,
+  getCouriers
 } from '../controllers/user.js';
-import { protect } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadAddressBookFile } from '../middleware/upload.js';
 import { validate, commonValidations } from '../middleware/validate.js';
+import {
+  addressValidation,
+  savedLocationValidation,
+  addressBookExportValidation
+} from '../validators/addressBook.js';
 
 const router = express.Router();
 
@@ -37,55 +47,11 @@ const profileUpdateValidation = [
     .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2)
 ];
 
-// Address validation
-const addressValidation = [
-  body('name')
-    .notEmpty().withMessage('Name is required')
-    .trim(),
-  body('email')
-    .notEmpty().withMessage(commonValidations.email.notEmpty)
-    .isEmail().withMessage(commonValidations.email.isEmail),
-  body('phone')
-    .notEmpty().withMessage(commonValidations.phone.notEmpty)
-    .matches(/^\+?[\d\s-()]{8,}$/).withMessage('Please provide a valid phone number'),
-  body('address.street')
-    .notEmpty().withMessage('Street address is required')
-    .trim(),
-  body('address.city')
-    .notEmpty().withMessage('City is required')
-    .trim(),
-  body('address.country')
-    .notEmpty().withMessage(commonValidations.country.notEmpty)
-    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
-  body('address.postalCode')
-    .notEmpty().withMessage(commonValidations.postalCode.notEmpty)
-    .trim(),
-  body('address.taxId')
-    .optional()
-    .trim()
-];
-
-// Saved location validation
-const savedLocationValidation = [
-  body('name')
-    .notEmpty().withMessage('Location name is required')
-    .trim()
-    .isLength({ max: 100 }).withMessage('Location name cannot exceed 100 characters'),
-  body('address.street')
-    .notEmpty().withMessage('Street address is required')
-    .trim(),
-  body('address.city')
-    .notEmpty().withMessage('City is required')
-    .trim(),
-  body('address.country')
-    .notEmpty().withMessage(commonValidations.country.notEmpty)
-    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
-  body('address.postalCode')
-    .notEmpty().withMessage(commonValidations.postalCode.notEmpty)
-    .trim(),
-  body('address.taxId')
-    .optional()
-    .trim()
+// Role validation
+const roleValidation = [
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['user', 'admin', 'courier']).withMessage('Invalid role')
 ];
 
 // Protect all routes
@@ -113,4 +79,12 @@ router.route('/saved-locations/:id')
   .put(validate(savedLocationValidation), updateSavedLocation)
   .delete(deleteSavedLocation);
 
+// Address book import and export (addresses and saved locations together)
+router.get('/address-book/export', validate(addressBookExportValidation), exportAddressBook);
+router.post('/address-book/import', uploadAddressBookFile, importAddressBook);
+
+// Admin routes
+router.get('/couriers', authorize('admin'), getCouriers);
+router.put('/:id/role', authorize('admin'), validate(roleValidation), updateUserRole);
+
 export default router;
@@ -1,62 +1,33 @@
 import dotenv from 'dotenv';
-import mongoose from 'mongoose';
 import connectDB from '../config/db.js';
-import Shipment from '../models/Shipment.js';
-import notificationService from '../services/notificationService.js';
+import draftService from '../services/draftService.js';
 
 // Load environment variables
 dotenv.config();
 
 /**
- * Cleanup old draft shipments
+ * Warn owners of drafts that are about to expire, then delete expired drafts
+ * Drafts expire DRAFT_TTL_DAYS (default 7) after they were last edited.
+ * Uses the existing database connection, so the server can run it on a schedule.
+ * @returns {Promise<Object>} Number of drafts warned and deleted
  */
 const cleanupDrafts = async () => {
-  try {
-    // Connect to database
-    await connectDB();
+  const warned = await draftService.sendExpiryWarnings();
+  const deleted = await draftService.deleteExpiredDrafts();
 
-    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    
-    // Find drafts older than a week
-    const oldDrafts = await Shipment.find({
-      isDraft: true,
-      createdAt: { $lt: oneWeekAgo }
-    });
-
-    console.log(`Found ${oldDrafts.length} old drafts to clean up`);
-
-    // Delete drafts and notify users
-    for (const draft of oldDrafts) {
-      if (draft.userId) {
-        // Create notification before deleting
-        await notificationService.createNotification({
-          userId: draft.userId,
-          type: 'system_notification',
-          title: 'Draft Shipment Deleted',
-          message: 'Your draft shipment has been deleted due to inactivity.',
-          data: {
-            draftId: draft._id,
-            createdAt: draft.createdAt
-          },
-          priority: 'low'
-        });
-      }
-
-      // Delete the draft
-      await draft.deleteOne();
-    }
-
-    console.log('Draft cleanup completed successfully');
-    process.exit(0);
-  } catch (error) {
-    console.error('Error cleaning up drafts:', error);
-    process.exit(1);
-  }
+  console.log(`Draft cleanup completed: ${warned} warned, ${deleted} deleted`);
+  return { warned, deleted };
 };
 
-// Set up cron job if running as main script
+// Run once and exit when called as a script (npm run cleanup-drafts)
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  cleanupDrafts();
+  connectDB()
+    .then(cleanupDrafts)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error cleaning up drafts:', error);
+      process.exit(1);
+    });
 }
 
 // Export for use in other files
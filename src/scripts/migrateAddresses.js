@@ -0,0 +1,68 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Turn a legacy address book entry (a bare address) into a contact
+ * The old entries were the user's own addresses, so the user is the contact.
+ * @param {Object} entry - Raw address book entry
+ * @param {Object} user - Raw user document
+ * @returns {Object} Contact entry
+ */
+const toContact = (entry, user) => {
+  const { _id, street, city, country, postalCode, taxId } = entry;
+
+  return {
+    _id,
+    name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+    email: user.email,
+    phone: user.phone,
+    address: { street, city, country, postalCode, taxId },
+    isDefaultSender: false
+  };
+};
+
+/**
+ * Wrap legacy address book entries into { name, address } contacts
+ * Safe to run more than once: entries that already have an address are kept.
+ */
+const migrateAddresses = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    // Read raw documents; the current schema rejects the legacy entries
+    const cursor = User.collection.find({
+      addresses: { $elemMatch: { address: { $exists: false } } }
+    });
+
+    const summary = { scanned: 0, migrated: 0, entries: 0 };
+
+    for await (const user of cursor) {
+      summary.scanned += 1;
+      const legacyCount = user.addresses.filter(entry => !entry.address).length;
+      const addresses = user.addresses
+        .map(entry => (entry.address ? entry : toContact(entry, user)));
+
+      if (!dryRun) {
+        await User.collection.updateOne({ _id: user._id }, { $set: { addresses } });
+      }
+      summary.migrated += 1;
+      summary.entries += legacyCount;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Address book migration completed:`, summary);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating address books:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateAddresses();
@@ -0,0 +1,144 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import Shipment from '../models/Shipment.js';
+import Payment from '../models/Payment.js';
+import { getBaseCurrency, roundAmount } from '../utils/currency.js';
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Build a Payment record from a legacy embedded shipment payment
+ * @param {Object} shipment - Raw shipment document
+ * @returns {Object|null} Payment data, or null if no payment was ever started
+ */
+const toPayment = (shipment) => {
+  const legacy = shipment.payment || {};
+  const started = legacy.method || legacy.transactionId || legacy.bankDetails ||
+    (legacy.status && legacy.status !== 'pending');
+  if (!started) {
+    return null;
+  }
+
+  const amount = legacy.amount ?? shipment.cost?.total ?? 0;
+  const refundedAmount = legacy.refunded || legacy.status === 'refunded' ?
+    roundAmount(legacy.refundAmount ?? amount) :
+    0;
+
+  let status = legacy.status || 'pending';
+  if (refundedAmount) {
+    status = refundedAmount >= amount ? 'refunded' : 'partially_refunded';
+  }
+
+  const createdAt = legacy.createdAt || shipment.createdAt;
+
+  return {
+    shipmentId: shipment._id,
+    userId: shipment.userId,
+    attempt: 1,
+    method: legacy.method || (legacy.bankDetails ? 'bank_transfer' : 'card'),
+    status,
+    amount,
+    currency: legacy.currency || shipment.cost?.currency || getBaseCurrency(),
+    exchangeRate: shipment.cost?.exchangeRate || 1,
+    provider: legacy.provider,
+    reference: legacy.reference,
+    transactionId: legacy.transactionId,
+    failureReason: legacy.failureReason,
+    bankDetails: legacy.bankDetails,
+    verifiedAt: legacy.verifiedAt,
+    verifiedBy: legacy.verifiedBy,
+    notes: legacy.notes,
+    rejectionReason: legacy.rejectionReason,
+    paidAt: legacy.paidAt || legacy.verifiedAt,
+    refundedAmount,
+    refunds: refundedAmount ? [{
+      amount: refundedAmount,
+      reason: legacy.refundReason || 'Refund recorded before migration',
+      refundedBy: legacy.refundedBy,
+      refundReference: legacy.refundReference,
+      createdAt: legacy.refundedAt || createdAt
+    }] : [],
+    history: [{
+      status,
+      note: 'Migrated from shipment payment record',
+      timestamp: createdAt
+    }],
+    createdAt
+  };
+};
+
+/**
+ * Move embedded shipment payments into the Payment collection
+ * Safe to run more than once: shipments that already point at a payment
+ * record are skipped.
+ */
+const migratePayments = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    // Read raw documents; the current schema would drop the legacy fields
+    const cursor = Shipment.collection.find({
+      payment: { $exists: true },
+      'payment.paymentId': { $exists: false }
+    });
+
+    const summary = { scanned: 0, migrated: 0, reset: 0 };
+
+    for await (const shipment of cursor) {
+      summary.scanned += 1;
+      const data = toPayment(shipment);
+
+      if (!data) {
+        // No attempt was ever made; keep a clean summary only
+        if (!dryRun) {
+          await Shipment.collection.updateOne(
+            { _id: shipment._id },
+            { $set: { payment: { status: 'pending' } } }
+          );
+        }
+        summary.reset += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        summary.migrated += 1;
+        continue;
+      }
+
+      // Reuse a record left behind by an interrupted run
+      const payment = await Payment.findOne({ shipmentId: shipment._id, attempt: 1 }) ||
+        await Payment.create(data);
+
+      await Shipment.collection.updateOne(
+        { _id: shipment._id },
+        {
+          $set: {
+            payment: {
+              paymentId: payment._id,
+              status: payment.status,
+              method: payment.method,
+              amount: payment.amount,
+              currency: payment.currency,
+              paidAt: payment.paidAt,
+              refundedAmount: payment.refundedAmount
+            }
+          }
+        }
+      );
+      summary.migrated += 1;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Payment migration completed:`, summary);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating payments:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migratePayments();
@@ -0,0 +1,592 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { validationResult } from 'express-validator';
+import { AppError } from '../utils/responseHandler.js';
+import { sanitizeData } from '../middleware/validate.js';
+import { addressValidation, savedLocationValidation } from '../validators/addressBook.js';
+import { toCsvCell } from './shipmentExportService.js';
+
+export const MAX_ADDRESSES = 10;
+export const MAX_SAVED_LOCATIONS = 20;
+
+// Largest file accepted in one upload, in rows or cards
+export const MAX_IMPORT_ENTRIES = 200;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  vcf: 'text/vcard; charset=utf-8'
+};
+
+// CSV columns; `type` is contact or location and `default` marks the default sender or pickup
+export const CSV_COLUMNS = [
+  'type',
+  'name',
+  'email',
+  'phone',
+  'contact_name',
+  'street',
+  'city',
+  'postal_code',
+  'country',
+  'tax_id',
+  'default'
+];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// Country codes by lower-case English country name, built on first use
+let countryCodes;
+
+/**
+ * Normalise text for comparisons: trimmed, lower case, single spaces
+ * @param {*} value - Text
+ * @returns {string} Normalised text
+ */
+const normalize = value => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Key that identifies an address regardless of case and spacing
+ * @param {Object} address - Address
+ * @returns {string} Key
+ */
+export const addressKey = address => ['street', 'city', 'postalCode', 'country']
+  .map(field => normalize(address?.[field]))
+  .join('|');
+
+/**
+ * Key that identifies an address book contact: the same person at the same address
+ * @param {Object} contact - Contact with name and address
+ * @returns {string} Key
+ */
+const contactKey = contact => `${normalize(contact.name)}|${addressKey(contact.address)}`;
+
+/**
+ * Turn a country name or code into a country code
+ * Names are matched against English country names; anything else is returned
+ * unchanged so validation can report it.
+ * @param {string} value - Country name or code
+ * @returns {string} Country code
+ */
+const toCountryCode = (value) => {
+  const text = String(value ?? '').trim();
+  if (/^[a-z]{2}$/i.test(text)) {
+    return text.toUpperCase();
+  }
+
+  if (!countryCodes) {
+    const names = new Intl.DisplayNames(['en'], { type: 'region' });
+    countryCodes = new Map();
+    for (let first = 65; first <= 90; first++) {
+      for (let second = 65; second <= 90; second++) {
+        const code = String.fromCharCode(first, second);
+        const name = names.of(code);
+        // Skip unknown codes and old aliases, e.g. UK for GB
+        if (name !== code && Intl.getCanonicalLocales(`und-${code}`)[0] === `und-${code}`) {
+          countryCodes.set(name.toLowerCase(), code);
+        }
+      }
+    }
+  }
+
+  return countryCodes.get(text.toLowerCase()) || text;
+};
+
+/**
+ * Undo the prefix that CSV exports add to text starting with a formula character
+ * @param {string} text - Cell text
+ * @returns {string} Text
+ */
+const unguardCsvCell = text => text.replace(/^'(?=[=+\-@\t\r])/, '');
+
+/**
+ * Escape text for a vCard value
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeVcardValue = value => String(value ?? '')
+  .replace(/[\\,;]/g, '\\$&')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undo vCard value escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+const unescapeVcardValue = value => String(value ?? '')
+  .replace(/\\([\\,;nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char))
+  .trim();
+
+/**
+ * Split a structured vCard value, e.g. ADR, on its unescaped semicolons
+ * @param {string} value - Structured value
+ * @returns {Array<string>} Unescaped components
+ */
+const splitVcardValue = value => String(value ?? '')
+  .split(/(?<!\\);/)
+  .map(unescapeVcardValue);
+
+/**
+ * Fold a vCard line so no line is longer than 75 characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldVcardLine = (line) => {
+  const parts = [];
+  for (let index = 0; index < line.length; index += 74) {
+    parts.push(line.slice(index, index + 74));
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * Detect the file format from its type and name
+ * @param {Object} file - Multer file
+ * @returns {string} csv or vcf
+ */
+const getFormat = file => (
+  /vcard|directory/.test(file.mimetype) || /\.(vcf|vcard)$/i.test(file.originalname || '') ?
+    'vcf' :
+    'csv'
+);
+
+/**
+ * Drop empty values so optional validations skip them
+ * @param {Object} data - Flat object
+ * @returns {Object} Object without empty values
+ */
+const withoutEmpty = data => Object.fromEntries(
+  Object.entries(data).filter(([, value]) => value !== undefined && value !== '')
+);
+
+class AddressBookService {
+  /**
+   * Make one address book entry the default, clearing the flag on the others
+   * @param {Array} entries - User addresses or saved locations
+   * @param {Object} entry - Entry to make the default
+   * @param {string} flag - isDefaultSender or isDefaultPickup
+   */
+  setDefault(entries, entry, flag) {
+    entries.forEach((item) => {
+      item[flag] = item === entry;
+    });
+  }
+
+  /**
+   * Get the default sender and pickup location that suit a new shipment
+   * Defaults in another country than the origin are left out, as are defaults
+   * in another city when the origin names one.
+   * @param {Object} user - User
+   * @param {Object} origin - Shipment origin with country and optional city
+   * @returns {Object} { sender, pickup }, each undefined without a suitable default
+   */
+  getShipmentDefaults(user, origin) {
+    const suits = address => address.country === origin.country?.toUpperCase() &&
+      (!origin.city || normalize(address.city) === normalize(origin.city));
+
+    const sender = user.addresses.find(entry => entry.isDefaultSender && suits(entry.address));
+    const location = user.savedLocations.find(
+      entry => entry.isDefaultPickup && suits(entry.address)
+    );
+
+    return {
+      sender: sender && {
+        name: sender.name,
+        email: sender.email,
+        phone: sender.phone,
+        address: {
+          street: sender.address.street,
+          city: sender.address.city,
+          country: sender.address.country,
+          postalCode: sender.address.postalCode,
+          taxId: sender.address.taxId
+        }
+      },
+      pickup: location && {
+        location: {
+          street: location.address.street,
+          city: location.address.city,
+          country: location.address.country,
+          postalCode: location.address.postalCode
+        },
+        contactName: location.contactName,
+        contactPhone: location.contactPhone
+      }
+    };
+  }
+
+  /**
+   * Get the response headers for an address book download
+   * @param {string} format - csv or vcf
+   * @returns {Object} Headers
+   */
+  getHeaders(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="address-book-${date}.${format}"`
+    };
+  }
+
+  /**
+   * Write a user's addresses and saved locations as one file
+   * @param {Object} user - User
+   * @param {string} format - csv or vcf
+   * @returns {string} File contents
+   */
+  export(user, format) {
+    const records = [
+      ...user.addresses.map(contact => ({
+        type: 'contact',
+        name: contact.name,
+        email: contact.email,
+        phone: contact.phone,
+        address: contact.address,
+        default: contact.isDefaultSender
+      })),
+      ...user.savedLocations.map(location => ({
+        type: 'location',
+        name: location.name,
+        phone: location.contactPhone,
+        contact_name: location.contactName,
+        address: location.address,
+        default: location.isDefaultPickup
+      }))
+    ];
+
+    return format === 'vcf' ? this.toVcards(records) : this.toCsv(records);
+  }
+
+  /**
+   * Write address book records as CSV
+   * @param {Array} records - Records from export
+   * @returns {string} CSV
+   */
+  toCsv(records) {
+    const rows = records.map(record => [
+      record.type,
+      record.name,
+      record.email,
+      record.phone,
+      record.contact_name,
+      record.address.street,
+      record.address.city,
+      record.address.postalCode,
+      record.address.country,
+      record.address.taxId,
+      record.default ? 'yes' : 'no'
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+      .map(cells => cells.map(toCsvCell).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Write address book records as vCard 4.0 cards
+   * Saved locations are cards of KIND:location. Fields vCard has no property
+   * for use X- properties, which other apps ignore.
+   * @param {Array} records - Records from export
+   * @returns {string} vCard file
+   */
+  toVcards(records) {
+    return records.map((record) => {
+      const { street, city, postalCode, country, taxId } = record.address;
+      const lines = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        `KIND:${record.type === 'location' ? 'location' : 'individual'}`,
+        `FN:${escapeVcardValue(record.name)}`,
+        record.email && `EMAIL:${escapeVcardValue(record.email)}`,
+        record.phone && `TEL:${escapeVcardValue(record.phone)}`,
+        record.contact_name && `X-CONTACT-NAME:${escapeVcardValue(record.contact_name)}`,
+        `ADR:;;${[street, city, '', postalCode, country].map(escapeVcardValue).join(';')}`,
+        taxId && `X-TAX-ID:${escapeVcardValue(taxId)}`,
+        record.default && 'X-DEFAULT:true',
+        'END:VCARD'
+      ];
+      return lines.filter(Boolean).map(foldVcardLine).join('\r\n') + '\r\n';
+    }).join('');
+  }
+
+  /**
+   * Read the entries of an uploaded CSV or vCard file
+   * @param {Object} file - Multer file
+   * @returns {Promise<Array>} Entries as { entry, values } keyed by CSV column, where
+   *   entry is the row number for CSV and the card number for vCard
+   * @throws {AppError} If the file cannot be read or has no entries
+   */
+  async readEntries(file) {
+    const entries = getFormat(file) === 'vcf' ?
+      this.readVcards(file.buffer.toString('utf8')) :
+      await this.readCsv(file.buffer);
+
+    if (!entries.length) {
+      throw new AppError('The file has no addresses', 400);
+    }
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+      throw new AppError(`A file can contain at most ${MAX_IMPORT_ENTRIES} addresses`, 400);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read the rows of a CSV file
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Array>} Entries
+   */
+  async readCsv(buffer) {
+    let worksheet;
+    try {
+      // Keep values as text so postal codes and phone numbers lose no leading zeros
+      worksheet = await new ExcelJS.Workbook().csv.read(Readable.from(buffer), {
+        map: value => value
+      });
+    } catch {
+      throw new AppError('Could not read the file, upload a CSV or vCard file', 400);
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, index) => {
+      const key = normalize(cell.value).replace(/[\s-]+/g, '_');
+      if (CSV_COLUMNS.includes(key)) {
+        columns[index] = key;
+      }
+    });
+
+    if (!Object.keys(columns).length) {
+      throw new AppError('The header row has no recognised columns', 400);
+    }
+
+    const entries = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+
+      const values = {};
+      row.eachCell((cell, index) => {
+        const value = unguardCsvCell(String(cell.value ?? '').trim());
+        if (columns[index] && value) {
+          values[columns[index]] = value;
+        }
+      });
+
+      if (Object.keys(values).length) {
+        entries.push({ entry: rowNumber, values });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Read the cards of a vCard file (versions 3.0 and 4.0)
+   * The first value of each property is used, e.g. the first address of a card.
+   * @param {string} text - File contents
+   * @returns {Array} Entries
+   */
+  readVcards(text) {
+    const cards = [];
+    let card = null;
+
+    text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon === -1) {
+        return;
+      }
+
+      // Property names may have a group prefix, e.g. item1.ADR
+      const property = line.slice(0, colon).split(';')[0].split('.').pop().toUpperCase();
+      const value = line.slice(colon + 1);
+
+      if (property === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+        card = {};
+      } else if (property === 'END' && card) {
+        cards.push(card);
+        card = null;
+      } else if (card && !(property in card)) {
+        card[property] = value;
+      }
+    });
+
+    return cards.map((properties, index) => ({
+      entry: index + 1,
+      values: this.fromVcard(properties)
+    }));
+  }
+
+  /**
+   * Map the properties of a card to CSV column values
+   * @param {Object} card - Card properties
+   * @returns {Object} Values keyed by CSV column
+   */
+  fromVcard(card) {
+    // ADR: PO box; extended address; street; city; region; postal code; country
+    const [, extended, street, city, , postalCode, country] = splitVcardValue(card.ADR);
+
+    let name = unescapeVcardValue(card.FN);
+    if (!name && card.N) {
+      const [family, given] = splitVcardValue(card.N);
+      name = [given, family].filter(Boolean).join(' ');
+    }
+
+    return withoutEmpty({
+      type: normalize(card.KIND) === 'location' ? 'location' : 'contact',
+      name,
+      email: unescapeVcardValue(card.EMAIL).replace(/^mailto:/i, ''),
+      phone: unescapeVcardValue(card.TEL).replace(/^tel:/i, ''),
+      contact_name: unescapeVcardValue(card['X-CONTACT-NAME']),
+      street: [street, extended].filter(Boolean).join(', '),
+      city,
+      postal_code: postalCode,
+      country,
+      tax_id: unescapeVcardValue(card['X-TAX-ID']),
+      default: unescapeVcardValue(card['X-DEFAULT'])
+    });
+  }
+
+  /**
+   * Map CSV column values to the data of an address or saved location
+   * @param {Object} values - Values keyed by CSV column
+   * @returns {Object} { kind, isDefault, data }, kind is undefined for an unknown type
+   */
+  toEntryData(values) {
+    const type = normalize(values.type) || 'contact';
+    const address = withoutEmpty({
+      street: values.street,
+      city: values.city,
+      postalCode: values.postal_code,
+      country: values.country && toCountryCode(values.country),
+      taxId: values.tax_id
+    });
+
+    const data = type === 'location' ?
+      {
+        name: values.name,
+        contactName: values.contact_name,
+        contactPhone: values.phone,
+        address
+      } :
+      {
+        name: values.name,
+        email: values.email,
+        phone: values.phone,
+        address
+      };
+
+    return {
+      kind: ['contact', 'location'].includes(type) ? type : undefined,
+      isDefault: TRUE_VALUES.includes(normalize(values.default)),
+      data: sanitizeData(withoutEmpty(data))
+    };
+  }
+
+  /**
+   * Validate an entry the same way as a single address or saved location
+   * @param {string} kind - contact or location
+   * @param {Object} data - Entry data
+   * @returns {Promise<Object>} { errors, data } with the data as validation left it
+   */
+  async checkEntry(kind, data) {
+    const validations = kind === 'location' ? savedLocationValidation : addressValidation;
+    const req = { body: data };
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const result = validationResult(req);
+    return {
+      errors: result.array({ onlyFirstError: true }).map(err => err.msg),
+      data: req.body
+    };
+  }
+
+  /**
+   * Add the addresses and saved locations of a file to a user's address book
+   * Entries already in the address book or earlier in the file are skipped: a
+   * contact with the same name at the same address, or a location with the same
+   * name or address. A default in the file is only applied when the user has no
+   * default of that kind yet. Valid entries are added even if others fail.
+   * @param {Object} user - User
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} Numbers added, duplicates and per-entry errors
+   */
+  async import(user, file) {
+    const entries = await this.readEntries(file);
+
+    const contactKeys = new Set(user.addresses.map(contactKey));
+    const locationNames = new Set(user.savedLocations.map(location => normalize(location.name)));
+    const locationKeys = new Set(user.savedLocations.map(location => addressKey(location.address)));
+
+    const report = { addresses: 0, savedLocations: 0, duplicates: [], errors: [] };
+
+    for (const { entry, values } of entries) {
+      const { kind, isDefault, data: entryData } = this.toEntryData(values);
+      const name = entryData.name;
+
+      if (!kind) {
+        report.errors.push({ entry, name, errors: ['Type must be contact or location'] });
+        continue;
+      }
+
+      const { errors, data } = await this.checkEntry(kind, entryData);
+      if (errors.length) {
+        report.errors.push({ entry, name, errors });
+        continue;
+      }
+
+      if (kind === 'contact') {
+        if (contactKeys.has(contactKey(data))) {
+          report.duplicates.push({ entry, name });
+          continue;
+        }
+        if (user.addresses.length >= MAX_ADDRESSES) {
+          report.errors.push({
+            entry,
+            name,
+            errors: [`Maximum number of addresses (${MAX_ADDRESSES}) reached`]
+          });
+          continue;
+        }
+
+        user.addresses.push(data);
+        const address = user.addresses[user.addresses.length - 1];
+        if (isDefault && !user.addresses.some(item => item.isDefaultSender)) {
+          this.setDefault(user.addresses, address, 'isDefaultSender');
+        }
+        contactKeys.add(contactKey(data));
+        report.addresses++;
+        continue;
+      }
+
+      if (locationNames.has(normalize(data.name)) || locationKeys.has(addressKey(data.address))) {
+        report.duplicates.push({ entry, name });
+        continue;
+      }
+      if (user.savedLocations.length >= MAX_SAVED_LOCATIONS) {
+        report.errors.push({
+          entry,
+          name,
+          errors: [`Maximum number of saved locations (${MAX_SAVED_LOCATIONS}) reached`]
+        });
+        continue;
+      }
+
+      user.savedLocations.push(data);
+      const location = user.savedLocations[user.savedLocations.length - 1];
+      if (isDefault && !user.savedLocations.some(item => item.isDefaultPickup)) {
+        this.setDefault(user.savedLocations, location, 'isDefaultPickup');
+      }
+      locationNames.add(normalize(data.name));
+      locationKeys.add(addressKey(data.address));
+      report.savedLocations++;
+    }
+
+    if (report.addresses || report.savedLocations) {
+      await user.save();
+    }
+
+    return report;
+  }
+}
+
+export default new AddressBookService();
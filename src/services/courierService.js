@@ -0,0 +1,404 @@
+import { AppError } from '../utils/responseHandler.js';
+import Shipment from '../models/Shipment.js';
+import User from '../models/User.js';
+import emailService from '../utils/email.js';
+import shipmentService from './shipmentService.js';
+import deliveryProofService from './deliveryProofService.js';
+import redeliveryService from './redeliveryService.js';
+import notificationService from './notificationService.js';
+import socketService from './socketService.js';
+
+// Shipment statuses a delivery courier still has work to do on
+const DELIVERY_TASK_STATUSES = ['in_transit', 'out_for_delivery', 'partially_delivered'];
+
+// Shipments waiting for redelivery only show up on the day they are booked for
+const REDELIVERY_STATUSES = ['delivery_attempted', 'held_at_facility'];
+
+// Statuses in which a courier can be at the door
+const AT_DOOR_STATUSES = ['out_for_delivery', 'partially_delivered'];
+
+const COURIER_FIELDS = {
+  pickup: 'assignment.pickupCourier',
+  delivery: 'assignment.deliveryCourier'
+};
+
+class CourierService {
+  /**
+   * Find a courier account
+   * @param {string} courierId - User ID
+   * @returns {Promise<Object>} Courier
+   * @throws {AppError} If the user is not a courier
+   */
+  async findCourier(courierId) {
+    const courier = await User.findById(courierId);
+    if (!courier || courier.role !== 'courier') {
+      throw new AppError('Courier not found', 404);
+    }
+
+    return courier;
+  }
+
+  /**
+   * List courier accounts
+   * @returns {Promise<Array>} Couriers
+   */
+  async listCouriers() {
+    return User.find({ role: 'courier' })
+      .select('firstName lastName email phone country')
+      .sort({ firstName: 1, lastName: 1 });
+  }
+
+  /**
+   * Assign pickup and/or delivery couriers to a shipment
+   * Passing null for a courier removes that assignment.
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} couriers - Courier IDs
+   * @param {string|null} [couriers.pickupCourierId] - Pickup courier
+   * @param {string|null} [couriers.deliveryCourierId] - Delivery courier
+   * @param {Object} admin - Admin making the assignment
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async assignShipment(shipmentId, { pickupCourierId, deliveryCourierId }, admin) {
+    const shipment = await Shipment.findOne({ _id: shipmentId, isDraft: false });
+    if (!shipment) {
+      throw new AppError('Shipment not found', 404);
+    }
+
+    if (['delivered', 'cancelled'].includes(shipment.status)) {
+      throw new AppError(`Cannot assign couriers to a ${shipment.status} shipment`, 409);
+    }
+
+    const assigned = [];
+    const changes = [
+      ['pickupCourier', pickupCourierId, 'pickup'],
+      ['deliveryCourier', deliveryCourierId, 'delivery']
+    ];
+
+    for (const [field, courierId, kind] of changes) {
+      if (courierId === undefined) {
+        continue;
+      }
+
+      if (courierId === null) {
+        shipment.assignment[field] = undefined;
+        continue;
+      }
+
+      const courier = await this.findCourier(courierId);
+      shipment.assignment[field] = courier._id;
+      assigned.push({ courier, kind });
+    }
+
+    shipment.assignment.assignedBy = admin._id;
+    shipment.assignment.assignedAt = Date.now();
+    await shipment.save();
+
+    for (const { courier, kind } of assigned) {
+      await notificationService.createNotification({
+        userId: courier._id,
+        type: 'system_notification',
+        title: 'New Task Assigned',
+        message: `You have been assigned the ${kind} of shipment ${shipment.trackingNumber}`,
+        data: {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber,
+          task: kind
+        }
+      });
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Get a courier's pickup and delivery tasks for a day
+   * Pickups include overdue ones and those without a scheduled date. Failed
+   * deliveries come back once their redelivery date is due.
+   * @param {Object} courier - Courier
+   * @param {Date} [date] - Day to list tasks for
+   * @returns {Promise<Object>} Pickup and delivery tasks
+   */
+  async getTasks(courier, date = new Date()) {
+    const endOfDay = new Date(date);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const [pickups, deliveries] = await Promise.all([
+      Shipment.find({
+        'assignment.pickupCourier': courier._id,
+        status: 'awaiting_pickup',
+        isDraft: false,
+        $or: [
+          { 'pickup.date': { $lte: endOfDay } },
+          { 'pickup.date': null }
+        ]
+      }).sort({ 'pickup.date': 1 }),
+      Shipment.find({
+        'assignment.deliveryCourier': courier._id,
+        isDraft: false,
+        $or: [
+          { status: { $in: DELIVERY_TASK_STATUSES } },
+          {
+            status: { $in: REDELIVERY_STATUSES },
+            'delivery.estimatedDate': { $lte: endOfDay }
+          }
+        ]
+      }).sort({ 'delivery.estimatedDate': 1 })
+    ]);
+
+    return {
+      date: endOfDay.toISOString().slice(0, 10),
+      pickups: pickups.map(shipment => this.formatTask(shipment, 'pickup')),
+      deliveries: deliveries.map(shipment => this.formatTask(shipment, 'delivery'))
+    };
+  }
+
+  /**
+   * Reduce a shipment to what a courier needs on the road
+   * @param {Object} shipment - Shipment
+   * @param {string} kind - pickup or delivery
+   * @returns {Object} Task
+   */
+  formatTask(shipment, kind) {
+    const isPickup = kind === 'pickup';
+    const contact = isPickup ? shipment.sender : shipment.recipient;
+
+    return {
+      shipmentId: shipment._id,
+      trackingNumber: shipment.trackingNumber,
+      type: shipment.type,
+      status: shipment.status,
+      contact: {
+        name: contact?.name,
+        phone: contact?.phone
+      },
+      address: this.getTaskAddress(shipment, kind),
+      pickupPoint: isPickup ? undefined : shipment.delivery?.pickupPoint?.name,
+      scheduledFor: isPickup ? shipment.pickup?.date : shipment.delivery?.estimatedDate,
+      timeWindow: isPickup ? undefined : shipment.delivery?.options?.timeWindow,
+      instructions: isPickup ?
+        shipment.pickup?.instructions :
+        shipment.delivery?.options?.specialInstructions,
+      requiresSignature: isPickup ? undefined : shipment.delivery?.options?.requiresSignature,
+      attempts: isPickup ? undefined : shipment.deliveryAttempts.length,
+      packages: shipment.packages.map(pkg => ({
+        trackingNumber: pkg.trackingNumber,
+        status: pkg.status,
+        weight: pkg.weight,
+        isFragile: pkg.isFragile
+      }))
+    };
+  }
+
+  /**
+   * Get the address a courier should go to
+   * @param {Object} shipment - Shipment
+   * @param {string} kind - pickup or delivery
+   * @returns {Object} Address
+   */
+  getTaskAddress(shipment, kind) {
+    if (kind === 'pickup') {
+      return shipment.pickup?.location?.street ?
+        shipment.pickup.location :
+        shipment.sender?.address;
+    }
+
+    // Deliveries redirected by the recipient go to the pickup point
+    return shipment.delivery?.pickupPoint?.pickupPointId ?
+      shipment.delivery.pickupPoint.address :
+      shipment.recipient?.address;
+  }
+
+  /**
+   * Load a shipment the courier is assigned to
+   * Shipments assigned to someone else are reported as not found.
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} courier - Courier
+   * @param {string} kind - pickup or delivery
+   * @returns {Promise<Object>} Shipment
+   */
+  async getAssignedShipment(shipmentId, courier, kind) {
+    const shipment = await Shipment.findOne({
+      _id: shipmentId,
+      isDraft: false,
+      [COURIER_FIELDS[kind]]: courier._id
+    });
+
+    if (!shipment) {
+      throw new AppError('Shipment not found', 404);
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Tell the shipment owner about a status change
+   * @param {Object} shipment - Shipment
+   */
+  async notifyStatusChange(shipment) {
+    if (!shipment.userId) {
+      return;
+    }
+
+    await notificationService.createShipmentStatusNotification(
+      shipment.userId,
+      shipment,
+      shipment.status
+    );
+    socketService.sendShipmentUpdate(shipment.userId, shipment);
+
+    const user = await User.findById(shipment.userId);
+    if (user) {
+      await emailService.sendStatusUpdateEmail(shipment, user);
+    }
+  }
+
+  /**
+   * Move a shipment to a new status on behalf of a courier
+   * @param {Object} shipment - Shipment
+   * @param {string} status - New status
+   * @param {Object} courier - Courier
+   * @param {Object} [details] - Scan details
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async advance(shipment, status, courier, { location, notes } = {}) {
+    await shipment.addTimelineEntry(
+      status,
+      location,
+      notes || shipmentService.formatStatusUpdate(status).description,
+      { updatedBy: courier }
+    );
+    await this.notifyStatusChange(shipment);
+
+    return shipment;
+  }
+
+  /**
+   * Record that the courier collected a shipment
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} courier - Courier
+   * @param {Object} [details] - Location and notes
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async recordPickup(shipmentId, courier, details) {
+    const shipment = await this.getAssignedShipment(shipmentId, courier, 'pickup');
+    return this.advance(shipment, 'picked_up', courier, details);
+  }
+
+  /**
+   * Record that the courier left with a shipment for delivery
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} courier - Courier
+   * @param {Object} [details] - Location and notes
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async startDelivery(shipmentId, courier, details) {
+    const shipment = await this.getAssignedShipment(shipmentId, courier, 'delivery');
+    return this.advance(shipment, 'out_for_delivery', courier, details);
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * After too many attempts, or a refusal, the shipment goes back to the sender.
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} courier - Courier
+   * @param {Object} attempt - Attempt details
+   * @param {string} attempt.reason - Reason code
+   * @param {string} [attempt.notes] - Courier notes
+   * @param {string} [attempt.location] - Where the attempt was made
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async recordAttempt(shipmentId, courier, { reason, notes, location }) {
+    const shipment = await this.getAssignedShipment(shipmentId, courier, 'delivery');
+
+    if (!AT_DOOR_STATUSES.includes(shipment.status)) {
+      throw new AppError('Shipment must be out for delivery to record an attempt', 409);
+    }
+
+    return redeliveryService.recordAttempt(shipment, {
+      reason,
+      notes,
+      location,
+      courier
+    });
+  }
+
+  /**
+   * Record a delivery with proof of delivery
+   * When package tracking numbers are given only those packages are marked
+   * delivered, otherwise the whole shipment is.
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} courier - Courier
+   * @param {Object} details - Delivery details
+   * @param {string} details.receiverName - Name of the person who received the packages
+   * @param {Object} [details.files] - Uploaded signature and photo
+   * @param {Object} [details.geolocation] - Courier position { latitude, longitude, accuracy }
+   * @param {Array<string>} [details.packages] - Package tracking numbers delivered
+   * @param {string} [details.location] - Delivery location
+   * @param {string} [details.notes] - Courier notes
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async recordDelivery(shipmentId, courier, details) {
+    const { receiverName, files, geolocation, packages, location, notes } = details;
+    const shipment = await this.getAssignedShipment(shipmentId, courier, 'delivery');
+    const previousStatus = shipment.status;
+
+    if (!AT_DOOR_STATUSES.includes(shipment.status)) {
+      throw new AppError('Shipment must be out for delivery to record a delivery', 409);
+    }
+
+    // Check the packages before storing any files
+    for (const trackingNumber of packages || []) {
+      const pkg = shipment.packages.find(item => item.trackingNumber === trackingNumber);
+      if (!pkg) {
+        throw new AppError(`Package ${trackingNumber} not found in this shipment`, 404);
+      }
+      if (pkg.status === 'delivered') {
+        throw new AppError(`Package ${trackingNumber} has already been delivered`, 409);
+      }
+    }
+
+    const proof = await deliveryProofService.capture(shipment, {
+      receiverName,
+      files,
+      location: geolocation,
+      packages
+    }, courier);
+
+    try {
+      if (!packages?.length) {
+        shipment.delivery.actualDate = Date.now();
+        await shipment.addTimelineEntry(
+          'delivered',
+          location,
+          notes || `Delivered to ${receiverName}`,
+          { updatedBy: courier }
+        );
+      } else {
+        for (const trackingNumber of packages) {
+          await shipment.recordPackageScan(trackingNumber, 'delivered', {
+            location,
+            description: notes || `Delivered to ${receiverName}`,
+            scannedBy: courier
+          });
+        }
+      }
+    } catch (error) {
+      // Only drop the proof if nothing was saved with it
+      if (shipment.isModified('delivery.proofs')) {
+        await deliveryProofService.discard(shipment, proof);
+      }
+      throw error;
+    }
+
+    if (shipment.status !== previousStatus) {
+      await this.notifyStatusChange(shipment);
+    }
+    if (shipment.status === 'delivered') {
+      await deliveryProofService.sendDocumentLinks(shipment);
+    }
+
+    return shipment;
+  }
+}
+
+export default new CourierService();
@@ -0,0 +1,104 @@
+import { AppError } from '../utils/responseHandler.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { SUPPORTED_CURRENCIES, getBaseCurrency, roundAmount } from '../utils/currency.js';
+
+class CurrencyService {
+  /**
+   * Resolve the currency to quote in
+   * @param {string} [requested] - Currency requested by the caller
+   * @param {Object} [user] - Authenticated user
+   * @returns {string} Currency code
+   */
+  resolveCurrency(requested, user) {
+    const currency = (requested || user?.settings?.preferences?.currency || getBaseCurrency())
+      .toUpperCase();
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new AppError(`Unsupported currency: ${currency}`, 400);
+    }
+
+    return currency;
+  }
+
+  /**
+   * Get exchange rate from the base currency
+   * @param {string} currency - Target currency
+   * @returns {Promise<number>} Units of currency per unit of base currency
+   */
+  async getRate(currency) {
+    if (currency === getBaseCurrency()) {
+      return 1;
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({ currency });
+    if (!exchangeRate) {
+      throw new AppError(`No exchange rate configured for ${currency}`, 400);
+    }
+
+    return exchangeRate.rate;
+  }
+
+  /**
+   * Convert a base currency amount
+   * @param {number} amount - Amount in base currency
+   * @param {number} rate - Exchange rate
+   * @returns {number} Converted amount
+   */
+  convert(amount, rate) {
+    return roundAmount(amount * rate);
+  }
+
+  /**
+   * Convert an amount back to the base currency
+   * @param {number} amount - Amount in quoted currency
+   * @param {number} rate - Exchange rate the amount was quoted at
+   * @returns {number} Amount in base currency
+   */
+  toBase(amount, rate) {
+    return roundAmount(amount / (rate || 1));
+  }
+
+  /**
+   * Get all exchange rates including the base currency
+   * @returns {Promise<Object>} Base currency and rates
+   */
+  async getRates() {
+    const baseCurrency = getBaseCurrency();
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    return {
+      baseCurrency,
+      rates: [
+        { currency: baseCurrency, rate: 1 },
+        ...rates
+          .filter(rate => rate.currency !== baseCurrency)
+          .map(rate => ({
+            currency: rate.currency,
+            rate: rate.rate,
+            updatedAt: rate.updatedAt
+          }))
+      ]
+    };
+  }
+
+  /**
+   * Set exchange rate for a currency
+   * @param {string} currency - Currency code
+   * @param {number} rate - Units of currency per unit of base currency
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Exchange rate
+   */
+  async setRate(currency, rate, adminId) {
+    if (currency === getBaseCurrency()) {
+      throw new AppError('The base currency rate is always 1', 400);
+    }
+
+    return ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate, updatedBy: adminId },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+}
+
+export default new CurrencyService();
@@ -0,0 +1,137 @@
+import { AppError } from '../utils/responseHandler.js';
+import emailService from '../utils/email.js';
+import storageService from './storageService.js';
+import { renderProofOfDeliveryPdf } from '../utils/proofOfDeliveryPdf.js';
+import { createShipmentToken, buildTokenUrl } from '../utils/shipmentToken.js';
+
+// Token purpose for proof-of-delivery links
+export const PROOF_OF_DELIVERY_PURPOSE = 'proof_of_delivery';
+
+class DeliveryProofService {
+  /**
+   * Store proof-of-delivery files and add the proof to a shipment
+   * The shipment is not saved; the caller saves it with the status change.
+   * @param {Object} shipment - Shipment being delivered
+   * @param {Object} details - Proof details
+   * @param {string} details.receiverName - Name of the person who received the packages
+   * @param {Object} [details.files] - Uploaded signature and photo
+   * @param {Object} [details.location] - Courier position { latitude, longitude, accuracy }
+   * @param {Array<string>} [details.packages] - Package tracking numbers handed over
+   * @param {Object} courier - Courier capturing the proof
+   * @returns {Promise<Object>} Proof subdocument
+   * @throws {AppError} If a required signature is missing
+   */
+  async capture(shipment, { receiverName, files = {}, location, packages }, courier) {
+    if (shipment.delivery?.options?.requiresSignature && !files.signature) {
+      throw new AppError('A recipient signature is required for this shipment', 400);
+    }
+
+    const folder = `proofs/${shipment._id}`;
+    const signature = files.signature ?
+      await storageService.saveFile(files.signature, folder) :
+      undefined;
+
+    let photo;
+    try {
+      photo = files.photo ? await storageService.saveFile(files.photo, folder) : undefined;
+    } catch (error) {
+      await storageService.deleteFile(signature);
+      throw error;
+    }
+
+    shipment.delivery.proofs.push({
+      packages,
+      receiverName,
+      signature,
+      photo,
+      location,
+      capturedBy: courier._id
+    });
+
+    return shipment.delivery.proofs[shipment.delivery.proofs.length - 1];
+  }
+
+  /**
+   * Remove a proof that was never saved and its files
+   * @param {Object} shipment - Shipment
+   * @param {Object} proof - Proof returned by capture
+   */
+  async discard(shipment, proof) {
+    shipment.delivery.proofs.pull(proof._id);
+    await Promise.all([
+      storageService.deleteFile(proof.signature),
+      storageService.deleteFile(proof.photo)
+    ]);
+  }
+
+  /**
+   * Read a stored image into memory
+   * @param {Object} [stored] - Stored file metadata
+   * @returns {Promise<Buffer|undefined>} Image contents
+   */
+  async readImage(stored) {
+    if (!stored?.key) {
+      return undefined;
+    }
+
+    const stream = await storageService.getFileStream(stored);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Render the proof-of-delivery document for a shipment
+   * @param {Object} shipment - Shipment
+   * @returns {Promise<Buffer>} PDF contents
+   * @throws {AppError} If no proof has been captured
+   */
+  async renderDocument(shipment) {
+    const proofs = shipment.delivery?.proofs || [];
+    if (!proofs.length) {
+      throw new AppError('No proof of delivery has been captured for this shipment', 404);
+    }
+
+    const images = await Promise.all(proofs.map(async proof => ({
+      proof,
+      signature: await this.readImage(proof.signature),
+      photo: await this.readImage(proof.photo)
+    })));
+
+    return renderProofOfDeliveryPdf(shipment, images);
+  }
+
+  /**
+   * Build a link to the proof-of-delivery document that works without logging in
+   * @param {Object} shipment - Shipment
+   * @returns {string} URL
+   */
+  getDocumentUrl(shipment) {
+    return buildTokenUrl(
+      `/api/shipments/${shipment._id}/proof-of-delivery`,
+      createShipmentToken(shipment._id, PROOF_OF_DELIVERY_PURPOSE)
+    );
+  }
+
+  /**
+   * Email the proof-of-delivery link to the sender and recipient
+   * Failures are logged so they never undo a recorded delivery.
+   * @param {Object} shipment - Delivered shipment
+   */
+  async sendDocumentLinks(shipment) {
+    const url = this.getDocumentUrl(shipment);
+    const parties = [shipment.sender, shipment.recipient].filter(party => party?.email);
+
+    for (const party of parties) {
+      try {
+        await emailService.sendProofOfDeliveryEmail(shipment, party, url);
+      } catch (error) {
+        console.error('Failed to send proof of delivery email:', error);
+      }
+    }
+  }
+}
+
+export default new DeliveryProofService();
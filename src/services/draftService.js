@@ -0,0 +1,245 @@
+import Shipment from '../models/Shipment.js';
+import User from '../models/User.js';
+import emailService from '../utils/email.js';
+import notificationService from './notificationService.js';
+import socketService from './socketService.js';
+import guestShipmentService from './guestShipmentService.js';
+import shipmentService from './shipmentService.js';
+import { buildTokenUrl } from '../utils/shipmentToken.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry that the owner is warned
+export const DRAFT_WARNING_DAYS = 2;
+
+// Details carried over when a draft is duplicated; tracking and payment state is not
+const DUPLICATED_FIELDS = ['type', 'sender', 'recipient', 'insurance', 'lastSavedStep'];
+
+/**
+ * Copy the listed fields that are set on an object
+ * @param {Object} source - Object to copy from
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} Copy
+ */
+const pick = (source, fields) => fields.reduce((copy, field) => {
+  if (source[field] !== undefined) {
+    copy[field] = source[field];
+  }
+  return copy;
+}, {});
+
+class DraftService {
+  /**
+   * Get how long a draft is kept after its last edit
+   * Read lazily so values from dotenv are picked up.
+   * @returns {number} Days
+   */
+  getTtlDays() {
+    return parseInt(process.env.DRAFT_TTL_DAYS, 10) || 7;
+  }
+
+  /**
+   * Get when a draft will be deleted
+   * @param {Object} draft - Draft shipment
+   * @returns {Date} Expiry date
+   */
+  getExpiryDate(draft) {
+    return new Date(new Date(draft.updatedAt).getTime() + this.getTtlDays() * DAY_MS);
+  }
+
+  /**
+   * Build the link for continuing a draft
+   * Guest drafts carry their guest token.
+   * @param {Object} draft - Draft shipment
+   * @returns {string} URL
+   */
+  getDraftUrl(draft) {
+    const path = `/shipments/draft/${draft._id}`;
+    return draft.userId ?
+      `${process.env.CLIENT_URL}${path}` :
+      buildTokenUrl(path, guestShipmentService.createToken(draft), { client: true });
+  }
+
+  /**
+   * Add the expiry date to a draft for responses
+   * @param {Object} draft - Draft shipment
+   * @returns {Object} Draft with expiresAt
+   */
+  toSummary(draft) {
+    return {
+      ...draft.toObject(),
+      expiresAt: this.getExpiryDate(draft)
+    };
+  }
+
+  /**
+   * List a user's drafts, most recently edited first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} Drafts and total
+   */
+  async listDrafts(userId, { page = 1, limit = 10 } = {}) {
+    const query = { userId, isDraft: true };
+
+    const drafts = await Shipment.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Shipment.countDocuments(query);
+
+    return {
+      drafts: drafts.map(draft => this.toSummary(draft)),
+      total
+    };
+  }
+
+  /**
+   * Start a new draft from a copy of an existing one
+   * The pickup date is left out because it has usually passed by the time a
+   * draft is reused.
+   * @param {Object} draft - Draft to copy
+   * @param {Object} [user] - Authenticated user, who owns the copy
+   * @returns {Promise<Object>} New draft
+   */
+  async duplicate(draft, user) {
+    const source = draft.toObject();
+    const data = {
+      ...pick(source, DUPLICATED_FIELDS),
+      isDraft: true,
+      status: 'pending',
+      userId: user?._id || draft.userId,
+      packages: shipmentService.pickPackageFields(source.packages || [])
+    };
+
+    if (source.pickup) {
+      data.pickup = pick(source.pickup, ['location', 'instructions', 'contactName', 'contactPhone']);
+    }
+
+    if (source.delivery?.options) {
+      data.delivery = { options: source.delivery.options };
+    }
+
+    return Shipment.create(data);
+  }
+
+  /**
+   * Keep a draft for another full period from now
+   * @param {Object} draft - Draft shipment
+   * @returns {Promise<Object>} Draft
+   */
+  async extend(draft) {
+    draft.updatedAt = new Date();
+    draft.draftWarningSentAt = undefined;
+    await draft.save();
+    return draft;
+  }
+
+  /**
+   * Warn owners whose drafts expire within DRAFT_WARNING_DAYS
+   * Each draft is warned once per edit: the warning is recorded without
+   * touching updatedAt, and editing the draft makes it eligible again.
+   * @returns {Promise<number>} Number of drafts warned
+   */
+  async sendExpiryWarnings() {
+    const now = Date.now();
+    const ttl = this.getTtlDays() * DAY_MS;
+
+    const drafts = await Shipment.find({
+      isDraft: true,
+      updatedAt: {
+        $lt: new Date(now - ttl + DRAFT_WARNING_DAYS * DAY_MS),
+        $gte: new Date(now - ttl)
+      },
+      $or: [
+        { draftWarningSentAt: null },
+        { $expr: { $lt: ['$draftWarningSentAt', '$updatedAt'] } }
+      ]
+    });
+
+    let warned = 0;
+    for (const draft of drafts) {
+      try {
+        await this.warnOwner(draft);
+        await Shipment.updateOne(
+          { _id: draft._id },
+          { $set: { draftWarningSentAt: new Date() } },
+          { timestamps: false }
+        );
+        warned++;
+      } catch (error) {
+        console.error(`Failed to send draft expiry warning for ${draft._id}:`, error);
+      }
+    }
+
+    return warned;
+  }
+
+  /**
+   * Send the expiry notification, socket event and email for one draft
+   * Guest drafts are warned by email when they have a sender email.
+   * @param {Object} draft - Draft shipment
+   */
+  async warnOwner(draft) {
+    const expiresAt = this.getExpiryDate(draft);
+    const draftUrl = this.getDraftUrl(draft);
+
+    if (draft.userId) {
+      const userId = draft.userId.toString();
+      await notificationService.createDraftExpiryNotification(userId, draft, expiresAt);
+      socketService.sendDraftExpiryWarning(userId, draft, expiresAt);
+
+      const user = await User.findById(draft.userId);
+      if (user) {
+        await emailService.sendDraftExpiryWarning(
+          draft,
+          { name: user.firstName, email: user.email },
+          { expiresAt, draftUrl }
+        );
+      }
+      return;
+    }
+
+    if (draft.sender?.email) {
+      await emailService.sendDraftExpiryWarning(draft, draft.sender, { expiresAt, draftUrl });
+    }
+  }
+
+  /**
+   * Delete drafts that have not been edited for the TTL
+   * Owners get a notification for each deleted draft.
+   * @returns {Promise<number>} Number of drafts deleted
+   */
+  async deleteExpiredDrafts() {
+    const drafts = await Shipment.find({
+      isDraft: true,
+      updatedAt: { $lt: new Date(Date.now() - this.getTtlDays() * DAY_MS) }
+    });
+
+    for (const draft of drafts) {
+      if (draft.userId) {
+        // Create notification before deleting
+        await notificationService.createNotification({
+          userId: draft.userId,
+          type: 'system_notification',
+          title: 'Draft Shipment Deleted',
+          message: 'Your draft shipment has been deleted due to inactivity.',
+          data: {
+            draftId: draft._id,
+            createdAt: draft.createdAt,
+            lastSavedAt: draft.updatedAt
+          },
+          priority: 'low'
+        });
+      }
+
+      await draft.deleteOne();
+    }
+
+    return drafts.length;
+  }
+}
+
+export default new DraftService();
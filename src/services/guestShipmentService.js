@@ -0,0 +1,61 @@
+import Shipment from '../models/Shipment.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import { createShipmentToken, buildTokenUrl } from '../utils/shipmentToken.js';
+
+// Token purpose for guests viewing and editing the shipments they created
+export const GUEST_ACCESS_PURPOSE = 'guest_access';
+
+class GuestShipmentService {
+  /**
+   * Create the access token for a guest shipment
+   * @param {Object} shipment - Shipment created without an account
+   * @returns {string} Token
+   */
+  createToken(shipment) {
+    return createShipmentToken(shipment._id, GUEST_ACCESS_PURPOSE);
+  }
+
+  /**
+   * Build the link a guest uses to view their shipment
+   * @param {Object} shipment - Shipment created without an account
+   * @returns {string} URL
+   */
+  getShipmentUrl(shipment) {
+    return buildTokenUrl(`/shipments/${shipment._id}`, this.createToken(shipment), { client: true });
+  }
+
+  /**
+   * Move a user's past guest shipments into their account
+   * Guest shipments whose sender email matches the user's verified email are
+   * claimed, along with their payments and invoices. Failures are logged so
+   * they never block signing in.
+   * @param {Object} user - User with a verified email
+   * @returns {Promise<number>} Number of shipments claimed
+   */
+  async claimShipments(user) {
+    try {
+      const shipments = await Shipment.find({
+        userId: null,
+        'sender.email': user.email.toLowerCase()
+      }).select('_id');
+
+      if (!shipments.length) {
+        return 0;
+      }
+
+      const shipmentIds = shipments.map(shipment => shipment._id);
+      const owner = { userId: user._id };
+      await Shipment.updateMany({ _id: { $in: shipmentIds }, userId: null }, owner);
+      await Payment.updateMany({ shipmentId: { $in: shipmentIds }, userId: null }, owner);
+      await Invoice.updateMany({ shipmentId: { $in: shipmentIds }, userId: null }, owner);
+
+      return shipmentIds.length;
+    } catch (error) {
+      console.error('Failed to claim guest shipments:', error);
+      return 0;
+    }
+  }
+}
+
+export default new GuestShipmentService();
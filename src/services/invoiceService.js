@@ -0,0 +1,285 @@
+import { AppError } from '../utils/responseHandler.js';
+import Invoice from '../models/Invoice.js';
+import Shipment from '../models/Shipment.js';
+import ShipmentBatch from '../models/ShipmentBatch.js';
+import Counter from '../models/Counter.js';
+import User from '../models/User.js';
+import shipmentService from './shipmentService.js';
+import { addressKey } from './addressBookService.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { roundAmount } from '../utils/currency.js';
+import { PAID_PAYMENT_STATUSES } from '../utils/paymentStatus.js';
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+class InvoiceService {
+  /**
+   * Get next sequential number, e.g. INV-2025-000042
+   * Invoices and credit notes have separate sequences that restart each year.
+   * @param {string} type - invoice or credit_note
+   * @param {Date} [date] - Issue date
+   * @returns {Promise<string>} Document number
+   */
+  async nextNumber(type, date = new Date()) {
+    const prefix = NUMBER_PREFIXES[type];
+    const year = date.getUTCFullYear();
+    const seq = await Counter.next(`${type}:${year}`);
+    return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Build the bill-to block from the sender
+   * A sender without a tax ID takes the one saved on the matching address book entry.
+   * @param {Object} shipment - Shipment object
+   * @returns {Promise<Object>} Bill-to details
+   */
+  async buildBillTo(shipment) {
+    const sender = shipment.sender || {};
+    let taxId = sender.address?.taxId;
+
+    if (!taxId && shipment.userId && sender.address) {
+      const user = await User.findById(shipment.userId).select('addresses');
+      const senderKey = addressKey(sender.address);
+      taxId = user?.addresses.find(entry => addressKey(entry.address) === senderKey)?.address.taxId;
+    }
+
+    return {
+      name: sender.name,
+      email: sender.email,
+      phone: sender.phone,
+      street: sender.address?.street,
+      city: sender.address?.city,
+      country: sender.address?.country,
+      postalCode: sender.address?.postalCode,
+      taxId
+    };
+  }
+
+  /**
+   * Create a document, returning the existing one if it was issued concurrently
+   * @param {Object} data - Invoice data
+   * @param {Object} existingQuery - Query identifying an existing document
+   * @returns {Promise<Object>} Invoice
+   */
+  async create(data, existingQuery) {
+    try {
+      return await Invoice.create({
+        ...data,
+        number: await this.nextNumber(data.type)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        const existing = await Invoice.findOne(existingQuery);
+        if (existing) {
+          return existing;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the invoice for a completed payment
+   * Issuing again for the same payment returns the existing invoice.
+   * @param {Object} shipment - Shipment object
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} Invoice
+   */
+  async issueInvoice(shipment, payment) {
+    // A batch payment has one invoice covering every shipment in the batch
+    if (payment.batchId) {
+      return this.issueBatchInvoice(await ShipmentBatch.findById(payment.batchId), payment);
+    }
+
+    const existing = await Invoice.findOne({ paymentId: payment._id, type: 'invoice' });
+    if (existing) {
+      return existing;
+    }
+
+    const cost = shipment.cost;
+    const lines = [{
+      description: `${shipment.type === 'international' ? 'International' : 'Local'} shipping` +
+        (cost.rateCard?.zone ? ` (${cost.rateCard.zone})` : '') +
+        ` - ${shipment.packages.length} package(s)`,
+      amount: cost.baseAmount
+    }];
+    if (cost.insurance) {
+      lines.push({
+        description: `Insurance (${shipment.insurance?.type || 'basic'})`,
+        amount: cost.insurance
+      });
+    }
+
+    return this.create({
+      type: 'invoice',
+      shipmentId: shipment._id,
+      paymentId: payment._id,
+      userId: shipment.userId,
+      trackingNumber: shipment.trackingNumber,
+      billTo: await this.buildBillTo(shipment),
+      lines,
+      subtotal: roundAmount(cost.baseAmount + (cost.insurance || 0)),
+      discount: cost.discount || 0,
+      vatRate: cost.vatRate ?? shipmentService.vatRate,
+      vat: cost.vat,
+      total: cost.total,
+      currency: cost.currency,
+      paymentMethod: payment.method,
+      paymentReference: payment.reference,
+      issuedAt: payment.paidAt || new Date()
+    }, { paymentId: payment._id, type: 'invoice' });
+  }
+
+  /**
+   * Issue the invoice for a completed batch payment, with one line per shipment
+   * Issuing again for the same payment returns the existing invoice.
+   * @param {Object} batch - Shipment batch
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} Invoice
+   */
+  async issueBatchInvoice(batch, payment) {
+    const existing = await Invoice.findOne({ paymentId: payment._id, type: 'invoice' });
+    if (existing) {
+      return existing;
+    }
+
+    const shipments = await Shipment.find({ batchId: batch._id }).sort({ createdAt: 1 });
+    const lines = shipments.map(shipment => ({
+      description: `${shipment.trackingNumber} - ` +
+        `${shipment.type === 'international' ? 'International' : 'Local'} shipping to ` +
+        `${shipment.recipient?.address?.city || shipment.recipient?.name}` +
+        (shipment.cost.insurance ? ' incl. insurance' : ''),
+      amount: roundAmount(shipment.cost.baseAmount + (shipment.cost.insurance || 0))
+    }));
+
+    return this.create({
+      type: 'invoice',
+      batchId: batch._id,
+      paymentId: payment._id,
+      userId: batch.userId,
+      trackingNumber: batch.batchNumber,
+      billTo: await this.buildBillTo(shipments[0]),
+      lines,
+      subtotal: roundAmount(batch.cost.baseAmount + (batch.cost.insurance || 0)),
+      vatRate: shipments[0]?.cost.vatRate ?? shipmentService.vatRate,
+      vat: batch.cost.vat,
+      total: batch.cost.total,
+      currency: batch.cost.currency,
+      paymentMethod: payment.method,
+      paymentReference: payment.reference,
+      issuedAt: payment.paidAt || new Date()
+    }, { paymentId: payment._id, type: 'invoice' });
+  }
+
+  /**
+   * Issue a credit note for a refund
+   * The refunded amount is split into net and VAT in the same proportion as the invoice.
+   * @param {Object} shipment - Shipment object
+   * @param {Object} payment - Payment record
+   * @param {Object} refund - Refund entry from the payment
+   * @returns {Promise<Object>} Credit note
+   */
+  async issueCreditNote(shipment, payment, refund) {
+    const existing = await Invoice.findOne({ refundId: refund._id, type: 'credit_note' });
+    if (existing) {
+      return existing;
+    }
+
+    const invoice = await this.issueInvoice(shipment, payment);
+    const vat = invoice.total ? roundAmount(refund.amount * invoice.vat / invoice.total) : 0;
+
+    return this.create({
+      type: 'credit_note',
+      shipmentId: shipment._id,
+      paymentId: payment._id,
+      userId: shipment.userId,
+      invoiceId: invoice._id,
+      refundId: refund._id,
+      trackingNumber: shipment.trackingNumber,
+      billTo: invoice.billTo,
+      lines: [{
+        description: `Refund against invoice ${invoice.number}`,
+        amount: roundAmount(refund.amount - vat)
+      }],
+      subtotal: roundAmount(refund.amount - vat),
+      vatRate: invoice.vatRate,
+      vat,
+      total: refund.amount,
+      currency: payment.currency,
+      paymentMethod: payment.method,
+      paymentReference: refund.refundReference || payment.reference,
+      reason: refund.reason,
+      issuedAt: refund.createdAt
+    }, { refundId: refund._id, type: 'credit_note' });
+  }
+
+  /**
+   * Find an invoice or credit note for a shipment
+   * Without a number, returns the invoice for the current payment, issuing it
+   * if the payment completed but the invoice is missing.
+   * @param {Object} shipment - Shipment object
+   * @param {Object} [payment] - Current payment record
+   * @param {string} [number] - Invoice or credit note number
+   * @returns {Promise<Object>} Invoice
+   */
+  async findForShipment(shipment, payment, number) {
+    if (number) {
+      const invoice = await Invoice.findOne({
+        number,
+        $or: [
+          { shipmentId: shipment._id },
+          ...(shipment.batchId ? [{ batchId: shipment.batchId }] : [])
+        ]
+      });
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404);
+      }
+      return invoice;
+    }
+
+    if (!payment || ![...PAID_PAYMENT_STATUSES, 'refunded'].includes(payment.status)) {
+      throw new AppError('An invoice is only available once payment is completed', 404);
+    }
+
+    return this.issueInvoice(shipment, payment);
+  }
+
+  /**
+   * List invoices and credit notes for a shipment
+   * @param {string} shipmentId - Shipment ID
+   * @param {string} [batchId] - Batch the shipment was paid with
+   * @returns {Promise<Array>} Invoices
+   */
+  async listForShipment(shipmentId, batchId) {
+    return Invoice.find(batchId ? { $or: [{ shipmentId }, { batchId }] } : { shipmentId })
+      .select('number type total currency issuedAt reason')
+      .sort({ issuedAt: 1 });
+  }
+
+  /**
+   * Render an invoice as a PDF
+   * @param {Object} invoice - Invoice
+   * @returns {Promise<Buffer>} PDF contents
+   */
+  async renderPdf(invoice) {
+    return renderInvoicePdf(invoice);
+  }
+
+  /**
+   * Build an email attachment for an invoice
+   * @param {Object} invoice - Invoice
+   * @returns {Promise<Object>} Nodemailer attachment
+   */
+  async toAttachment(invoice) {
+    return {
+      filename: `${invoice.number}.pdf`,
+      content: await this.renderPdf(invoice),
+      contentType: 'application/pdf'
+    };
+  }
+}
+
+export default new InvoiceService();
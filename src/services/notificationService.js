@@ -1,4 +1,5 @@
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
 
 class NotificationService {
   constructor() {
@@ -51,6 +52,18 @@ class NotificationService {
     return notification;
   }
 
+  /**
+   * Create the same notification for every admin
+   * @param {Object} data - Notification data without a userId
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notifyAdmins(data) {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    return Promise.all(
+      admins.map(admin => this.createNotification({ ...data, userId: admin._id }))
+    );
+  }
+
   /**
    * Create payment verification notification
    * @param {string} userId - User ID
@@ -121,7 +134,11 @@ class NotificationService {
       picked_up: 'Your shipment has been picked up',
       in_transit: 'Your shipment is in transit',
       out_for_delivery: 'Your shipment is out for delivery',
+      partially_delivered: 'Part of your shipment has been delivered',
+      delivery_attempted: 'We tried to deliver your shipment',
+      held_at_facility: 'Your shipment is being held at our facility',
       delivered: 'Your shipment has been delivered',
+      returned_to_sender: 'Your shipment is being returned to the sender',
       cancelled: 'Your shipment has been cancelled'
     };
 
@@ -141,15 +158,16 @@ class NotificationService {
    * Create draft expiry notification
    * @param {string} userId - User ID
    * @param {Object} draft - Draft shipment object
+   * @param {Date} expiresAt - When the draft will be deleted
    * @returns {Promise<Object>} Created notification
    */
-  async createDraftExpiryNotification(userId, draft) {
+  async createDraftExpiryNotification(userId, draft, expiresAt) {
     return this.createNotification({
       userId,
       type: 'draft_expiry',
       data: {
         draftId: draft._id,
-        expiryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // 2 days
+        expiryDate: expiresAt
       }
     });
   }
@@ -0,0 +1,53 @@
+import { AppError } from '../../utils/responseHandler.js';
+import paystackProvider from './paystackProvider.js';
+import mockProvider from './mockProvider.js';
+
+/**
+ * Payment provider adapters
+ * Every provider implements the same interface:
+ * - initialize({ reference, amount, currency, email, callbackUrl, metadata })
+ *     -> { reference, authorizationUrl, accessCode }
+ * - verify(reference) -> { reference, status: 'success' | 'failed' | 'pending',
+ *     amount, currency, transactionId, paidAt }
+ * - refund({ reference, amount }) -> { refundReference, status }
+ * - verifyWebhookSignature(rawBody, headers) -> boolean
+ * - parseWebhookEvent(body) -> { type: 'payment.success' | 'payment.failed' | string,
+ *     reference, amount, currency, transactionId, paidAt }
+ * Amounts are always in major units (e.g. naira, not kobo).
+ */
+const providers = {
+  paystack: paystackProvider,
+  mock: mockProvider
+};
+
+/**
+ * Get the configured default provider name
+ * @returns {string} Provider name
+ */
+export const getDefaultProviderName = () => {
+  return process.env.PAYMENT_PROVIDER || 'paystack';
+};
+
+/**
+ * Get a payment provider adapter
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Provider adapter
+ * @throws {AppError} If the provider is unknown or not allowed
+ */
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 400);
+  }
+
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new AppError('The mock payment provider is disabled in production', 400);
+  }
+
+  // The mock provider is opt-in: it is only available with its own secret
+  if (name === 'mock' && !process.env.MOCK_PAYMENT_SECRET) {
+    throw new AppError('The mock payment provider is not enabled', 400);
+  }
+
+  return provider;
+};
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { AppError } from '../../utils/responseHandler.js';
+
+/**
+ * Local payment provider for development and tests
+ * Keeps transactions in memory and never touches the network. Use
+ * `complete`/`fail` to simulate the customer finishing checkout and
+ * `signPayload` to build webhook requests that pass signature checks.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.transactions = new Map();
+  }
+
+  /**
+   * Get webhook signing secret (read lazily so values from dotenv are picked up)
+   * There is no default, so a deployment that did not opt in cannot be sent
+   * webhooks signed with a well-known secret.
+   * @returns {string} Secret
+   */
+  getSecret() {
+    const secret = process.env.MOCK_PAYMENT_SECRET;
+    if (!secret) {
+      throw new AppError('The mock payment provider is not configured', 500);
+    }
+    return secret;
+  }
+
+  /**
+   * Initialize a transaction
+   * @param {Object} details - Transaction details
+   * @returns {Promise<Object>} Checkout details
+   */
+  async initialize({ reference, amount, currency, email }) {
+    this.transactions.set(reference, {
+      reference,
+      amount,
+      currency,
+      email,
+      status: 'pending',
+      transactionId: `mock_${crypto.randomBytes(6).toString('hex')}`,
+      refunds: []
+    });
+
+    return {
+      reference,
+      authorizationUrl: `mock://checkout/${reference}`,
+      accessCode: reference
+    };
+  }
+
+  /**
+   * Verify a transaction
+   * @param {string} reference - Transaction reference
+   * @returns {Promise<Object>} Normalized transaction result
+   */
+  async verify(reference) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      return { reference, status: 'failed' };
+    }
+
+    return {
+      reference,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      transactionId: transaction.transactionId,
+      paidAt: transaction.paidAt
+    };
+  }
+
+  /**
+   * Refund a transaction
+   * @param {Object} details - Refund details
+   * @returns {Promise<Object>} Normalized refund result
+   */
+  async refund({ reference, amount }) {
+    const transaction = this.transactions.get(reference);
+    const refundReference = `mock_refund_${crypto.randomBytes(6).toString('hex')}`;
+
+    if (transaction) {
+      transaction.refunds.push({ refundReference, amount });
+    }
+
+    return { refundReference, status: 'processed' };
+  }
+
+  /**
+   * Simulate a successful checkout
+   * @param {string} reference - Transaction reference
+   * @returns {Object|undefined} Updated transaction
+   */
+  complete(reference) {
+    const transaction = this.transactions.get(reference);
+    if (transaction) {
+      transaction.status = 'success';
+      transaction.paidAt = new Date();
+    }
+    return transaction;
+  }
+
+  /**
+   * Simulate a failed checkout
+   * @param {string} reference - Transaction reference
+   * @returns {Object|undefined} Updated transaction
+   */
+  fail(reference) {
+    const transaction = this.transactions.get(reference);
+    if (transaction) {
+      transaction.status = 'failed';
+    }
+    return transaction;
+  }
+
+  /**
+   * Sign a webhook payload the way the provider would
+   * @param {string|Buffer} rawBody - Raw request body
+   * @returns {string} Signature for the x-mock-signature header
+   */
+  signPayload(rawBody) {
+    return crypto
+      .createHmac('sha512', this.getSecret())
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  /**
+   * Verify webhook signature
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean} Whether signature is valid
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    if (!signature || !rawBody) {
+      return false;
+    }
+
+    const expected = this.signPayload(rawBody);
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * Normalize a webhook event
+   * Accepts { event: 'payment.success' | 'payment.failed', data: { reference, amount, currency } }
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object} Normalized event
+   */
+  parseWebhookEvent(body) {
+    const transaction = this.transactions.get(body.data?.reference);
+
+    return {
+      type: body.event,
+      reference: body.data?.reference,
+      amount: body.data?.amount,
+      currency: body.data?.currency,
+      transactionId: transaction?.transactionId,
+      paidAt: new Date()
+    };
+  }
+
+  /**
+   * Clear all stored transactions
+   */
+  reset() {
+    this.transactions.clear();
+  }
+}
+
+export default new MockProvider();
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { AppError } from '../../utils/responseHandler.js';
+
+// Paystack amounts are in the currency's subunit (kobo, cents, pence)
+const toSubunit = amount => Math.round(amount * 100);
+const fromSubunit = amount => amount / 100;
+
+class PaystackProvider {
+  constructor() {
+    this.name = 'paystack';
+  }
+
+  /**
+   * Get API secret key (read lazily so values from dotenv are picked up)
+   * @returns {string} Secret key
+   */
+  getSecretKey() {
+    const secretKey = process.env.PAYSTACK_SECRET_KEY;
+    if (!secretKey) {
+      throw new AppError('Paystack is not configured', 500);
+    }
+    return secretKey;
+  }
+
+  /**
+   * Call the Paystack API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [body] - Request body
+   * @returns {Promise<Object>} Response data
+   */
+  async request(method, path, body) {
+    const baseUrl = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.getSecretKey()}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      console.error('Paystack request failed:', error);
+      throw new AppError('Payment provider is unavailable, please try again', 502);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload.status) {
+      throw new AppError(payload.message || 'Payment provider request failed', 502);
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Initialize a transaction
+   * @param {Object} details - Transaction details
+   * @returns {Promise<Object>} Checkout details
+   */
+  async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const data = await this.request('POST', '/transaction/initialize', {
+      reference,
+      amount: toSubunit(amount),
+      currency,
+      email,
+      callback_url: callbackUrl,
+      metadata
+    });
+
+    return {
+      reference: data.reference,
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code
+    };
+  }
+
+  /**
+   * Verify a transaction
+   * @param {string} reference - Transaction reference
+   * @returns {Promise<Object>} Normalized transaction result
+   */
+  async verify(reference) {
+    const data = await this.request('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+
+    return {
+      reference: data.reference,
+      status: ['success', 'failed'].includes(data.status) ?
+        data.status :
+        (data.status === 'abandoned' ? 'failed' : 'pending'),
+      amount: fromSubunit(data.amount),
+      currency: data.currency,
+      transactionId: String(data.id),
+      paidAt: data.paid_at ? new Date(data.paid_at) : undefined
+    };
+  }
+
+  /**
+   * Refund a transaction
+   * @param {Object} details - Refund details
+   * @returns {Promise<Object>} Normalized refund result
+   */
+  async refund({ reference, amount }) {
+    const data = await this.request('POST', '/refund', {
+      transaction: reference,
+      amount: amount ? toSubunit(amount) : undefined
+    });
+
+    return {
+      refundReference: String(data.id),
+      status: data.status
+    };
+  }
+
+  /**
+   * Verify webhook signature (HMAC SHA512 of the raw body)
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean} Whether signature is valid
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !rawBody) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha512', this.getSecretKey())
+      .update(rawBody)
+      .digest('hex');
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * Normalize a webhook event
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object} Normalized event
+   */
+  parseWebhookEvent(body) {
+    const eventTypes = {
+      'charge.success': 'payment.success',
+      'charge.failed': 'payment.failed'
+    };
+
+    return {
+      type: eventTypes[body.event] || body.event,
+      reference: body.data?.reference,
+      amount: body.data?.amount !== undefined ? fromSubunit(body.data.amount) : undefined,
+      currency: body.data?.currency,
+      transactionId: body.data?.id !== undefined ? String(body.data.id) : undefined,
+      paidAt: body.data?.paid_at ? new Date(body.data.paid_at) : undefined
+    };
+  }
+}
+
+export default new PaystackProvider();
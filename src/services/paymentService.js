@@ -1,14 +1,169 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { AppError } from '../utils/responseHandler.js';
 import Shipment from '../models/Shipment.js';
+import Payment from '../models/Payment.js';
+import ShipmentBatch from '../models/ShipmentBatch.js';
+import User from '../models/User.js';
 import notificationService from './notificationService.js';
 import emailService from '../utils/email.js';
 import socketService from './socketService.js';
+import storageService from './storageService.js';
+import invoiceService from './invoiceService.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { formatAmount, roundAmount } from '../utils/currency.js';
+import { OPEN_PAYMENT_STATUSES, PAID_PAYMENT_STATUSES } from '../utils/paymentStatus.js';
 
 class PaymentService {
+  /**
+   * Check a new payment attempt can be started for a shipment
+   * Failed and cancelled attempts can be retried; open or paid ones cannot.
+   * @param {Object} shipment - Shipment object
+   * @throws {AppError} If the shipment cannot take a new attempt
+   */
+  assertCanStartAttempt(shipment) {
+    if (shipment.isDraft) {
+      throw new AppError('Draft shipments cannot be paid for', 400);
+    }
+
+    const status = shipment.payment?.paymentId ? shipment.payment.status : null;
+
+    if (status === 'awaiting_verification') {
+      throw new AppError('A bank transfer is already awaiting verification', 400);
+    }
+    if (status && [...PAID_PAYMENT_STATUSES, 'refunded'].includes(status)) {
+      throw new AppError('Shipment has already been paid for', 400);
+    }
+  }
+
+  /**
+   * Build the payment summary kept on shipments and batches
+   * @param {Object} payment - Payment record
+   * @returns {Object} Payment summary
+   */
+  buildSummary(payment) {
+    return {
+      paymentId: payment._id,
+      status: payment.status,
+      method: payment.method,
+      amount: payment.amount,
+      currency: payment.currency,
+      paidAt: payment.paidAt,
+      refundedAmount: payment.refundedAmount
+    };
+  }
+
+  /**
+   * Copy the current attempt onto the shipment payment summary
+   * @param {Object} shipment - Shipment object
+   * @param {Object} payment - Payment record
+   * @returns {Object} Shipment (not saved)
+   */
+  syncShipmentSummary(shipment, payment) {
+    shipment.payment = this.buildSummary(payment);
+    return shipment;
+  }
+
+  /**
+   * Copy the current attempt onto a batch and every shipment in it
+   * @param {Object} batch - Shipment batch
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} Saved batch
+   */
+  async syncBatchSummary(batch, payment) {
+    batch.payment = this.buildSummary(payment);
+    await batch.save();
+    await Shipment.updateMany(
+      { batchId: batch._id },
+      { $set: { payment: this.buildSummary(payment) } }
+    );
+    return batch;
+  }
+
+  /**
+   * Start a new payment attempt for a shipment or a shipment batch
+   * Any attempt still open is cancelled so only one can complete.
+   * @param {Object} payable - Shipment or shipment batch
+   * @param {Object} details - Payment fields for the new attempt
+   * @returns {Promise<Object>} Payment record
+   */
+  async startAttempt(payable, details) {
+    const owner = payable instanceof ShipmentBatch ?
+      { batchId: payable._id } :
+      { shipmentId: payable._id };
+
+    await Payment.updateMany(
+      { ...owner, status: { $in: OPEN_PAYMENT_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $push: {
+          history: {
+            status: 'cancelled',
+            note: 'Replaced by a new payment attempt',
+            timestamp: new Date()
+          }
+        }
+      }
+    );
+
+    const previous = await Payment.findOne(owner)
+      .sort({ attempt: -1 })
+      .select('attempt');
+
+    const payment = await Payment.create({
+      ...owner,
+      userId: payable.userId,
+      attempt: (previous?.attempt || 0) + 1,
+      amount: payable.cost.total,
+      currency: payable.cost.currency,
+      exchangeRate: payable.cost.exchangeRate,
+      ...details
+    });
+
+    if (owner.batchId) {
+      await this.syncBatchSummary(payable, payment);
+    } else {
+      this.syncShipmentSummary(payable, payment);
+      await payable.save();
+    }
+
+    return payment;
+  }
+
+  /**
+   * Issue an invoice or credit note and return it as email attachments
+   * Failures are logged rather than thrown so a payment is never rolled back
+   * over paperwork; the invoice is issued on first download instead.
+   * @param {Function} issue - Function issuing the document
+   * @returns {Promise<Array|undefined>} Attachments
+   */
+  async buildInvoiceAttachments(issue) {
+    try {
+      const invoice = await issue();
+      return [await invoiceService.toAttachment(invoice)];
+    } catch (error) {
+      console.error('Invoice generation failed:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get the payment attempt the shipment summary points to
+   * @param {Object} shipment - Shipment object
+   * @returns {Promise<Object|null>} Payment record
+   */
+  async getCurrentPayment(shipment) {
+    if (!shipment.payment?.paymentId) {
+      return null;
+    }
+    return Payment.findById(shipment.payment.paymentId);
+  }
+
   /**
    * Initialize bank transfer payment
    * @param {Object} shipment - Shipment object
    * @param {Object} paymentDetails - Payment details
+   * @param {Object} paymentDetails.receipt - Uploaded proof of payment (multer file)
    * @returns {Promise<Object>} Updated shipment
    */
   async initializeBankTransfer(shipment, paymentDetails) {
@@ -17,30 +172,45 @@ class PaymentService {
       throw new AppError('Account name and bank name are required', 400);
     }
 
-    // Update shipment payment status
-    shipment.payment = {
-      status: 'awaiting_verification',
-      method: 'bank_transfer',
-      amount: shipment.cost.total,
-      bankDetails: {
-        accountName: paymentDetails.accountName,
-        bankName: paymentDetails.bankName
-      },
-      createdAt: new Date()
-    };
+    if (!paymentDetails.receipt) {
+      throw new AppError('Receipt is required', 400);
+    }
 
-    await shipment.save();
+    this.assertCanStartAttempt(shipment);
 
-    // Send notifications
-    await notificationService.createPaymentVerificationNotification(
-      shipment.userId,
-      shipment
+    const receipt = await storageService.saveFile(
+      paymentDetails.receipt,
+      `receipts/${shipment._id}`
     );
 
+    let payment;
+    try {
+      payment = await this.startAttempt(shipment, {
+        method: 'bank_transfer',
+        status: 'awaiting_verification',
+        bankDetails: {
+          accountName: paymentDetails.accountName,
+          bankName: paymentDetails.bankName
+        },
+        receipt
+      });
+    } catch (error) {
+      await storageService.deleteFile(receipt);
+      throw error;
+    }
+
+    // Send notifications
+    if (shipment.userId) {
+      await notificationService.createPaymentVerificationNotification(
+        shipment.userId,
+        shipment
+      );
+    }
+
     // Send email
     if (shipment.userId) {
       const user = await User.findById(shipment.userId);
-      await emailService.sendPaymentConfirmation(shipment, user);
+      await emailService.sendPaymentConfirmation(shipment, user, payment);
     }
 
     // Send socket notification
@@ -65,52 +235,69 @@ class PaymentService {
       throw new AppError('Shipment not found', 404);
     }
 
-    if (shipment.payment.status !== 'awaiting_verification') {
+    const payment = await this.getCurrentPayment(shipment);
+    if (!payment || payment.method !== 'bank_transfer' || payment.status !== 'awaiting_verification') {
       throw new AppError('Payment is not awaiting verification', 400);
     }
 
     // Update payment status
-    shipment.payment.status = verificationDetails.verified ? 'completed' : 'failed';
-    shipment.payment.verifiedAt = new Date();
-    shipment.payment.verifiedBy = verificationDetails.adminId;
-    shipment.payment.notes = verificationDetails.notes;
-
-    if (verificationDetails.verified) {
-      // Update shipment status to awaiting_pickup
-      shipment.status = 'awaiting_pickup';
-      
-      // Add timeline entry
+    const verified = verificationDetails.verified;
+    payment.verifiedAt = new Date();
+    payment.verifiedBy = verificationDetails.adminId;
+    payment.notes = verificationDetails.notes;
+
+    if (verified) {
+      payment.paidAt = payment.verifiedAt;
+      payment.setStatus('completed', { by: verificationDetails.adminId, note: verificationDetails.notes });
+    } else {
+      payment.rejectionReason = verificationDetails.rejectionReason;
+      payment.setStatus('failed', {
+        by: verificationDetails.adminId,
+        note: verificationDetails.rejectionReason
+      });
+    }
+
+    await payment.save();
+    this.syncShipmentSummary(shipment, payment);
+
+    if (verified) {
+      // Move shipment to awaiting_pickup (saves the payment summary as well)
       await shipment.addTimelineEntry(
         'awaiting_pickup',
         null,
-        'Payment verified, shipment ready for pickup'
+        'Payment verified, shipment ready for pickup',
+        { updatedBy: verificationDetails.adminId }
       );
     } else {
-      shipment.payment.rejectionReason = verificationDetails.rejectionReason;
+      await shipment.save();
     }
 
-    await shipment.save();
-
     // Send notifications
-    const notificationType = verificationDetails.verified ? 
-      'payment_confirmed' : 'payment_rejected';
+    const notificationType = verified ? 'payment_confirmed' : 'payment_rejected';
 
-    await notificationService.createNotification({
-      userId: shipment.userId,
-      type: notificationType,
-      data: {
-        shipmentId: shipment._id,
-        trackingNumber: shipment.trackingNumber,
-        amount: shipment.cost.total,
-        rejectionReason: verificationDetails.rejectionReason
-      }
-    });
+    if (shipment.userId) {
+      await notificationService.createNotification({
+        userId: shipment.userId,
+        type: notificationType,
+        data: {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber,
+          amount: payment.amount,
+          rejectionReason: verificationDetails.rejectionReason
+        }
+      });
+    }
+
+    // Issue the invoice even for guests so it can be downloaded later
+    const attachments = verified ?
+      await this.buildInvoiceAttachments(() => invoiceService.issueInvoice(shipment, payment)) :
+      undefined;
 
     // Send email
     if (shipment.userId) {
       const user = await User.findById(shipment.userId);
-      if (verificationDetails.verified) {
-        await emailService.sendPaymentConfirmation(shipment, user);
+      if (verified) {
+        await emailService.sendPaymentConfirmation(shipment, user, payment, attachments);
       } else {
         await emailService.sendPaymentRejectionNotification(
           user,
@@ -123,19 +310,487 @@ class PaymentService {
     // Send socket notification
     socketService.sendPaymentUpdate(shipment.userId, {
       shipmentId: shipment._id,
-      status: shipment.payment.status,
-      verifiedAt: shipment.payment.verifiedAt,
-      rejectionReason: shipment.payment.rejectionReason
+      status: payment.status,
+      verifiedAt: payment.verifiedAt,
+      rejectionReason: payment.rejectionReason
     });
 
     return shipment;
   }
 
+  /**
+   * Initialize card payment with a payment provider
+   * @param {Object} shipment - Shipment object, or a shipment batch paid as a whole
+   * @param {Object} options - Payment options
+   * @param {string} options.email - Payer email
+   * @param {string} [options.callbackUrl] - URL the provider redirects to after checkout
+   * @param {string} [options.provider] - Provider name (defaults to PAYMENT_PROVIDER)
+   * @returns {Promise<Object>} Checkout details
+   */
+  async initializeCardPayment(shipment, { email, callbackUrl, provider: providerName }) {
+    this.assertCanStartAttempt(shipment);
+
+    const provider = getPaymentProvider(providerName);
+    const reference = `EA-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const checkout = await provider.initialize({
+      reference,
+      amount: shipment.cost.total,
+      currency: shipment.cost.currency,
+      email,
+      callbackUrl,
+      metadata: shipment instanceof ShipmentBatch ?
+        {
+          batchId: shipment._id.toString(),
+          batchNumber: shipment.batchNumber
+        } :
+        {
+          shipmentId: shipment._id.toString(),
+          trackingNumber: shipment.trackingNumber
+        }
+    });
+
+    const payment = await this.startAttempt(shipment, {
+      method: 'card',
+      status: 'pending',
+      provider: provider.name,
+      reference: checkout.reference
+    });
+
+    return {
+      paymentId: payment._id,
+      reference: checkout.reference,
+      authorizationUrl: checkout.authorizationUrl,
+      accessCode: checkout.accessCode,
+      provider: provider.name
+    };
+  }
+
+  /**
+   * Verify card payment with the provider
+   * Used when the payer returns from checkout; webhooks remain the source of truth.
+   * @param {string} reference - Payment reference
+   * @returns {Promise<Object>} Payment record
+   */
+  async verifyCardPayment(reference) {
+    const payment = await Payment.findOne({ reference });
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    if (payment.status !== 'pending') {
+      return payment;
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    const result = await provider.verify(reference);
+
+    if (result.status === 'success') {
+      await this.completeCardPayment(reference, result, provider.name);
+    } else if (result.status === 'failed') {
+      await this.failCardPayment(reference, 'Payment was not successful', provider.name);
+    }
+
+    return Payment.findById(payment._id);
+  }
+
+  /**
+   * Handle a payment provider webhook
+   * Events are applied at most once, so provider retries are harmless.
+   * @param {string} providerName - Provider name from the webhook URL
+   * @param {Object} request - Webhook request details
+   * @param {Buffer} request.rawBody - Raw request body
+   * @param {Object} request.headers - Request headers
+   * @param {Object} request.body - Parsed request body
+   * @returns {Promise<Object>} Handling result
+   */
+  async handleWebhook(providerName, { rawBody, headers, body }) {
+    const provider = getPaymentProvider(providerName);
+
+    if (!provider.verifyWebhookSignature(rawBody, headers)) {
+      throw new AppError('Invalid webhook signature', 401);
+    }
+
+    const event = provider.parseWebhookEvent(body);
+    if (!event.reference) {
+      return { handled: false, reason: 'No payment reference' };
+    }
+
+    // Events only apply to payments made through the provider that signed them
+    let payment;
+    if (event.type === 'payment.success') {
+      payment = await this.completeCardPayment(event.reference, event, provider.name);
+    } else if (event.type === 'payment.failed') {
+      payment = await this.failCardPayment(
+        event.reference,
+        'Payment was declined by the provider',
+        provider.name
+      );
+    } else {
+      return { handled: false, reason: `Ignored event ${event.type}` };
+    }
+
+    return {
+      handled: Boolean(payment),
+      reason: payment ? undefined : 'Payment already processed or not found'
+    };
+  }
+
+  /**
+   * Mark a card payment completed and release the shipment for pickup
+   * The status change is a conditional update so concurrent webhook and
+   * verify calls cannot complete the same payment twice. A payment captured
+   * after its attempt was replaced still counts when nothing else was paid.
+   * @param {string} reference - Payment reference
+   * @param {Object} result - Normalized provider result
+   * @param {string} providerName - Provider that reported the result
+   * @returns {Promise<Object|null>} Payment record, or null if already processed
+   * @throws {AppError} If the result does not say how much was paid
+   */
+  async completeCardPayment(reference, result, providerName) {
+    if (result.amount === undefined || result.amount === null) {
+      throw new AppError('Payment result does not include the amount paid', 400);
+    }
+
+    const attempt = await Payment.findOne({
+      reference,
+      status: { $in: ['pending', 'cancelled'] },
+      provider: providerName
+    });
+    if (!attempt) {
+      return null;
+    }
+
+    const mismatch = roundAmount(result.amount) < roundAmount(attempt.amount) ||
+      (result.currency && result.currency !== attempt.currency);
+
+    if (attempt.status === 'cancelled') {
+      return mismatch ?
+        this.flagForRefund(attempt, result, 'Amount paid does not match amount due') :
+        this.completeCancelledCardPayment(attempt, result);
+    }
+
+    if (mismatch) {
+      return this.failCardPayment(reference, 'Amount paid does not match amount due', providerName);
+    }
+
+    const payment = await this.markCardPaymentCompleted(attempt, 'pending', result);
+    if (!payment) {
+      return null;
+    }
+
+    await this.releasePayable(payment);
+    return payment;
+  }
+
+  /**
+   * Complete a card payment captured after its attempt was cancelled
+   * Open attempts are cancelled first so the one that replaced it cannot
+   * complete as well. If something else was already paid, the money is
+   * flagged for refund instead.
+   * @param {Object} attempt - Cancelled payment record
+   * @param {Object} result - Normalized provider result
+   * @returns {Promise<Object|null>} Payment record, or null if already processed
+   */
+  async completeCancelledCardPayment(attempt, result) {
+    const owner = attempt.batchId ?
+      { batchId: attempt.batchId } :
+      { shipmentId: attempt.shipmentId };
+    const others = { ...owner, _id: { $ne: attempt._id } };
+
+    await Payment.updateMany(
+      { ...others, status: { $in: OPEN_PAYMENT_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $push: {
+          history: {
+            status: 'cancelled',
+            note: 'An earlier payment attempt was paid',
+            timestamp: new Date()
+          }
+        }
+      }
+    );
+
+    const alreadyPaid = await Payment.exists({
+      ...others,
+      status: { $in: [...PAID_PAYMENT_STATUSES, 'refunded'] }
+    });
+    if (alreadyPaid) {
+      return this.flagForRefund(attempt, result, 'Paid after another attempt was already paid');
+    }
+
+    if (!attempt.batchId) {
+      const shipment = await Shipment.findById(attempt.shipmentId).select('status');
+      if (!shipment || shipment.status === 'cancelled') {
+        return this.flagForRefund(attempt, result, 'Paid after the shipment was cancelled');
+      }
+    }
+
+    const payment = await this.markCardPaymentCompleted(attempt, 'cancelled', result);
+    if (!payment) {
+      return null;
+    }
+
+    await this.releasePayable(payment);
+    return payment;
+  }
+
+  /**
+   * Move a card payment to completed if it still has the expected status
+   * @param {Object} attempt - Payment record
+   * @param {string} fromStatus - Status the payment must still have
+   * @param {Object} result - Normalized provider result
+   * @returns {Promise<Object|null>} Completed payment, or null if it changed meanwhile
+   */
+  async markCardPaymentCompleted(attempt, fromStatus, result) {
+    return Payment.findOneAndUpdate(
+      { _id: attempt._id, status: fromStatus },
+      {
+        $set: {
+          status: 'completed',
+          transactionId: result.transactionId,
+          paidAt: result.paidAt || new Date()
+        },
+        $push: {
+          history: {
+            status: 'completed',
+            note: fromStatus === 'cancelled' ? 'Paid after the attempt was replaced' : undefined,
+            timestamp: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Flag money captured on a cancelled card attempt for refund and tell the admins
+   * @param {Object} attempt - Cancelled payment record
+   * @param {Object} result - Normalized provider result
+   * @param {string} reason - Why the payment cannot be used
+   * @returns {Promise<Object|null>} Payment record, or null if already flagged
+   */
+  async flagForRefund(attempt, result, reason) {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: attempt._id, status: 'cancelled', refundRequired: { $ne: true } },
+      {
+        $set: {
+          refundRequired: true,
+          transactionId: result.transactionId,
+          paidAt: result.paidAt || new Date()
+        },
+        $push: {
+          history: {
+            status: 'cancelled',
+            note: `${reason}, refund required`,
+            timestamp: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return null;
+    }
+
+    await notificationService.notifyAdmins({
+      type: 'system_notification',
+      title: 'Card payment needs a refund',
+      message: `Payment ${payment.reference} was captured but cannot be used: ${reason}.`,
+      data: {
+        paymentId: payment._id,
+        shipmentId: payment.shipmentId,
+        batchId: payment.batchId,
+        reference: payment.reference,
+        amount: result.amount,
+        currency: result.currency || payment.currency
+      },
+      priority: 'high'
+    });
+
+    return payment;
+  }
+
+  /**
+   * Apply a completed card payment to its shipment or batch
+   * Moves the shipment on, issues the invoice and tells the payer.
+   * @param {Object} payment - Completed payment record
+   * @returns {Promise<void>}
+   */
+  async releasePayable(payment) {
+    if (payment.batchId) {
+      await this.releaseBatch(payment);
+      return;
+    }
+
+    const shipment = await Shipment.findById(payment.shipmentId);
+    this.syncShipmentSummary(shipment, payment);
+
+    if (shipment.status === 'pending') {
+      await shipment.addTimelineEntry(
+        'awaiting_pickup',
+        null,
+        'Card payment received, shipment ready for pickup'
+      );
+    } else {
+      await shipment.save();
+    }
+
+    const attachments = await this.buildInvoiceAttachments(
+      () => invoiceService.issueInvoice(shipment, payment)
+    );
+
+    if (shipment.userId) {
+      await notificationService.createPaymentConfirmationNotification(
+        shipment.userId,
+        shipment
+      );
+
+      const user = await User.findById(shipment.userId);
+      if (user) {
+        await emailService.sendPaymentConfirmation(shipment, user, payment, attachments);
+      }
+    }
+
+    socketService.sendPaymentUpdate(shipment.userId, {
+      shipmentId: shipment._id,
+      status: 'completed',
+      transactionId: payment.transactionId,
+      paidAt: payment.paidAt
+    });
+  }
+
+  /**
+   * Release every shipment in a batch once its payment has completed
+   * @param {Object} payment - Completed batch payment
+   * @returns {Promise<Object>} Batch
+   */
+  async releaseBatch(payment) {
+    const batch = await ShipmentBatch.findById(payment.batchId);
+    await this.syncBatchSummary(batch, payment);
+
+    const shipments = await Shipment.find({ batchId: batch._id, status: 'pending' });
+    for (const shipment of shipments) {
+      this.syncShipmentSummary(shipment, payment);
+      await shipment.addTimelineEntry(
+        'awaiting_pickup',
+        null,
+        `Card payment for batch ${batch.batchNumber} received, shipment ready for pickup`
+      );
+    }
+
+    const attachments = await this.buildInvoiceAttachments(
+      () => invoiceService.issueBatchInvoice(batch, payment)
+    );
+
+    await notificationService.createNotification({
+      userId: batch.userId,
+      type: 'payment_confirmed',
+      data: {
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        shipmentCount: batch.shipments.length
+      }
+    });
+
+    const user = await User.findById(batch.userId);
+    if (user) {
+      await emailService.sendBatchPaymentConfirmation(batch, user, payment, attachments);
+    }
+
+    socketService.sendPaymentUpdate(batch.userId, {
+      batchId: batch._id,
+      status: 'completed',
+      transactionId: payment.transactionId,
+      paidAt: payment.paidAt
+    });
+
+    return batch;
+  }
+
+  /**
+   * Mark a pending card payment failed
+   * @param {string} reference - Payment reference
+   * @param {string} reason - Failure reason
+   * @param {string} providerName - Provider that reported the failure
+   * @returns {Promise<Object|null>} Payment record, or null if already processed
+   */
+  async failCardPayment(reference, reason, providerName) {
+    const payment = await Payment.findOneAndUpdate(
+      { reference, status: 'pending', provider: providerName },
+      {
+        $set: { status: 'failed', failureReason: reason },
+        $push: { history: { status: 'failed', note: reason, timestamp: new Date() } }
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return null;
+    }
+
+    // Only the attempt the shipment (or batch) points to is reflected on it
+    if (payment.batchId) {
+      const batch = await ShipmentBatch.findById(payment.batchId);
+      if (batch && batch.payment?.paymentId?.equals(payment._id)) {
+        await this.syncBatchSummary(batch, payment);
+      }
+    } else {
+      const shipment = await Shipment.findById(payment.shipmentId);
+      if (shipment && shipment.payment?.paymentId?.equals(payment._id)) {
+        this.syncShipmentSummary(shipment, payment);
+        await shipment.save();
+      }
+    }
+
+    socketService.sendPaymentUpdate(payment.userId, {
+      shipmentId: payment.shipmentId,
+      batchId: payment.batchId,
+      status: 'failed',
+      reason
+    });
+
+    return payment;
+  }
+
+  /**
+   * Set the status matching a payment's refunded total and record it in the history
+   * Only applies while the total is still the one given: a refund reserved since
+   * then sets the status for the newer total itself.
+   * @param {Object} payment - Payment as returned by the update that changed the total
+   * @param {Object} entry - History details
+   * @param {string} [entry.by] - User making the change
+   * @param {string} [entry.note] - Note about the change
+   * @returns {Promise<void>}
+   */
+  async applyRefundStatus(payment, { by, note }) {
+    let status = 'completed';
+    if (payment.getRefundableAmount() <= 0) {
+      status = 'refunded';
+    } else if (roundAmount(payment.refundedAmount) > 0) {
+      status = 'partially_refunded';
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id, refundedAmount: payment.refundedAmount },
+      {
+        $set: { status, refundedAmount: roundAmount(payment.refundedAmount) },
+        $push: { history: { status, note, by, timestamp: new Date() } }
+      }
+    );
+  }
+
   /**
    * Process refund
+   * A payment can be refunded several times until the amount paid is used up.
+   * The shipment is only cancelled when asked to.
    * @param {string} shipmentId - Shipment ID
    * @param {Object} refundDetails - Refund details
-   * @returns {Promise<Object>} Updated shipment
+   * @param {number} [refundDetails.amount] - Amount to refund (defaults to the refundable balance)
+   * @param {string} refundDetails.reason - Refund reason
+   * @param {string} refundDetails.adminId - Admin processing the refund
+   * @param {boolean} [refundDetails.cancelShipment] - Also cancel the shipment
+   * @returns {Promise<Object>} Updated shipment, payment and the new refund
    */
   async processRefund(shipmentId, refundDetails) {
     const shipment = await Shipment.findById(shipmentId);
@@ -143,43 +798,127 @@ class PaymentService {
       throw new AppError('Shipment not found', 404);
     }
 
-    if (shipment.payment.status !== 'completed') {
+    const payment = await this.getCurrentPayment(shipment);
+    if (payment?.batchId) {
+      throw new AppError('Shipments paid for as part of a batch cannot be refunded individually', 400);
+    }
+    if (payment?.status === 'refunded') {
+      throw new AppError('Payment has already been fully refunded', 400);
+    }
+    if (!payment || !PAID_PAYMENT_STATUSES.includes(payment.status)) {
       throw new AppError('Payment must be completed to process refund', 400);
     }
 
-    if (shipment.payment.refunded) {
-      throw new AppError('Payment has already been refunded', 400);
+    if (refundDetails.cancelShipment && !shipment.canBeCancelled()) {
+      throw new AppError(
+        `Shipment cannot be cancelled once it is ${shipment.status.replace(/_/g, ' ')}`,
+        409
+      );
     }
 
-    // Update payment status
-    shipment.payment.refunded = true;
-    shipment.payment.refundedAt = new Date();
-    shipment.payment.refundedBy = refundDetails.adminId;
-    shipment.payment.refundReason = refundDetails.reason;
-    shipment.payment.refundAmount = refundDetails.amount || shipment.cost.total;
-    shipment.status = 'cancelled';
-
-    await shipment.save();
-
-    // Add timeline entry
-    await shipment.addTimelineEntry(
-      'cancelled',
-      null,
-      `Shipment cancelled and refunded: ${refundDetails.reason}`
+    const refundable = payment.getRefundableAmount();
+    const amount = refundDetails.amount ? roundAmount(refundDetails.amount) : refundable;
+    if (amount <= 0 || amount > refundable) {
+      throw new AppError(
+        `Refund cannot exceed the refundable balance of ${formatAmount(refundable, payment.currency)}`,
+        400
+      );
+    }
+
+    // Reserve the amount atomically so concurrent refunds cannot exceed what was paid
+    const refundId = new mongoose.Types.ObjectId();
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: PAID_PAYMENT_STATUSES },
+        $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$amount', 0.001] }] }
+      },
+      {
+        $inc: { refundedAmount: amount },
+        $push: {
+          refunds: {
+            _id: refundId,
+            amount,
+            reason: refundDetails.reason,
+            refundedBy: refundDetails.adminId,
+            createdAt: new Date()
+          }
+        }
+      },
+      { new: true }
     );
+    if (!reserved) {
+      throw new AppError('Refund exceeds the refundable balance', 409);
+    }
 
-    // Send notifications
-    await notificationService.createNotification({
-      userId: shipment.userId,
-      type: 'payment_refunded',
-      data: {
-        shipmentId: shipment._id,
-        trackingNumber: shipment.trackingNumber,
-        amount: shipment.payment.refundAmount,
-        reason: shipment.payment.refundReason
+    // Card payments are refunded through the provider that took them
+    if (payment.method === 'card') {
+      try {
+        const provider = getPaymentProvider(payment.provider);
+        const result = await provider.refund({
+          reference: payment.reference,
+          amount
+        });
+        await Payment.updateOne(
+          { _id: payment._id, 'refunds._id': refundId },
+          { $set: { 'refunds.$.refundReference': result.refundReference } }
+        );
+      } catch (error) {
+        const released = await Payment.findOneAndUpdate(
+          { _id: payment._id },
+          { $inc: { refundedAmount: -amount }, $pull: { refunds: { _id: refundId } } },
+          { new: true }
+        );
+        await this.applyRefundStatus(released, {
+          by: refundDetails.adminId,
+          note: `Refund failed: ${error.message}`
+        });
+        throw error;
       }
+    }
+
+    // Update payment status from the total this refund was reserved against
+    await this.applyRefundStatus(reserved, {
+      by: refundDetails.adminId,
+      note: refundDetails.reason
     });
 
+    const refunded = await Payment.findById(payment._id);
+    this.syncShipmentSummary(shipment, refunded);
+
+    if (refundDetails.cancelShipment) {
+      // Add timeline entry (saves the payment summary as well)
+      await shipment.addTimelineEntry(
+        'cancelled',
+        null,
+        `Shipment cancelled and refunded: ${refundDetails.reason}`,
+        { updatedBy: refundDetails.adminId }
+      );
+    } else {
+      await shipment.save();
+    }
+
+    const refund = refunded.refunds.id(refundId);
+
+    // Send notifications
+    if (shipment.userId) {
+      await notificationService.createNotification({
+        userId: shipment.userId,
+        type: 'payment_refunded',
+        data: {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber,
+          amount,
+          reason: refundDetails.reason
+        }
+      });
+    }
+
+    // Issue the credit note even for guests so it can be downloaded later
+    const attachments = await this.buildInvoiceAttachments(
+      () => invoiceService.issueCreditNote(shipment, refunded, refund)
+    );
+
     // Send email
     if (shipment.userId) {
       const user = await User.findById(shipment.userId);
@@ -187,28 +926,30 @@ class PaymentService {
         shipment,
         user,
         {
-          amount: shipment.payment.refundAmount,
-          reason: shipment.payment.refundReason
-        }
+          amount,
+          reason: refundDetails.reason
+        },
+        attachments
       );
     }
 
     // Send socket notification
     socketService.sendPaymentUpdate(shipment.userId, {
       shipmentId: shipment._id,
-      status: 'refunded',
-      refundedAt: shipment.payment.refundedAt,
-      refundAmount: shipment.payment.refundAmount,
-      reason: shipment.payment.refundReason
+      status: refunded.status,
+      refundedAt: refund.createdAt,
+      refundAmount: amount,
+      refundedAmount: refunded.refundedAmount,
+      reason: refundDetails.reason
     });
 
-    return shipment;
+    return { shipment, payment: refunded, refund };
   }
 
   /**
    * Get payment status
    * @param {string} shipmentId - Shipment ID
-   * @returns {Promise<Object>} Payment status
+   * @returns {Promise<Object>} Payment status and attempt history
    */
   async getPaymentStatus(shipmentId) {
     const shipment = await Shipment.findById(shipmentId);
@@ -216,16 +957,29 @@ class PaymentService {
       throw new AppError('Shipment not found', 404);
     }
 
+    // Batch shipments also list the attempts made for the whole batch
+    const attempts = await Payment.find(shipment.batchId ?
+      { $or: [{ shipmentId }, { batchId: shipment.batchId }] } :
+      { shipmentId })
+      .select('-bankDetails')
+      .sort({ attempt: -1 });
+    const currentId = shipment.payment?.paymentId?.toString();
+    const current = attempts.find(attempt => attempt._id.toString() === currentId);
+
     return {
-      status: shipment.payment.status,
-      method: shipment.payment.method,
+      status: shipment.payment?.status || 'pending',
+      method: current?.method,
+      provider: current?.provider,
+      reference: current?.reference,
       amount: shipment.cost.total,
-      createdAt: shipment.payment.createdAt,
-      verifiedAt: shipment.payment.verifiedAt,
-      refunded: shipment.payment.refunded,
-      refundedAt: shipment.payment.refundedAt,
-      refundAmount: shipment.payment.refundAmount,
-      refundReason: shipment.payment.refundReason
+      currency: shipment.cost.currency,
+      createdAt: current?.createdAt,
+      paidAt: current?.paidAt,
+      verifiedAt: current?.verifiedAt,
+      refundedAmount: current?.refundedAmount || 0,
+      refundableAmount: current ? current.getRefundableAmount() : 0,
+      refunds: current?.refunds || [],
+      attempts
     };
   }
 }
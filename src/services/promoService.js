@@ -0,0 +1,253 @@
+import { AppError } from '../utils/responseHandler.js';
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import Counter from '../models/Counter.js';
+import { formatAmount, getBaseCurrency, roundAmount } from '../utils/currency.js';
+
+/**
+ * Get the owners a per-user limit applies to: the user and the sender email
+ * @param {Object} promo - Promo code
+ * @param {Object} [user] - Authenticated user
+ * @param {string} [email] - Sender email
+ * @returns {Array<Object>} Owners as { key, query } with a usage counter key and
+ *   the redemption query for that owner
+ */
+const getOwners = (promo, user, email) => {
+  const owners = [];
+  if (user) {
+    owners.push({ key: `promo:${promo._id}:user:${user._id}`, query: { userId: user._id } });
+  }
+  if (email) {
+    const address = email.toLowerCase();
+    owners.push({ key: `promo:${promo._id}:email:${address}`, query: { email: address } });
+  }
+  return owners;
+};
+
+class PromoService {
+  /**
+   * Count previous redemptions of a code by a user or guest email
+   * @param {Object} promo - Promo code
+   * @param {Object} [user] - Authenticated user
+   * @param {string} [email] - Guest sender email
+   * @returns {Promise<number>} Redemption count
+   */
+  async countRedemptions(promo, user, email) {
+    const owners = getOwners(promo, user, email);
+    if (!owners.length) {
+      return 0;
+    }
+
+    return PromoRedemption.countDocuments({
+      promoCodeId: promo._id,
+      $or: owners.map(owner => owner.query)
+    });
+  }
+
+  /**
+   * Find a promo code and check it applies to an order
+   * @param {string} code - Promo code
+   * @param {Object} order - Order details
+   * @param {string} order.type - Shipment type
+   * @param {number} order.subtotal - Pre-tax subtotal in the base currency
+   * @param {Object} [order.user] - Authenticated user
+   * @param {string} [order.email] - Sender email
+   * @returns {Promise<Object>} Promo code
+   * @throws {AppError} If the code does not apply
+   */
+  async findApplicable(code, { type, subtotal, user, email }) {
+    const promo = await PromoCode.findOne({ code: code.toUpperCase() });
+    if (!promo || !promo.isActive) {
+      throw new AppError('Invalid promo code', 400);
+    }
+
+    const now = new Date();
+    if (promo.validFrom && promo.validFrom > now) {
+      throw new AppError('Promo code is not valid yet', 400);
+    }
+    if (promo.validUntil && promo.validUntil <= now) {
+      throw new AppError('Promo code has expired', 400);
+    }
+
+    if (promo.shipmentTypes.length && !promo.shipmentTypes.includes(type)) {
+      throw new AppError(`Promo code is not valid for ${type} shipments`, 400);
+    }
+
+    if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
+      throw new AppError('Promo code usage limit has been reached', 400);
+    }
+
+    if (subtotal < promo.minOrderAmount) {
+      throw new AppError(
+        `Promo code requires a minimum order of ${formatAmount(promo.minOrderAmount, getBaseCurrency())}`,
+        400
+      );
+    }
+
+    const redemptions = await this.countRedemptions(promo, user, email);
+    if (redemptions >= promo.perUserLimit) {
+      throw new AppError('You have already used this promo code', 400);
+    }
+
+    return promo;
+  }
+
+  /**
+   * Redeem a promo code for a created shipment
+   * Per-user usage and the global usage count are both incremented with
+   * conditional updates, so concurrent checkouts cannot exceed either limit.
+   * Increments are undone if a later step fails.
+   * @param {Object} shipment - Shipment the code was applied to
+   * @param {Object} [user] - Authenticated user
+   * @returns {Promise<Object>} Redemption record
+   * @throws {AppError} If the code can no longer be redeemed
+   */
+  async redeem(shipment, user) {
+    const code = shipment.cost.promoCode;
+    const email = shipment.sender?.email;
+
+    const promo = await PromoCode.findOne({ code, isActive: true });
+    if (!promo) {
+      throw new AppError('Invalid promo code', 400);
+    }
+
+    const claimed = [];
+    let counted = false;
+    try {
+      for (const { key, query } of getOwners(promo, user, email)) {
+        const claimedUse = await Counter.incrementBelow(
+          key,
+          promo.perUserLimit,
+          () => PromoRedemption.countDocuments({ promoCodeId: promo._id, ...query })
+        );
+        if (!claimedUse) {
+          throw new AppError('You have already used this promo code', 400);
+        }
+        claimed.push(key);
+      }
+
+      const updated = await PromoCode.findOneAndUpdate(
+        {
+          _id: promo._id,
+          isActive: true,
+          $or: [
+            { usageLimit: { $exists: false } },
+            { usageLimit: null },
+            { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+          ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new AppError('Promo code usage limit has been reached', 400);
+      }
+      counted = true;
+
+      return await PromoRedemption.create({
+        promoCodeId: promo._id,
+        code: promo.code,
+        userId: user?._id,
+        email,
+        shipmentId: shipment._id,
+        discount: shipment.cost.discount,
+        currency: shipment.cost.currency,
+        discountBase: roundAmount(shipment.cost.discount / (shipment.cost.exchangeRate || 1))
+      });
+    } catch (error) {
+      await Promise.all(claimed.map(key => Counter.decrement(key)));
+      if (counted) {
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a promo code already redeemed for a shipment
+   * Eligibility is not checked again, so re-pricing an edited shipment keeps its discount.
+   * @param {string} code - Promo code
+   * @returns {Promise<Object|null>} Promo code
+   */
+  async findRedeemed(code) {
+    return PromoCode.findOne({ code: code.toUpperCase() });
+  }
+
+  /**
+   * Update a shipment's redemption record after the shipment was re-priced
+   * @param {Object} shipment - Re-priced shipment
+   * @returns {Promise<void>}
+   */
+  async syncRedemption(shipment) {
+    await PromoRedemption.updateOne(
+      { shipmentId: shipment._id },
+      {
+        discount: shipment.cost.discount,
+        currency: shipment.cost.currency,
+        discountBase: roundAmount(shipment.cost.discount / (shipment.cost.exchangeRate || 1))
+      }
+    );
+  }
+
+  /**
+   * Get redemption report for a promo code
+   * @param {string} promoCodeId - Promo code ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Redemptions and summary
+   */
+  async getRedemptionReport(promoCodeId, { page = 1, limit = 20 } = {}) {
+    const promo = await PromoCode.findById(promoCodeId);
+    if (!promo) {
+      throw new AppError('Promo code not found', 404);
+    }
+
+    const redemptions = await PromoRedemption.find({ promoCodeId })
+      .populate('userId', 'firstName lastName email')
+      .populate('shipmentId', 'trackingNumber status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await PromoRedemption.countDocuments({ promoCodeId });
+
+    const [summary] = await PromoRedemption.aggregate([
+      { $match: { promoCodeId: promo._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: { $ifNull: ['$userId', '$email'] } },
+          totalDiscount: { $sum: '$discountBase' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          redemptions: 1,
+          uniqueUsers: { $size: '$uniqueUsers' },
+          totalDiscount: 1
+        }
+      }
+    ]);
+
+    return {
+      promoCode: promo,
+      summary: {
+        redemptions: 0,
+        uniqueUsers: 0,
+        totalDiscount: 0,
+        ...summary,
+        currency: getBaseCurrency()
+      },
+      redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default new PromoService();
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { AppError } from '../utils/responseHandler.js';
+import Quote from '../models/Quote.js';
+
+class QuoteService {
+  /**
+   * Get quote validity in minutes
+   * @returns {number} Minutes a quote stays valid
+   */
+  getValidityMinutes() {
+    return parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 30;
+  }
+
+  /**
+   * Build a fingerprint of everything that affects the price
+   * @param {Object} shipmentData - Shipment details (including any promo code)
+   * @param {string} currency - Quoted currency
+   * @returns {string} SHA-256 fingerprint
+   */
+  buildFingerprint(shipmentData, currency) {
+    const priced = {
+      type: shipmentData.type,
+      originCountry: shipmentData.sender?.address?.country?.toUpperCase() || null,
+      destinationCountry: shipmentData.recipient?.address?.country?.toUpperCase() || null,
+      packages: (shipmentData.packages || []).map(pkg => ({
+        packageType: pkg.packageType || null,
+        weight: Number(pkg.weight),
+        length: Number(pkg.dimensions?.length),
+        width: Number(pkg.dimensions?.width),
+        height: Number(pkg.dimensions?.height),
+        isFragile: Boolean(pkg.isFragile),
+        isPerishable: Boolean(pkg.isPerishable),
+        isHazardous: Boolean(pkg.isHazardous)
+      })),
+      insuranceType: shipmentData.insurance?.type || 'none',
+      promoCode: shipmentData.promoCode?.toUpperCase() || null,
+      currency
+    };
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(priced))
+      .digest('hex');
+  }
+
+  /**
+   * Persist a quote for a calculated cost
+   * @param {Object} shipmentData - Shipment details
+   * @param {Object} cost - Cost breakdown
+   * @param {Object} [user] - Authenticated user
+   * @returns {Promise<Object>} Created quote
+   */
+  async createQuote(shipmentData, cost, user) {
+    return Quote.create({
+      userId: user?._id,
+      type: shipmentData.type,
+      originCountry: shipmentData.sender?.address?.country,
+      destinationCountry: shipmentData.recipient?.address?.country,
+      currency: cost.currency,
+      cost,
+      fingerprint: this.buildFingerprint(shipmentData, cost.currency),
+      expiresAt: new Date(Date.now() + this.getValidityMinutes() * 60 * 1000)
+    });
+  }
+
+  /**
+   * Validate and claim a quote for a new shipment
+   * The quote is marked used atomically so it cannot lock two shipments.
+   * @param {string} quoteId - Quote ID
+   * @param {Object} shipmentData - Shipment details being created
+   * @param {Object} [user] - Authenticated user
+   * @returns {Promise<Object>} Claimed quote
+   * @throws {AppError} If the quote is missing, expired, used or does not match
+   */
+  async claimQuote(quoteId, shipmentData, user) {
+    const quote = await Quote.findById(quoteId);
+    if (!quote) {
+      throw new AppError('Quote not found', 404);
+    }
+
+    if (quote.userId && quote.userId.toString() !== user?.id) {
+      throw new AppError('Not authorized to use this quote', 403);
+    }
+
+    if (quote.usedAt) {
+      throw new AppError('Quote has already been used', 409);
+    }
+
+    if (quote.isExpired()) {
+      throw new AppError('Quote has expired, please request a new quote', 410);
+    }
+
+    const currency = shipmentData.currency || quote.currency;
+    if (this.buildFingerprint(shipmentData, currency) !== quote.fingerprint) {
+      throw new AppError(
+        'Shipment details do not match the quote, please request a new quote',
+        409
+      );
+    }
+
+    const claimed = await Quote.findOneAndUpdate(
+      { _id: quote._id, usedAt: { $exists: false } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Quote has already been used', 409);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Link a claimed quote to the shipment it priced
+   * @param {Object} quote - Claimed quote
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Promise<void>}
+   */
+  async attachShipment(quote, shipmentId) {
+    await Quote.updateOne({ _id: quote._id }, { shipmentId });
+  }
+
+  /**
+   * Release a claimed quote when the shipment could not be created
+   * @param {Object} quote - Claimed quote
+   * @returns {Promise<void>}
+   */
+  async releaseQuote(quote) {
+    await Quote.updateOne({ _id: quote._id }, { $unset: { usedAt: 1 } });
+  }
+}
+
+export default new QuoteService();
@@ -0,0 +1,194 @@
+import { AppError } from '../utils/responseHandler.js';
+import PickupPoint from '../models/PickupPoint.js';
+import emailService from '../utils/email.js';
+import notificationService from './notificationService.js';
+import socketService from './socketService.js';
+import { createShipmentToken, buildTokenUrl } from '../utils/shipmentToken.js';
+
+// Token purpose for links sent to the recipient
+export const RECIPIENT_PURPOSE = 'recipient';
+
+// Statuses in which the recipient can still change where and when a shipment arrives
+export const DELIVERY_CHANGE_STATUSES = [
+  'pending',
+  'awaiting_pickup',
+  'picked_up',
+  'in_transit',
+  'delivery_attempted',
+  'held_at_facility'
+];
+
+// Statuses in which delivery instructions can still reach the courier
+export const INSTRUCTION_STATUSES = [
+  ...DELIVERY_CHANGE_STATUSES,
+  'out_for_delivery',
+  'partially_delivered'
+];
+
+class RecipientService {
+  /**
+   * Build the link the recipient uses to manage a delivery
+   * @param {Object} shipment - Shipment
+   * @returns {string} URL
+   */
+  getRecipientUrl(shipment) {
+    return buildTokenUrl(
+      `/recipient/${shipment._id}`,
+      createShipmentToken(shipment._id, RECIPIENT_PURPOSE),
+      { client: true }
+    );
+  }
+
+  /**
+   * Email the delivery management link to the recipient
+   * Failures are logged so they never undo the shipment.
+   * @param {Object} shipment - Created shipment
+   */
+  async sendLink(shipment) {
+    if (!shipment.recipient?.email) {
+      return;
+    }
+
+    try {
+      await emailService.sendRecipientLinkEmail(
+        shipment,
+        shipment.recipient,
+        this.getRecipientUrl(shipment)
+      );
+    } catch (error) {
+      console.error('Failed to send recipient link email:', error);
+    }
+  }
+
+  /**
+   * Check the shipment is in a status that allows a change
+   * @param {Object} shipment - Shipment
+   * @param {Array<string>} statuses - Statuses that allow the change
+   * @param {string} change - Change description for the error message
+   * @throws {AppError} If the change is no longer possible
+   */
+  assertStatus(shipment, statuses, change) {
+    if (!statuses.includes(shipment.status)) {
+      throw new AppError(
+        `Cannot ${change} while the shipment is ${shipment.status.replace(/_/g, ' ')}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Save a recipient change, record it in the timeline and tell those involved
+   * @param {Object} shipment - Changed shipment
+   * @param {string} description - Timeline description
+   * @returns {Promise<Object>} Saved shipment
+   */
+  async recordChange(shipment, description) {
+    shipment.timeline.push({
+      status: shipment.status,
+      description
+    });
+    await shipment.save();
+
+    if (shipment.assignment?.deliveryCourier) {
+      await notificationService.createNotification({
+        userId: shipment.assignment.deliveryCourier,
+        type: 'delivery_update',
+        message: `Shipment ${shipment.trackingNumber}: ${description}`,
+        data: {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber
+        }
+      });
+    }
+    if (shipment.userId) {
+      socketService.sendShipmentUpdate(shipment.userId, shipment);
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Change the delivery time window
+   * @param {Object} shipment - Shipment
+   * @param {Object} timeWindow - New window { start, end }
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async updateTimeWindow(shipment, { start, end }) {
+    this.assertStatus(shipment, DELIVERY_CHANGE_STATUSES, 'change the delivery time');
+
+    const windowStart = new Date(start);
+    const windowEnd = new Date(end);
+    if (windowStart >= windowEnd) {
+      throw new AppError('Time window must end after it starts', 400);
+    }
+    if (windowStart <= new Date()) {
+      throw new AppError('Time window must be in the future', 400);
+    }
+
+    shipment.delivery.options.timeWindow = { start: windowStart, end: windowEnd };
+
+    return this.recordChange(
+      shipment,
+      `Recipient changed the delivery window to ${windowStart.toISOString()} - ${windowEnd.toISOString()}`
+    );
+  }
+
+  /**
+   * Change the delivery instructions
+   * @param {Object} shipment - Shipment
+   * @param {string} specialInstructions - New instructions (empty to clear)
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async updateInstructions(shipment, specialInstructions) {
+    this.assertStatus(shipment, INSTRUCTION_STATUSES, 'change the delivery instructions');
+
+    shipment.delivery.options.specialInstructions = specialInstructions || undefined;
+
+    return this.recordChange(
+      shipment,
+      specialInstructions ?
+        'Recipient updated the delivery instructions' :
+        'Recipient removed the delivery instructions'
+    );
+  }
+
+  /**
+   * Redirect the delivery to a pickup point
+   * @param {Object} shipment - Shipment
+   * @param {string} pickupPointId - Pickup point ID
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async redirectToPickupPoint(shipment, pickupPointId) {
+    this.assertStatus(shipment, DELIVERY_CHANGE_STATUSES, 'redirect the delivery');
+
+    const pickupPoint = await PickupPoint.findOne({ _id: pickupPointId, isActive: true });
+    if (!pickupPoint) {
+      throw new AppError('Pickup point not found', 404);
+    }
+
+    if (pickupPoint.address.country !== shipment.recipient?.address?.country) {
+      throw new AppError('Pickup point must be in the destination country', 400);
+    }
+
+    shipment.delivery.pickupPoint = {
+      pickupPointId: pickupPoint._id,
+      code: pickupPoint.code,
+      name: pickupPoint.name,
+      address: {
+        street: pickupPoint.address.street,
+        city: pickupPoint.address.city,
+        country: pickupPoint.address.country,
+        postalCode: pickupPoint.address.postalCode
+      },
+      openingHours: pickupPoint.openingHours,
+      redirectedAt: new Date()
+    };
+
+    return this.recordChange(
+      shipment,
+      `Recipient redirected the delivery to pickup point ${pickupPoint.name} (${pickupPoint.code})`
+    );
+  }
+}
+
+export default new RecipientService();
@@ -0,0 +1,224 @@
+import { AppError } from '../utils/responseHandler.js';
+import User from '../models/User.js';
+import emailService from '../utils/email.js';
+import shipmentService from './shipmentService.js';
+import notificationService from './notificationService.js';
+import socketService from './socketService.js';
+import recipientService from './recipientService.js';
+import { DELIVERY_ATTEMPT_REASONS, RETURN_IMMEDIATELY_REASONS } from '../utils/shipmentStatus.js';
+
+// Statuses in which the recipient can pick a new delivery date
+export const RESCHEDULABLE_STATUSES = ['delivery_attempted', 'held_at_facility'];
+
+// How far ahead a redelivery can be booked
+const MAX_RESCHEDULE_DAYS = 14;
+
+/**
+ * Get the number of failed attempts before a shipment goes back to the sender
+ * (read lazily so values from dotenv are picked up)
+ * @returns {number} Maximum delivery attempts
+ */
+export const getMaxDeliveryAttempts = () => parseInt(process.env.MAX_DELIVERY_ATTEMPTS, 10) || 3;
+
+/**
+ * Start of a day
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of that day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+class RedeliveryService {
+  /**
+   * Record a failed delivery attempt
+   * The recipient is told how to reschedule, unless the attempt limit is reached
+   * or the reason sends the shipment straight back to the sender.
+   * @param {Object} shipment - Shipment at the door
+   * @param {Object} attempt - Attempt details
+   * @param {string} attempt.reason - Reason code (see DELIVERY_ATTEMPT_REASONS)
+   * @param {string} [attempt.notes] - Courier notes
+   * @param {string} [attempt.location] - Where the attempt was made
+   * @param {Object} [attempt.courier] - Courier who made the attempt
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async recordAttempt(shipment, { reason, notes, location, courier }) {
+    shipment.deliveryAttempts.push({
+      courier: courier?._id,
+      reason,
+      notes,
+      location
+    });
+
+    const count = shipment.deliveryAttempts.length;
+    const maxAttempts = getMaxDeliveryAttempts();
+    await shipment.addTimelineEntry(
+      'delivery_attempted',
+      location,
+      `Delivery attempt ${count} failed: ${DELIVERY_ATTEMPT_REASONS[reason]}`,
+      { updatedBy: courier }
+    );
+
+    if (RETURN_IMMEDIATELY_REASONS.includes(reason) || count >= maxAttempts) {
+      await this.returnToSender(shipment, {
+        reason: count >= maxAttempts ?
+          `Maximum of ${maxAttempts} delivery attempts reached` :
+          DELIVERY_ATTEMPT_REASONS[reason],
+        location,
+        updatedBy: courier
+      });
+      return shipment;
+    }
+
+    await this.notifyAttempt(shipment, maxAttempts - count);
+    return shipment;
+  }
+
+  /**
+   * Work out the return details, including the return charge
+   * @param {Object} shipment - Shipment being returned
+   * @param {Object} details - Return details
+   * @param {string} details.reason - Why the shipment is returned
+   * @param {Object} [details.updatedBy] - User starting the return
+   * @returns {Object} Return details
+   */
+  buildReturnInfo(shipment, { reason, updatedBy }) {
+    return {
+      reason,
+      initiatedAt: new Date(),
+      initiatedBy: updatedBy?._id,
+      charge: shipmentService.calculateReturnCharge(shipment)
+    };
+  }
+
+  /**
+   * Route a shipment back to its sender
+   * @param {Object} shipment - Shipment
+   * @param {Object} details - Return details
+   * @param {string} details.reason - Why the shipment is returned
+   * @param {string} [details.location] - Where the return starts
+   * @param {Object} [details.updatedBy] - User starting the return
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async returnToSender(shipment, { reason, location, updatedBy }) {
+    shipment.returnInfo = this.buildReturnInfo(shipment, { reason, updatedBy });
+    await shipment.addTimelineEntry(
+      'returned_to_sender',
+      location,
+      `Returning to sender: ${reason}`,
+      { updatedBy }
+    );
+
+    if (shipment.userId) {
+      await notificationService.createShipmentStatusNotification(
+        shipment.userId,
+        shipment,
+        shipment.status
+      );
+      socketService.sendShipmentUpdate(shipment.userId, shipment);
+    }
+
+    const sender = shipment.userId ?
+      await User.findById(shipment.userId) :
+      null;
+    const email = sender?.email || shipment.sender?.email;
+    if (email) {
+      try {
+        await emailService.sendReturnToSenderEmail(shipment, {
+          name: sender?.firstName || shipment.sender?.name,
+          email
+        });
+      } catch (error) {
+        console.error('Failed to send return to sender email:', error);
+      }
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Tell the recipient and the shipment owner about a failed attempt
+   * @param {Object} shipment - Shipment
+   * @param {number} attemptsLeft - Attempts left before the shipment is returned
+   */
+  async notifyAttempt(shipment, attemptsLeft) {
+    const attempt = shipment.deliveryAttempts[shipment.deliveryAttempts.length - 1];
+    const reason = DELIVERY_ATTEMPT_REASONS[attempt.reason];
+
+    if (shipment.recipient?.email) {
+      try {
+        await emailService.sendDeliveryAttemptEmail(shipment, shipment.recipient, {
+          reason,
+          attemptsLeft,
+          rescheduleUrl: recipientService.getRecipientUrl(shipment)
+        });
+      } catch (error) {
+        console.error('Failed to send delivery attempt email:', error);
+      }
+    }
+
+    if (shipment.userId) {
+      await notificationService.createNotification({
+        userId: shipment.userId,
+        type: 'delivery_update',
+        message: `We could not deliver shipment ${shipment.trackingNumber}: ${reason}`,
+        data: {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber,
+          attempt: shipment.deliveryAttempts.length,
+          reason: attempt.reason
+        }
+      });
+      socketService.sendShipmentUpdate(shipment.userId, shipment);
+    }
+  }
+
+  /**
+   * Book a redelivery on a date chosen by the recipient
+   * @param {Object} shipment - Shipment waiting for redelivery
+   * @param {Object} request - Redelivery request
+   * @param {Date} request.date - Requested delivery date
+   * @param {Object} [request.timeWindow] - Preferred time window { start, end }
+   * @returns {Promise<Object>} Updated shipment
+   */
+  async reschedule(shipment, { date, timeWindow }) {
+    if (!RESCHEDULABLE_STATUSES.includes(shipment.status)) {
+      throw new AppError('This delivery cannot be rescheduled', 409);
+    }
+
+    const requested = startOfDay(date);
+    const tomorrow = startOfDay(Date.now());
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const latest = new Date(tomorrow);
+    latest.setDate(latest.getDate() + MAX_RESCHEDULE_DAYS - 1);
+
+    if (requested < tomorrow || requested > latest) {
+      throw new AppError(
+        `Redelivery must be booked between tomorrow and ${MAX_RESCHEDULE_DAYS} days from now`,
+        400
+      );
+    }
+
+    if (timeWindow && new Date(timeWindow.start) >= new Date(timeWindow.end)) {
+      throw new AppError('Time window must end after it starts', 400);
+    }
+
+    shipment.delivery.redelivery = {
+      requestedDate: requested,
+      requestedAt: new Date()
+    };
+    shipment.delivery.estimatedDate = requested;
+    if (timeWindow) {
+      shipment.delivery.options.timeWindow = timeWindow;
+    }
+
+    return recipientService.recordChange(
+      shipment,
+      `Redelivery requested for ${requested.toDateString()}`
+    );
+  }
+}
+
+export default new RedeliveryService();
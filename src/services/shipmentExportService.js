@@ -0,0 +1,247 @@
+import ExcelJS from 'exceljs';
+import Shipment from '../models/Shipment.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+/**
+ * Total weight of a shipment's packages
+ * @param {Object} shipment - Shipment
+ * @returns {number} Weight in kg
+ */
+const totalWeight = shipment => (shipment.packages || [])
+  .reduce((sum, pkg) => sum + (pkg.weight || 0), 0);
+
+// Columns every customer gets for their own shipments
+const CUSTOMER_COLUMNS = [
+  { header: 'Tracking Number', key: 'trackingNumber', value: shipment => shipment.trackingNumber },
+  { header: 'Created At', key: 'createdAt', value: shipment => shipment.createdAt, date: true },
+  { header: 'Type', key: 'type', value: shipment => shipment.type },
+  { header: 'Status', key: 'status', value: shipment => shipment.status },
+  { header: 'Sender', key: 'senderName', value: shipment => shipment.sender?.name },
+  { header: 'Sender City', key: 'senderCity', value: shipment => shipment.sender?.address?.city },
+  { header: 'Sender Country', key: 'senderCountry', value: shipment => shipment.sender?.address?.country },
+  { header: 'Recipient', key: 'recipientName', value: shipment => shipment.recipient?.name },
+  { header: 'Recipient City', key: 'recipientCity', value: shipment => shipment.recipient?.address?.city },
+  { header: 'Recipient Country', key: 'recipientCountry', value: shipment => shipment.recipient?.address?.country },
+  { header: 'Packages', key: 'packages', value: shipment => shipment.packages?.length || 0 },
+  { header: 'Weight (kg)', key: 'weight', value: totalWeight },
+  { header: 'Total', key: 'total', value: shipment => shipment.cost?.total },
+  { header: 'Currency', key: 'currency', value: shipment => shipment.cost?.currency },
+  { header: 'Pickup Date', key: 'pickupDate', value: shipment => shipment.pickup?.date, date: true },
+  { header: 'Estimated Delivery', key: 'estimatedDelivery', value: shipment => shipment.delivery?.estimatedDate, date: true },
+  { header: 'Delivered At', key: 'deliveredAt', value: shipment => shipment.delivery?.actualDate, date: true }
+];
+
+// Customer columns plus owner, cost breakdown and payment columns for finance reconciliation
+const ADMIN_COLUMNS = [
+  ...CUSTOMER_COLUMNS.slice(0, 1),
+  { header: 'User ID', key: 'userId', value: shipment => shipment.userId?.toString() },
+  { header: 'Sender Email', key: 'senderEmail', value: shipment => shipment.sender?.email },
+  { header: 'Batch ID', key: 'batchId', value: shipment => shipment.batchId?.toString() },
+  ...CUSTOMER_COLUMNS.slice(1),
+  { header: 'Base Amount', key: 'baseAmount', value: shipment => shipment.cost?.baseAmount },
+  { header: 'Insurance', key: 'insurance', value: shipment => shipment.cost?.insurance },
+  { header: 'Discount', key: 'discount', value: shipment => shipment.cost?.discount },
+  { header: 'Promo Code', key: 'promoCode', value: shipment => shipment.cost?.promoCode },
+  { header: 'VAT', key: 'vat', value: shipment => shipment.cost?.vat },
+  { header: 'Exchange Rate', key: 'exchangeRate', value: shipment => shipment.cost?.exchangeRate },
+  { header: 'Payment Status', key: 'paymentStatus', value: shipment => shipment.payment?.status },
+  { header: 'Payment Method', key: 'paymentMethod', value: shipment => shipment.payment?.method },
+  { header: 'Amount Paid', key: 'amountPaid', value: shipment => shipment.payment?.amount },
+  { header: 'Paid At', key: 'paidAt', value: shipment => shipment.payment?.paidAt, date: true },
+  { header: 'Refunded', key: 'refundedAmount', value: shipment => shipment.payment?.refundedAmount }
+];
+
+/**
+ * Escape a value for a CSV cell
+ * Text starting with a formula character is prefixed so spreadsheets do not run it.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until a stream can take more data, or has been closed
+ * @param {Object} output - Writable stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = output => new Promise((resolve) => {
+  const done = () => {
+    output.off('drain', done);
+    output.off('close', done);
+    resolve();
+  };
+  output.once('drain', done);
+  output.once('close', done);
+});
+
+class ShipmentExportService {
+  /**
+   * Build the query for an export
+   * @param {Object} filters - Export filters
+   * @param {string} [filters.userId] - Only this user's shipments (omit for all users)
+   * @param {string} [filters.status] - Shipment status
+   * @param {string} [filters.type] - Shipment type
+   * @param {string} [filters.startDate] - Created on or after
+   * @param {string} [filters.endDate] - Created on or before (a plain date includes that day)
+   * @returns {Object} MongoDB query
+   */
+  buildQuery({ userId, status, type, startDate, endDate }) {
+    const query = { isDraft: false };
+
+    if (userId) {
+      query.userId = userId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        // A date without a time includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+          end.setUTCDate(end.getUTCDate() + 1);
+          query.createdAt.$lt = end;
+        } else {
+          query.createdAt.$lte = end;
+        }
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Get the response headers for an export
+   * @param {string} format - csv or xlsx
+   * @param {boolean} [admin] - Whether this is the all-users export
+   * @returns {Object} Headers
+   */
+  getHeaders(format, admin = false) {
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="shipments${admin ? '-all' : ''}-${date}.${format}"`
+    };
+  }
+
+  /**
+   * Stream matching shipments to a writable stream
+   * Shipments are read with a cursor and written one at a time, so memory use
+   * does not grow with the number of shipments.
+   * @param {Object} output - Writable stream, usually the response
+   * @param {Object} options - Export options
+   * @param {Object} options.query - MongoDB query from buildQuery
+   * @param {string} options.format - csv or xlsx
+   * @param {boolean} [options.admin] - Include finance columns
+   * @returns {Promise<number>} Number of shipments written
+   */
+  async stream(output, { query, format, admin = false }) {
+    const columns = admin ? ADMIN_COLUMNS : CUSTOMER_COLUMNS;
+    const cursor = Shipment.find(query)
+      .select('-timeline -delivery.proofs -packages.events')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    return format === 'xlsx' ?
+      this.writeXlsx(output, cursor, columns) :
+      this.writeCsv(output, cursor, columns);
+  }
+
+  /**
+   * Write shipments as CSV, waiting whenever the output is full
+   * Stops early if the client goes away.
+   * @param {Object} output - Writable stream
+   * @param {Object} cursor - Shipment cursor
+   * @param {Array} columns - Columns to write
+   * @returns {Promise<number>} Number of shipments written
+   */
+  async writeCsv(output, cursor, columns) {
+    const write = async (cells) => {
+      if (!output.write(cells.map(toCsvCell).join(',') + '\r\n')) {
+        await waitForDrain(output);
+      }
+    };
+
+    await write(columns.map(column => column.header));
+
+    let count = 0;
+    for await (const shipment of cursor) {
+      if (output.destroyed) {
+        await cursor.close();
+        return count;
+      }
+      await write(columns.map(column => column.value(shipment)));
+      count++;
+    }
+
+    output.end();
+    return count;
+  }
+
+  /**
+   * Write shipments as an XLSX workbook streamed row by row
+   * @param {Object} output - Writable stream
+   * @param {Object} cursor - Shipment cursor
+   * @param {Array} columns - Columns to write
+   * @returns {Promise<number>} Number of shipments written
+   */
+  async writeXlsx(output, cursor, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: true
+    });
+    const worksheet = workbook.addWorksheet('Shipments');
+    worksheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(column.header.length + 2, column.date ? 18 : 12),
+      style: column.date ? { numFmt: DATE_FORMAT } : undefined
+    }));
+
+    let count = 0;
+    for await (const shipment of cursor) {
+      const row = {};
+      columns.forEach((column) => {
+        row[column.key] = column.value(shipment);
+      });
+      worksheet.addRow(row).commit();
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+}
+
+export default new ShipmentExportService();
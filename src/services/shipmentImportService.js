@@ -0,0 +1,414 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { validationResult } from 'express-validator';
+import { AppError } from '../utils/responseHandler.js';
+import Shipment from '../models/Shipment.js';
+import ShipmentBatch from '../models/ShipmentBatch.js';
+import emailService from '../utils/email.js';
+import shipmentService from './shipmentService.js';
+import recipientService from './recipientService.js';
+import { sanitizeData } from '../middleware/validate.js';
+import { createShipmentValidation } from '../validators/shipment.js';
+import { roundAmount } from '../utils/currency.js';
+
+// Largest file accepted in one upload, in data rows
+export const MAX_IMPORT_ROWS = 200;
+
+// Spreadsheet columns and the shipment fields they fill; each row is one shipment with one package
+export const IMPORT_COLUMNS = {
+  type: 'type',
+  sender_name: 'sender.name',
+  sender_email: 'sender.email',
+  sender_phone: 'sender.phone',
+  sender_street: 'sender.address.street',
+  sender_city: 'sender.address.city',
+  sender_country: 'sender.address.country',
+  sender_postal_code: 'sender.address.postalCode',
+  sender_tax_id: 'sender.address.taxId',
+  recipient_name: 'recipient.name',
+  recipient_email: 'recipient.email',
+  recipient_phone: 'recipient.phone',
+  recipient_street: 'recipient.address.street',
+  recipient_city: 'recipient.address.city',
+  recipient_country: 'recipient.address.country',
+  recipient_postal_code: 'recipient.address.postalCode',
+  recipient_tax_id: 'recipient.address.taxId',
+  package_type: 'package.packageType',
+  weight: 'package.weight',
+  length: 'package.dimensions.length',
+  width: 'package.dimensions.width',
+  height: 'package.dimensions.height',
+  description: 'package.description',
+  is_fragile: 'package.isFragile',
+  is_perishable: 'package.isPerishable',
+  is_hazardous: 'package.isHazardous',
+  pickup_date: 'pickup.date',
+  pickup_street: 'pickup.location.street',
+  pickup_city: 'pickup.location.city',
+  pickup_country: 'pickup.location.country',
+  pickup_postal_code: 'pickup.location.postalCode',
+  pickup_instructions: 'pickup.instructions',
+  special_instructions: 'delivery.options.specialInstructions',
+  requires_signature: 'delivery.options.requiresSignature',
+  insurance_type: 'insurance.type',
+  insurance_coverage: 'insurance.coverage'
+};
+
+const NUMBER_COLUMNS = ['weight', 'length', 'width', 'height', 'insurance_coverage'];
+
+const BOOLEAN_COLUMNS = ['is_fragile', 'is_perishable', 'is_hazardous', 'requires_signature'];
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false
+};
+
+/**
+ * Turn a header cell into a column key, e.g. "Sender Postal Code" becomes "sender_postal_code"
+ * @param {*} header - Header cell value
+ * @returns {string} Column key
+ */
+const toColumnKey = header => String(header ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Read the value of a worksheet cell
+ * Dates become ISO strings, formulas their result and rich text or links their text.
+ * @param {Object} cell - ExcelJS cell
+ * @returns {*} Cell value
+ */
+const readCell = (cell) => {
+  const { value } = cell;
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    return value.result !== undefined ? value.result : cell.text;
+  }
+
+  return value;
+};
+
+/**
+ * Convert a raw cell value to the type its column expects
+ * Values that cannot be converted are kept so validation can report them.
+ * @param {string} column - Column key
+ * @param {*} value - Raw value
+ * @returns {*} Converted value
+ */
+const convertValue = (column, value) => {
+  if (NUMBER_COLUMNS.includes(column)) {
+    const number = Number(value);
+    return typeof value === 'number' || (value !== '' && !isNaN(number)) ? number : value;
+  }
+
+  if (BOOLEAN_COLUMNS.includes(column)) {
+    const key = String(value).trim().toLowerCase();
+    return key in BOOLEAN_VALUES ? BOOLEAN_VALUES[key] : value;
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * Set a value at a dotted path, creating objects along the way
+ * @param {Object} target - Object to fill
+ * @param {string} path - Dotted path
+ * @param {*} value - Value
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Detect the file format from its type and name
+ * @param {Object} file - Multer file
+ * @returns {string} csv or xlsx
+ */
+const getFormat = file => (
+  file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+  /\.xlsx$/i.test(file.originalname || '') ?
+    'xlsx' :
+    'csv'
+);
+
+class ShipmentImportService {
+  /**
+   * Read the data rows of an uploaded CSV or XLSX file
+   * @param {Object} file - Multer file
+   * @returns {Promise<Array>} Rows as { row, values } keyed by column
+   * @throws {AppError} If the file cannot be read or has no usable rows
+   */
+  async readRows(file) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (getFormat(file) === 'xlsx') {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        // Keep values as text so postal codes and phone numbers lose no leading zeros
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+          map: value => value
+        });
+      }
+    } catch {
+      throw new AppError('Could not read the file, upload a CSV or XLSX spreadsheet', 400);
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new AppError('The file must have a header row and at least one shipment', 400);
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, index) => {
+      const key = toColumnKey(readCell(cell));
+      if (IMPORT_COLUMNS[key]) {
+        columns[index] = key;
+      }
+    });
+
+    if (!Object.keys(columns).length) {
+      throw new AppError('The header row has no recognised columns', 400);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+
+      const values = {};
+      row.eachCell((cell, index) => {
+        const value = readCell(cell);
+        if (columns[index] && value !== null && value !== undefined && String(value).trim() !== '') {
+          values[columns[index]] = value;
+        }
+      });
+
+      if (Object.keys(values).length) {
+        rows.push({ row: rowNumber, values });
+      }
+    });
+
+    if (!rows.length) {
+      throw new AppError('The file has no shipment rows', 400);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`A file can contain at most ${MAX_IMPORT_ROWS} shipments`, 400);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map a spreadsheet row to shipment data
+   * The pickup location defaults to the sender address when its columns are empty.
+   * @param {Object} values - Row values keyed by column
+   * @returns {Object} Shipment data
+   */
+  mapRow(values) {
+    const data = {};
+    Object.entries(values).forEach(([column, value]) => {
+      setPath(data, IMPORT_COLUMNS[column], convertValue(column, value));
+    });
+
+    const { package: pkg, ...shipmentData } = data;
+    shipmentData.type = shipmentData.type?.toLowerCase();
+    shipmentData.packages = pkg ? [pkg] : [];
+
+    const pickupLocation = shipmentData.pickup?.location;
+    if (!pickupLocation && shipmentData.sender?.address) {
+      const { street, city, country, postalCode } = shipmentData.sender.address;
+      setPath(shipmentData, 'pickup.location', { street, city, country, postalCode });
+    }
+
+    return sanitizeData(shipmentData);
+  }
+
+  /**
+   * Validate shipment data the same way as a single shipment and price it
+   * @param {Object} shipmentData - Shipment data from a row
+   * @param {Object} options - Pricing options
+   * @param {string} options.currency - Currency for the whole batch
+   * @param {Object} options.user - User importing the file
+   * @returns {Promise<Object>} { errors, cost }
+   */
+  async checkRow(shipmentData, { currency, user }) {
+    const req = { body: shipmentData };
+    await Promise.all(createShipmentValidation.map(validation => validation.run(req)));
+
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+      return { errors: [...new Set(result.array().map(err => err.msg))] };
+    }
+
+    const errors = [];
+    const checks = [
+      () => shipmentService.validateAddresses(shipmentData),
+      () => shipmentService.validatePackages(shipmentData.packages),
+      () => shipmentService.validatePickupDate(shipmentData.pickup.date)
+    ];
+    checks.forEach((check) => {
+      try {
+        check();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+    if (errors.length) {
+      return { errors };
+    }
+
+    try {
+      const cost = await shipmentService.calculateShippingCost(shipmentData, { currency, user });
+      return { errors, cost };
+    } catch (error) {
+      if (!error.isOperational) {
+        throw error;
+      }
+      return { errors: [error.message] };
+    }
+  }
+
+  /**
+   * Check every row of a file and work out the combined cost
+   * @param {Object} file - Multer file
+   * @param {Object} options - Import options
+   * @param {string} options.currency - Currency for the whole batch
+   * @param {Object} options.user - User importing the file
+   * @returns {Promise<Object>} Report with per-row errors, the shipment data and the combined cost
+   */
+  async buildReport(file, { currency, user }) {
+    const rows = await this.readRows(file);
+
+    const results = [];
+    for (const { row, values } of rows) {
+      const data = this.mapRow(values);
+      const { errors, cost } = await this.checkRow(data, { currency, user });
+      results.push({ row, data, errors, cost });
+    }
+
+    const valid = results.filter(result => !result.errors.length);
+    const cost = {
+      baseAmount: roundAmount(valid.reduce((sum, result) => sum + result.cost.baseAmount, 0)),
+      insurance: roundAmount(valid.reduce((sum, result) => sum + result.cost.insurance, 0)),
+      vat: roundAmount(valid.reduce((sum, result) => sum + result.cost.vat, 0)),
+      total: roundAmount(valid.reduce((sum, result) => sum + result.cost.total, 0)),
+      currency,
+      exchangeRate: valid[0]?.cost.exchangeRate ?? 1
+    };
+
+    return {
+      results,
+      cost,
+      rowCount: results.length,
+      errorCount: results.length - valid.length
+    };
+  }
+
+  /**
+   * Summarise a report for the client
+   * @param {Object} report - Report from buildReport
+   * @param {Array} [shipments] - Created shipments, in row order
+   * @returns {Object} Per-row status and totals
+   */
+  formatReport(report, shipments = []) {
+    return {
+      valid: report.errorCount === 0,
+      rowCount: report.rowCount,
+      errorCount: report.errorCount,
+      cost: report.cost,
+      rows: report.results.map((result, index) => ({
+        row: result.row,
+        valid: !result.errors.length,
+        errors: result.errors.length ? result.errors : undefined,
+        recipient: result.data.recipient?.name,
+        total: result.cost?.total,
+        trackingNumber: shipments[index]?.trackingNumber
+      }))
+    };
+  }
+
+  /**
+   * Create every shipment in a checked file as one batch
+   * Nothing is created unless every row is valid, and shipments already created
+   * are removed again if a later one fails.
+   * @param {Object} report - Report from buildReport without errors
+   * @param {Object} options - Batch options
+   * @param {Object} options.user - User importing the file
+   * @param {Object} options.file - Multer file the report came from
+   * @returns {Promise<Object>} { batch, shipments }
+   */
+  async createBatch(report, { user, file }) {
+    if (report.errorCount) {
+      throw new AppError('Fix the rows with errors before creating the shipments', 400);
+    }
+
+    const batch = new ShipmentBatch({
+      userId: user.id,
+      cost: report.cost,
+      source: {
+        fileName: file.originalname,
+        format: getFormat(file),
+        rows: report.rowCount
+      }
+    });
+
+    const shipments = [];
+    try {
+      for (const { data, cost } of report.results) {
+        shipments.push(await Shipment.create({
+          ...data,
+          userId: user.id,
+          batchId: batch._id,
+          cost,
+          delivery: {
+            ...data.delivery,
+            estimatedDate: shipmentService.estimateDeliveryDate(data)
+          },
+          isDraft: false
+        }));
+      }
+
+      batch.shipments = shipments.map(shipment => shipment._id);
+      await batch.save();
+    } catch (error) {
+      await Shipment.deleteMany({ _id: { $in: shipments.map(shipment => shipment._id) } });
+      throw error;
+    }
+
+    const statusUpdate = shipmentService.formatStatusUpdate('pending');
+    for (const shipment of shipments) {
+      await shipment.addTimelineEntry(
+        statusUpdate.status,
+        null,
+        `${statusUpdate.description} (batch ${batch.batchNumber})`
+      );
+      await recipientService.sendLink(shipment);
+    }
+
+    try {
+      await emailService.sendBatchConfirmation(batch, shipments, user);
+    } catch (error) {
+      console.error('Failed to send batch confirmation email:', error);
+    }
+
+    return { batch, shipments };
+  }
+}
+
+export default new ShipmentImportService();
@@ -1,4 +1,33 @@
 import { AppError } from '../utils/responseHandler.js';
+import RateCard from '../models/RateCard.js';
+import Shipment from '../models/Shipment.js';
+import currencyService from './currencyService.js';
+import promoService from './promoService.js';
+import quoteService from './quoteService.js';
+import { getBaseCurrency, roundAmount } from '../utils/currency.js';
+
+// Shipment fields clients may set; status, payment, tracking and assignment are set by the server
+const SHIPMENT_INPUT_FIELDS = [
+  'type',
+  'sender',
+  'recipient',
+  'packages',
+  'pickup',
+  'delivery',
+  'insurance'
+];
+
+// Package fields clients may set; piece numbers, statuses and scan events are set by the server
+const PACKAGE_INPUT_FIELDS = [
+  'packageType',
+  'weight',
+  'dimensions',
+  'description',
+  'isFragile',
+  'isPerishable',
+  'isHazardous',
+  'specialInstructions'
+];
 
 class ShipmentService {
   constructor() {
@@ -19,6 +48,79 @@ class ShipmentService {
         isNaN(this.insuranceRates.premium)) {
       throw new Error('Invalid shipping rate configuration');
     }
+
+    // Distance factor applied by the fallback card for international shipments
+    this.internationalMultiplier = 1.5;
+  }
+
+  /**
+   * Build the fallback rate card from the environment rates
+   * Used when no active rate card covers a route.
+   * @param {string} type Shipment type (international/local)
+   * @returns {Object} Rate card and zone
+   */
+  getFallbackRateCard(type) {
+    const multiplier = type === 'international' ? this.internationalMultiplier : 1;
+    const zone = {
+      name: 'Default',
+      originCountries: [],
+      destinationCountries: [],
+      weightBands: [{
+        minWeight: 0,
+        ratePerKg: this.baseRates[type] * multiplier,
+        flatFee: 0
+      }],
+      minimumCharge: 0,
+      surcharges: []
+    };
+
+    return {
+      rateCard: {
+        name: 'Default rates',
+        shipmentType: type,
+        isFallback: true,
+        zones: [zone]
+      },
+      zone
+    };
+  }
+
+  /**
+   * Resolve the rate card and zone for a shipment
+   * @param {Object} shipmentData Shipment details
+   * @returns {Promise<Object>} Rate card and zone
+   */
+  async resolveRateCard(shipmentData) {
+    const originCountry = shipmentData.sender?.address?.country;
+    const destinationCountry = shipmentData.recipient?.address?.country;
+
+    const match = await RateCard.findActiveFor({
+      type: shipmentData.type,
+      originCountry,
+      destinationCountry
+    });
+
+    return match || this.getFallbackRateCard(shipmentData.type);
+  }
+
+  /**
+   * Find the weight band covering a weight
+   * @param {Object} zone Rate card zone
+   * @param {number} weight Chargeable weight
+   * @returns {Object} Weight band
+   * @throws {AppError} If no band covers the weight
+   */
+  findWeightBand(zone, weight) {
+    const band = [...zone.weightBands]
+      .sort((a, b) => a.minWeight - b.minWeight)
+      .find(b => weight >= b.minWeight && (b.maxWeight === undefined || b.maxWeight === null ||
+        weight <= b.maxWeight));
+
+    if (!band) {
+      throw new AppError(`No rate available for ${weight}kg on this route`, 400);
+    }
+
+    return band;
   }
 
   /**
@@ -53,27 +155,39 @@ class ShipmentService {
 
   /**
    * Calculate base shipping cost
-   * @param {string} type Shipment type (international/local)
    * @param {Array} packages Array of package objects
+   * @param {Object} zone Rate card zone
    * @returns {number} Base shipping cost
    */
-  calculateBaseShippingCost(type, packages) {
+  calculateBaseShippingCost(packages, zone) {
     const totalWeight = this.calculateTotalChargeableWeight(packages);
-    const baseRate = this.baseRates[type];
-    let cost = totalWeight * baseRate;
-
-    // Apply distance factor for international shipments
-    if (type === 'international') {
-      cost *= 1.5;
-    }
+    const band = this.findWeightBand(zone, totalWeight);
+    let cost = totalWeight * band.ratePerKg + (band.flatFee || 0);
 
     // Apply additional charges for special handling
     packages.forEach(pkg => {
-      if (pkg.isFragile) cost *= 1.2;
-      if (pkg.isPerishable) cost *= 1.15;
-      if (pkg.isHazardous) cost *= 1.3;
+      if (pkg.isFragile) {
+        cost *= 1.2;
+      }
+      if (pkg.isPerishable) {
+        cost *= 1.15;
+      }
+      if (pkg.isHazardous) {
+        cost *= 1.3;
+      }
     });
 
+    // Apply zone surcharges
+    const surchargeTotal = (zone.surcharges || []).reduce((total, surcharge) => {
+      return total + (surcharge.type === 'percentage' ?
+        cost * surcharge.amount / 100 :
+        surcharge.amount);
+    }, 0);
+    cost += surchargeTotal;
+
+    // Apply zone minimum charge
+    cost = Math.max(cost, zone.minimumCharge || 0);
+
     return parseFloat(cost.toFixed(2));
   }
 
@@ -90,28 +204,99 @@ class ShipmentService {
 
   /**
    * Calculate total shipping cost
+   * Amounts are priced in the base currency and converted to the requested
+   * currency, with the exchange rate stored alongside as a snapshot.
    * @param {Object} shipmentData Shipment details
-   * @returns {Object} Cost breakdown
+   * @param {Object} [options] Calculation options
+   * @param {string} [options.currency] Currency to quote in (defaults to base currency)
+   * @param {string} [options.promoCode] Promo code to apply
+   * @param {Object} [options.user] Authenticated user (for per-user promo limits)
+   * @param {boolean} [options.promoRedeemed] The promo code was already redeemed for this shipment
+   * @returns {Promise<Object>} Cost breakdown
    */
-  calculateShippingCost(shipmentData) {
-    const baseAmount = this.calculateBaseShippingCost(
-      shipmentData.type,
-      shipmentData.packages
-    );
+  async calculateShippingCost(shipmentData, options = {}) {
+    const baseCurrency = getBaseCurrency();
+    const currency = options.currency || baseCurrency;
+    const exchangeRate = await currencyService.getRate(currency);
+
+    const { rateCard, zone } = await this.resolveRateCard(shipmentData);
+
+    const baseAmount = this.calculateBaseShippingCost(shipmentData.packages, zone);
 
     const insuranceCost = this.calculateInsuranceCost(
       shipmentData.insurance?.type || 'none',
       baseAmount
     );
 
-    const vat = parseFloat((baseAmount * this.vatRate).toFixed(2));
-    const total = parseFloat((baseAmount + insuranceCost + vat).toFixed(2));
+    // Discounts apply to the pre-tax subtotal; VAT is charged on what remains of the base amount
+    let discount = 0;
+    let promo;
+    if (options.promoCode) {
+      promo = options.promoRedeemed ?
+        await promoService.findRedeemed(options.promoCode) :
+        await promoService.findApplicable(options.promoCode, {
+          type: shipmentData.type,
+          subtotal: baseAmount + insuranceCost,
+          user: options.user,
+          email: shipmentData.sender?.email
+        });
+      discount = promo ? promo.calculateDiscount(baseAmount + insuranceCost) : 0;
+    }
+
+    const vat = parseFloat((Math.max(baseAmount - discount, 0) * this.vatRate).toFixed(2));
+
+    // Convert each line so the total always equals the sum of its parts
+    const converted = {
+      baseAmount: currencyService.convert(baseAmount, exchangeRate),
+      insurance: currencyService.convert(insuranceCost, exchangeRate),
+      discount: currencyService.convert(discount, exchangeRate),
+      vat: currencyService.convert(vat, exchangeRate)
+    };
+    const total = roundAmount(
+      converted.baseAmount + converted.insurance - converted.discount + converted.vat
+    );
+
+    return {
+      ...converted,
+      promoCode: promo?.code,
+      vatRate: this.vatRate,
+      total,
+      currency,
+      exchangeRate,
+      baseCurrency,
+      rateCard: {
+        id: rateCard._id,
+        name: rateCard.name,
+        zone: zone.name
+      }
+    };
+  }
+
+  /**
+   * Calculate the charge for returning a shipment to its sender
+   * The return leg is priced as a share (RETURN_CHARGE_RATE, default 1) of the
+   * outbound base amount in the shipment's currency, plus VAT. Insurance and
+   * discounts do not apply.
+   * @param {Object} shipment Shipment being returned
+   * @returns {Object} Return charge breakdown
+   */
+  calculateReturnCharge(shipment) {
+    const rate = parseFloat(process.env.RETURN_CHARGE_RATE || 1);
+    if (isNaN(rate) || rate < 0) {
+      throw new Error('Invalid return charge configuration');
+    }
+
+    const cost = shipment.cost || {};
+    const vatRate = cost.vatRate ?? this.vatRate;
+    const baseAmount = roundAmount((cost.baseAmount || 0) * rate);
+    const vat = roundAmount(baseAmount * vatRate);
 
     return {
       baseAmount,
-      insurance: insuranceCost,
       vat,
-      total
+      vatRate,
+      total: roundAmount(baseAmount + vat),
+      currency: cost.currency || getBaseCurrency()
     };
   }
 
@@ -215,7 +400,11 @@ class ShipmentService {
       picked_up: 'Package has been picked up',
       in_transit: 'Package is in transit',
       out_for_delivery: 'Package is out for delivery',
+      partially_delivered: 'Some packages have been delivered',
+      delivery_attempted: 'Delivery was attempted',
+      held_at_facility: 'Package is held at our facility',
       delivered: 'Package has been delivered',
+      returned_to_sender: 'Package is being returned to the sender',
       cancelled: 'Shipment has been cancelled'
     };
 
@@ -267,6 +456,123 @@ class ShipmentService {
       }
     });
   }
+
+  /**
+   * Keep only the shipment fields clients may set
+   * @param {Object} shipmentData Submitted shipment details
+   * @returns {Object} Shipment details without server-owned fields
+   */
+  pickShipmentFields(shipmentData) {
+    const picked = Object.fromEntries(
+      SHIPMENT_INPUT_FIELDS
+        .filter(field => shipmentData[field] !== undefined)
+        .map(field => [field, shipmentData[field]])
+    );
+    if (picked.packages) {
+      picked.packages = this.pickPackageFields(picked.packages);
+    }
+    // Delivery dates, proofs and redelivery details are recorded by the server
+    if (picked.delivery) {
+      picked.delivery = { options: picked.delivery.options };
+    }
+    return picked;
+  }
+
+  /**
+   * Keep only the package fields clients may set
+   * @param {Array} packages Submitted packages
+   * @returns {Array} Packages without server-owned fields
+   */
+  pickPackageFields(packages) {
+    if (!Array.isArray(packages)) {
+      return packages;
+    }
+
+    return packages.map(pkg => Object.fromEntries(
+      PACKAGE_INPUT_FIELDS
+        .filter(field => pkg?.[field] !== undefined)
+        .map(field => [field, pkg[field]])
+    ));
+  }
+
+  /**
+   * Check a shipment has the details needed to price it
+   * @param {Object} shipmentData Shipment details
+   * @returns {boolean} Whether the shipment can be priced
+   */
+  canPrice(shipmentData) {
+    const { type, sender, recipient, packages } = shipmentData;
+
+    return Boolean(type && sender?.address?.country && recipient?.address?.country &&
+      packages?.length && packages.every(pkg => pkg.weight > 0 &&
+        pkg.dimensions?.length > 0 && pkg.dimensions?.width > 0 && pkg.dimensions?.height > 0));
+  }
+
+  /**
+   * Check whether an edit changed anything the price of a shipment depends on
+   * Compares the stored details with the edited ones using the quote fingerprint.
+   * @param {Object} shipment Edited shipment document
+   * @returns {Promise<boolean>} Whether the shipment needs re-pricing
+   */
+  async isPriceAffected(shipment) {
+    const persisted = await Shipment.findById(shipment._id)
+      .select('type sender.address.country recipient.address.country packages insurance')
+      .lean();
+    if (!persisted) {
+      return true;
+    }
+
+    const currency = shipment.cost.currency;
+    return quoteService.buildFingerprint(persisted, currency) !==
+      quoteService.buildFingerprint(shipment.toObject(), currency);
+  }
+
+  /**
+   * Re-price a shipment and re-estimate its delivery date after an edit
+   * Drafts are only re-priced once they have the details pricing needs. Created
+   * shipments are checked like a new shipment and only re-priced when the edit
+   * changed what the price depends on, so a quoted price and its exchange rate
+   * survive edits like a corrected phone number. Re-priced shipments keep their
+   * currency and the promo code redeemed when they were created.
+   * @param {Object} shipment Shipment document (saved by the caller)
+   * @param {Object} [user] Authenticated user
+   * @returns {Promise<Object>} Shipment
+   * @throws {AppError} If the edited shipment is no longer valid
+   */
+  async recalculate(shipment, user) {
+    const shipmentData = shipment.toObject();
+
+    if (!shipment.isDraft) {
+      this.validateAddresses(shipmentData);
+      this.validatePackages(shipmentData.packages);
+      if (shipment.isModified('pickup.date')) {
+        this.validatePickupDate(shipmentData.pickup.date);
+      }
+    } else if (!this.canPrice(shipmentData)) {
+      return shipment;
+    }
+
+    const reprice = shipment.isDraft || !shipment.cost || await this.isPriceAffected(shipment);
+
+    if (reprice) {
+      shipment.cost = await this.calculateShippingCost(shipmentData, {
+        currency: shipment.cost?.currency || currencyService.resolveCurrency(null, user),
+        promoCode: shipment.cost?.promoCode,
+        promoRedeemed: !shipment.isDraft,
+        user
+      });
+    }
+
+    if (shipmentData.pickup?.date) {
+      shipment.set('delivery.estimatedDate', this.estimateDeliveryDate(shipmentData));
+    }
+
+    if (reprice && !shipment.isDraft && shipment.cost.promoCode) {
+      await promoService.syncRedemption(shipment);
+    }
+
+    return shipment;
+  }
 }
 
 export default new ShipmentService();
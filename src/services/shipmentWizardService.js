@@ -0,0 +1,167 @@
+import { validationResult } from 'express-validator';
+import Shipment from '../models/Shipment.js';
+import { AppError } from '../utils/responseHandler.js';
+import { SHIPMENT_STEPS, STEP_COUNT } from '../validators/shipmentSteps.js';
+import shipmentService from './shipmentService.js';
+import currencyService from './currencyService.js';
+import promoService from './promoService.js';
+
+class ShipmentWizardService {
+  /**
+   * Get a draft's data in the shape a request body would have
+   * Dates and IDs are serialised so the step validations see strings.
+   * @param {Object} draft - Draft shipment
+   * @returns {Object} Draft data
+   */
+  toStepData(draft) {
+    return JSON.parse(JSON.stringify(draft.toObject()));
+  }
+
+  /**
+   * Get a wizard step by number
+   * @param {number} stepNumber - Step number (1-7)
+   * @returns {Object} Step
+   * @throws {AppError} If there is no such step
+   */
+  getStep(stepNumber) {
+    const step = SHIPMENT_STEPS.find(s => s.step === Number(stepNumber));
+    if (!step) {
+      throw new AppError(`Step must be between 1 and ${STEP_COUNT}`, 400);
+    }
+    return step;
+  }
+
+  /**
+   * Keep only the fields filled in by the wizard steps up to a step
+   * Everything else on a shipment (cost, status, payment, owner) is set by the server.
+   * @param {Object} data - Submitted form data
+   * @param {number} lastStep - Last step whose fields to keep
+   * @returns {Object} Step fields
+   */
+  pickStepFields(data, lastStep) {
+    const fields = new Set(
+      SHIPMENT_STEPS.filter(s => s.step <= lastStep).flatMap(s => s.fields)
+    );
+    return shipmentService.pickShipmentFields(Object.fromEntries(
+      Object.entries(data).filter(([field]) => fields.has(field))
+    ));
+  }
+
+  /**
+   * Validate the data of one wizard step
+   * @param {number} stepNumber - Step number (1-7)
+   * @param {Object} data - Shipment data
+   * @returns {Promise<Object>} Step result with `valid` and field `errors`
+   */
+  async validateStep(stepNumber, data) {
+    const step = this.getStep(stepNumber);
+
+    // Run the chains on a copy; sanitizers in them change the body
+    const req = { body: JSON.parse(JSON.stringify(data)) };
+    await Promise.all(step.validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req)
+      .array({ onlyFirstError: true })
+      .map(error => ({ field: error.path, message: error.msg }));
+
+    if (!errors.length) {
+      step.checks.forEach(({ field, run }) => {
+        try {
+          run(req.body);
+        } catch (error) {
+          if (!error.isOperational) {
+            throw error;
+          }
+          errors.push({ field, message: error.message });
+        }
+      });
+    }
+
+    return {
+      step: step.step,
+      name: step.name,
+      title: step.title,
+      valid: !errors.length,
+      errors
+    };
+  }
+
+  /**
+   * Validate the wizard steps up to and including a step
+   * @param {Object} data - Shipment data
+   * @param {number} [lastStep] - Last step to validate (defaults to all steps)
+   * @returns {Promise<Array>} Step results
+   */
+  async validateSteps(data, lastStep = STEP_COUNT) {
+    const results = [];
+    for (const step of SHIPMENT_STEPS.filter(s => s.step <= lastStep)) {
+      results.push(await this.validateStep(step.step, data));
+    }
+    return results;
+  }
+
+  /**
+   * Find the first step up to a step that does not validate
+   * @param {Object} data - Shipment data
+   * @param {number} lastStep - Last step to check
+   * @returns {Promise<Object|null>} Step result, or null if all steps are valid
+   */
+  async findIncompleteStep(data, lastStep) {
+    for (const step of SHIPMENT_STEPS.filter(s => s.step <= lastStep)) {
+      const result = await this.validateStep(step.step, data);
+      if (!result.valid) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turn a draft whose steps all validate into a shipment
+   * The draft keeps its ID, so links and guest tokens for it keep working.
+   * Callers validate the steps first.
+   * @param {Object} draft - Draft shipment
+   * @param {Object} options - Conversion options
+   * @param {string} [options.currency] - Currency to price in
+   * @param {string} [options.promoCode] - Promo code to apply
+   * @param {Object} [options.user] - Authenticated user
+   * @returns {Promise<Object>} Shipment
+   */
+  async convertDraft(draft, { currency, promoCode, user }) {
+    const data = this.toStepData(draft);
+
+    const cost = await shipmentService.calculateShippingCost(data, {
+      currency: currencyService.resolveCurrency(currency || draft.cost?.currency, user),
+      promoCode: promoCode || draft.cost?.promoCode,
+      user
+    });
+
+    draft.set({
+      cost,
+      isDraft: false,
+      draftWarningSentAt: undefined,
+      'delivery.estimatedDate': shipmentService.estimateDeliveryDate(data)
+    });
+    await draft.save();
+
+    // Turn the shipment back into a draft if the code can no longer be redeemed
+    if (draft.cost.promoCode) {
+      try {
+        await promoService.redeem(draft, user);
+      } catch (error) {
+        await Shipment.updateOne(
+          { _id: draft._id },
+          {
+            $set: { isDraft: true },
+            $unset: { trackingNumber: 1, 'packages.$[].trackingNumber': 1 }
+          }
+        );
+        throw error;
+      }
+    }
+
+    return draft;
+  }
+}
+
+export default new ShipmentWizardService();
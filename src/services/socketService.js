@@ -130,12 +130,13 @@ class SocketService {
    * Send draft expiry warning
    * @param {string} userId - User ID
    * @param {Object} draft - Draft shipment object
+   * @param {Date} expiresAt - When the draft will be deleted
    */
-  sendDraftExpiryWarning(userId, draft) {
+  sendDraftExpiryWarning(userId, draft, expiresAt) {
     if (this.io && userId) {
       this.io.to(userId).emit('draft_expiry_warning', {
         draftId: draft._id,
-        expiresAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), // 2 days
+        expiresAt,
         timestamp: new Date()
       });
     }
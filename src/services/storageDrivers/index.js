@@ -0,0 +1,28 @@
+import { AppError } from '../../utils/responseHandler.js';
+import localDriver from './localDriver.js';
+
+/**
+ * Storage drivers
+ * Every driver implements the same interface:
+ * - put(key, buffer) -> Promise<void>
+ * - getStream(key) -> Promise<ReadableStream> (404 AppError if missing)
+ * - remove(key) -> Promise<void>
+ * Keys are relative, slash separated paths such as `receipts/<id>/<file>.pdf`.
+ */
+const drivers = {
+  local: localDriver
+};
+
+/**
+ * Get a storage driver
+ * @param {string} [name] - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {Object} Storage driver
+ * @throws {AppError} If the driver is unknown
+ */
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new AppError(`Unknown storage driver: ${name}`, 500);
+  }
+  return driver;
+};
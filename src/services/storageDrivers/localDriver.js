@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import { AppError } from '../../utils/responseHandler.js';
+
+/**
+ * Stores files on the local disk under UPLOAD_PATH (default ./uploads)
+ */
+class LocalDriver {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * Get the storage root (read lazily so values from dotenv are picked up)
+   * @returns {string} Absolute root directory
+   */
+  getRoot() {
+    return path.resolve(process.env.UPLOAD_PATH || 'uploads');
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {AppError} If the key points outside the root
+   */
+  resolve(key) {
+    const root = this.getRoot();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Open a file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>} File stream
+   * @throws {AppError} If the file does not exist
+   */
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      throw new AppError('File not found', 404);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default new LocalDriver();
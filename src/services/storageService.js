@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getStorageDriver } from './storageDrivers/index.js';
+
+class StorageService {
+  /**
+   * Store an uploaded file
+   * @param {Object} file - Multer file (memory storage)
+   * @param {string} folder - Folder to store the file in
+   * @returns {Promise<Object>} Stored file metadata
+   */
+  async saveFile(file, folder) {
+    const driver = getStorageDriver();
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+    await driver.put(key, file.buffer);
+
+    return {
+      key,
+      driver: driver.name,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedAt: new Date()
+    };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {Object} stored - Stored file metadata
+   * @returns {Promise<ReadableStream>} File stream
+   */
+  async getFileStream(stored) {
+    return getStorageDriver(stored.driver).getStream(stored.key);
+  }
+
+  /**
+   * Delete a stored file
+   * @param {Object} stored - Stored file metadata
+   * @returns {Promise<void>}
+   */
+  async deleteFile(stored) {
+    if (!stored?.key) {
+      return;
+    }
+    await getStorageDriver(stored.driver).remove(stored.key);
+  }
+}
+
+export default new StorageService();
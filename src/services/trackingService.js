@@ -0,0 +1,174 @@
+import { AppError } from '../utils/responseHandler.js';
+
+// Access levels of the public tracking page
+export const TRACKING_ACCESS = {
+  LIMITED: 'limited',
+  FULL: 'full'
+};
+
+// Fewest trailing phone digits accepted as proof of knowing the sender
+export const MIN_PHONE_DIGITS = 4;
+
+/**
+ * Normalise a postal code for comparison
+ * @param {string} postalCode - Postal code
+ * @returns {string} Uppercase postal code without spaces or dashes
+ */
+const normalizePostalCode = postalCode => String(postalCode || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Keep only the digits of a phone number
+ * @param {string} phone - Phone number
+ * @returns {string} Digits
+ */
+const phoneDigits = phone => String(phone || '').replace(/\D/g, '');
+
+/**
+ * Reduce a free-text location to its city-level parts
+ * Parts containing digits (house numbers, postal codes) are dropped and the
+ * last two remaining parts are kept, e.g. "12 Broad St, Lagos, NG" becomes "Lagos, NG".
+ * @param {string} location - Location
+ * @returns {string|undefined} City-level location
+ */
+const toCityLevel = (location) => {
+  if (!location) {
+    return undefined;
+  }
+
+  const parts = location
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && !/\d/.test(part));
+
+  return parts.length ? parts.slice(-2).join(', ') : undefined;
+};
+
+/**
+ * City and country of an address
+ * @param {Object} address - Address
+ * @returns {Object} City-level address
+ */
+const toCityAddress = address => ({
+  city: address?.city,
+  country: address?.country
+});
+
+class TrackingService {
+  /**
+   * Work out how much of a shipment the caller may see
+   * Owners and admins see everything. Anyone else sees everything only after
+   * giving the recipient's postal code or the last digits of the sender's phone.
+   * @param {Object} shipment - Tracked shipment
+   * @param {Object} caller - Caller details
+   * @param {Object} [caller.user] - Authenticated user
+   * @param {string} [caller.postalCode] - Recipient postal code
+   * @param {string} [caller.phone] - Last digits of the sender's phone
+   * @returns {string} Access level (see TRACKING_ACCESS)
+   * @throws {AppError} If verification details were given but do not match
+   */
+  getAccessLevel(shipment, { user, postalCode, phone }) {
+    const isOwner = shipment.userId && shipment.userId.toString() === user?.id;
+    if (isOwner || user?.role === 'admin') {
+      return TRACKING_ACCESS.FULL;
+    }
+
+    if (!postalCode && !phone) {
+      return TRACKING_ACCESS.LIMITED;
+    }
+
+    const expectedPostalCode = normalizePostalCode(shipment.recipient?.address?.postalCode);
+    const postalCodeMatches = Boolean(postalCode) &&
+      Boolean(expectedPostalCode) &&
+      normalizePostalCode(postalCode) === expectedPostalCode;
+
+    const digits = phoneDigits(phone);
+    const phoneMatches = digits.length >= MIN_PHONE_DIGITS &&
+      phoneDigits(shipment.sender?.phone).endsWith(digits);
+
+    if (!postalCodeMatches && !phoneMatches) {
+      throw new AppError('Verification details do not match this shipment', 403);
+    }
+
+    return TRACKING_ACCESS.FULL;
+  }
+
+  /**
+   * Reduce a shipment to what anyone with the tracking number may see
+   * @param {Object} shipment - Shipment
+   * @returns {Object} Limited tracking view
+   */
+  toLimitedView(shipment) {
+    return {
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      type: shipment.type,
+      origin: toCityAddress(shipment.sender?.address),
+      destination: toCityAddress(shipment.recipient?.address),
+      packageCount: shipment.packages.length,
+      delivery: {
+        estimatedDate: shipment.delivery?.estimatedDate,
+        actualDate: shipment.delivery?.actualDate
+      },
+      timeline: shipment.timeline.map(entry => ({
+        status: entry.status,
+        description: entry.description,
+        location: toCityLevel(entry.location),
+        timestamp: entry.timestamp
+      }))
+    };
+  }
+
+  /**
+   * Build the tracking view for a verified caller
+   * @param {Object} shipment - Shipment
+   * @returns {Object} Full tracking view
+   */
+  toFullView(shipment) {
+    return {
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      type: shipment.type,
+      sender: {
+        name: shipment.sender?.name,
+        address: shipment.sender?.address
+      },
+      recipient: {
+        name: shipment.recipient?.name,
+        address: shipment.recipient?.address
+      },
+      packages: shipment.packages,
+      cost: shipment.cost,
+      // Proof records stay behind the signed proof-of-delivery link
+      delivery: {
+        options: shipment.delivery?.options,
+        estimatedDate: shipment.delivery?.estimatedDate,
+        actualDate: shipment.delivery?.actualDate
+      },
+      timeline: shipment.timeline.map(entry => ({
+        status: entry.status,
+        description: entry.description,
+        location: entry.location,
+        timestamp: entry.timestamp
+      }))
+    };
+  }
+
+  /**
+   * Reduce a tracked package to what the caller may see
+   * @param {Object} pkg - Package
+   * @param {string} access - Access level (see TRACKING_ACCESS)
+   * @returns {Object} Package view
+   */
+  toPackageView(pkg, access) {
+    if (access === TRACKING_ACCESS.FULL) {
+      return pkg;
+    }
+
+    return {
+      trackingNumber: pkg.trackingNumber,
+      status: pkg.status
+    };
+  }
+}
+
+export default new TrackingService();
@@ -0,0 +1,33 @@
+/**
+ * Currencies shipments can be quoted and paid in
+ */
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'NGN'];
+
+/**
+ * Get the currency rate cards and environment rates are priced in
+ * Read lazily so values from dotenv are picked up.
+ * @returns {string} Base currency code
+ */
+export const getBaseCurrency = () => {
+  const currency = (process.env.BASE_CURRENCY || 'NGN').toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(currency) ? currency : 'NGN';
+};
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundAmount = (amount) => {
+  return parseFloat(Number(amount).toFixed(2));
+};
+
+/**
+ * Format a monetary amount for display
+ * @param {number} amount - Amount to format
+ * @param {string} [currency] - Currency code (defaults to base currency)
+ * @returns {string} Formatted amount, e.g. "NGN 12,500"
+ */
+export const formatAmount = (amount, currency) => {
+  return `${currency || getBaseCurrency()} ${Number(amount || 0).toLocaleString()}`;
+};
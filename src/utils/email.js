@@ -1,5 +1,6 @@
 import nodemailer from 'nodemailer';
 import { AppError } from './responseHandler.js';
+import { formatAmount } from './currency.js';
 
 class EmailService {
   constructor() {
@@ -23,7 +24,8 @@ class EmailService {
         from: `Envoy Angel <${process.env.EMAIL_USERNAME}>`,
         to: options.email,
         subject: options.subject,
-        html: options.html
+        html: options.html,
+        attachments: options.attachments
       };
 
       await this.transporter.sendMail(mailOptions);
@@ -109,7 +111,7 @@ class EmailService {
           <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
           <p><strong>Type:</strong> ${shipment.type.charAt(0).toUpperCase() + shipment.type.slice(1)}</p>
           <p><strong>Status:</strong> ${shipment.status.charAt(0).toUpperCase() + shipment.status.slice(1)}</p>
-          <p><strong>Total Cost:</strong> NGN ${shipment.cost.total.toLocaleString()}</p>
+          <p><strong>Total Cost:</strong> ${formatAmount(shipment.cost.total, shipment.cost.currency)}</p>
         </div>
         <p>You can track your shipment using the tracking number above.</p>
         <p>Best regards,<br>The Envoy Angel Team</p>
@@ -127,17 +129,19 @@ class EmailService {
    * Send payment confirmation email
    * @param {Object} shipment - Shipment object
    * @param {Object} user - User object
+   * @param {Object} [payment] - Payment record
+   * @param {Array} [attachments] - Attachments such as the invoice PDF
    */
-  async sendPaymentConfirmation(shipment, user) {
+  async sendPaymentConfirmation(shipment, user, payment = {}, attachments) {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2>Payment Successful</h2>
         <p>Hello ${user.firstName},</p>
         <p>Your payment for shipment ${shipment.trackingNumber} has been processed successfully.</p>
         <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
-          <p><strong>Amount Paid:</strong> NGN ${shipment.cost.total.toLocaleString()}</p>
-          <p><strong>Payment Date:</strong> ${new Date(shipment.payment.paidAt).toLocaleString()}</p>
-          <p><strong>Transaction ID:</strong> ${shipment.payment.transactionId}</p>
+          <p><strong>Amount Paid:</strong> ${formatAmount(shipment.cost.total, shipment.cost.currency)}</p>
+          <p><strong>Payment Date:</strong> ${new Date(payment.paidAt || shipment.payment.paidAt || Date.now()).toLocaleString()}</p>
+          <p><strong>Transaction ID:</strong> ${payment.transactionId || payment.reference || payment._id || 'N/A'}</p>
         </div>
         <p>Your shipment is now ready for pickup.</p>
         <p>Best regards,<br>The Envoy Angel Team</p>
@@ -147,7 +151,8 @@ class EmailService {
     await this.sendEmail({
       email: user.email,
       subject: 'Payment Confirmation - ' + shipment.trackingNumber,
-      html
+      html,
+      attachments
     });
   }
 
@@ -160,8 +165,9 @@ class EmailService {
    * Send shipment confirmation email for guest users
    * @param {Object} shipment - Shipment object
    * @param {string} email - Guest user's email
+   * @param {string} shipmentUrl - Link for viewing the shipment without an account
    */
-  async sendGuestShipmentConfirmation(shipment, email) {
+  async sendGuestShipmentConfirmation(shipment, email, shipmentUrl) {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2>Shipment Created Successfully</h2>
@@ -171,10 +177,12 @@ class EmailService {
           <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
           <p><strong>Type:</strong> ${shipment.type.charAt(0).toUpperCase() + shipment.type.slice(1)}</p>
           <p><strong>Status:</strong> ${shipment.status.charAt(0).toUpperCase() + shipment.status.slice(1)}</p>
-          <p><strong>Total Cost:</strong> NGN ${shipment.cost.total.toLocaleString()}</p>
+          <p><strong>Total Cost:</strong> ${formatAmount(shipment.cost.total, shipment.cost.currency)}</p>
         </div>
-        <p>You can track your shipment using the tracking number above.</p>
-        <p>Consider creating an account to manage your shipments more easily and get access to additional features!</p>
+        <p>You can track your shipment using the tracking number above, or view its full details, labels and payment here:</p>
+        <p><a href="${shipmentUrl}">View your shipment</a></p>
+        <p>Keep this link private, as anyone with it can see and change your shipment until it is paid.</p>
+        <p>Consider creating an account with this email address to manage your shipments more easily. Shipments you created as a guest are added to your account once your email is verified.</p>
         <p>Best regards,<br>The Envoy Angel Team</p>
       </div>
     `;
@@ -186,13 +194,52 @@ class EmailService {
     });
   }
 
+  /**
+   * Send warning that a shipment draft is about to be deleted
+   * @param {Object} draft - Draft shipment
+   * @param {Object} owner - Draft owner ({ name, email })
+   * @param {Object} details - Expiry details
+   * @param {Date} details.expiresAt - When the draft will be deleted
+   * @param {string} details.draftUrl - Link to continue the draft
+   */
+  async sendDraftExpiryWarning(draft, owner, { expiresAt, draftUrl }) {
+    const route = [draft.sender?.address?.city, draft.recipient?.address?.city]
+      .filter(Boolean)
+      .join(' to ');
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your Shipment Draft Is Expiring</h2>
+        <p>Hello${owner.name ? ` ${owner.name}` : ''},</p>
+        <p>You started a shipment${route ? ` from ${route}` : ''} but have not finished it yet.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Last Saved:</strong> ${new Date(draft.updatedAt).toLocaleString()}</p>
+          <p><strong>Deleted On:</strong> ${new Date(expiresAt).toLocaleString()}</p>
+        </div>
+        <p>Continue or save the draft before then to keep it.</p>
+        <p><a href="${draftUrl}">Continue your shipment</a></p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: owner.email,
+      subject: 'Your Shipment Draft Is Expiring',
+      html
+    });
+  }
+
   async sendStatusUpdateEmail(shipment, user) {
     const statusMessages = {
       awaiting_pickup: 'Your shipment is ready for pickup',
       picked_up: 'Your shipment has been picked up',
       in_transit: 'Your shipment is in transit',
       out_for_delivery: 'Your shipment is out for delivery',
+      partially_delivered: 'Part of your shipment has been delivered',
+      delivery_attempted: 'We tried to deliver your shipment',
+      held_at_facility: 'Your shipment is being held at our facility',
       delivered: 'Your shipment has been delivered',
+      returned_to_sender: 'Your shipment is being returned to the sender',
       cancelled: 'Your shipment has been cancelled'
     };
 
@@ -223,16 +270,17 @@ class EmailService {
    * @param {Object} shipment - Shipment object
    * @param {Object} user - User object
    * @param {Object} refund - Refund object
+   * @param {Array} [attachments] - Attachments such as the credit note PDF
    */
-  async sendRefundConfirmation(shipment, user, refund) {
+  async sendRefundConfirmation(shipment, user, refund, attachments) {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2>Refund Processed</h2>
         <p>Hello ${user.firstName},</p>
         <p>A refund has been processed for your shipment ${shipment.trackingNumber}.</p>
         <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
-          <p><strong>Refund Amount:</strong> NGN ${(refund.amount / 100).toLocaleString()}</p>
-          <p><strong>Reason:</strong> ${shipment.payment.refundReason}</p>
+          <p><strong>Refund Amount:</strong> ${formatAmount(refund.amount, shipment.cost.currency)}</p>
+          <p><strong>Reason:</strong> ${refund.reason}</p>
           <p><strong>Refund Date:</strong> ${new Date().toLocaleString()}</p>
         </div>
         <p>The refunded amount will be credited back to your original payment method. This may take 5-10 business days to reflect in your account.</p>
@@ -243,9 +291,188 @@ class EmailService {
     await this.sendEmail({
       email: user.email,
       subject: 'Refund Processed - ' + shipment.trackingNumber,
+      html,
+      attachments
+    });
+  }
+
+  /**
+   * Send proof of delivery link
+   * @param {Object} shipment - Shipment object
+   * @param {Object} party - Sender or recipient ({ name, email })
+   * @param {string} proofUrl - Proof of delivery document URL
+   */
+  async sendProofOfDeliveryEmail(shipment, party, proofUrl) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Shipment Delivered</h2>
+        <p>Hello${party.name ? ` ${party.name}` : ''},</p>
+        <p>Shipment ${shipment.trackingNumber} has been delivered.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
+          <p><strong>Delivered At:</strong> ${new Date(shipment.delivery.actualDate || Date.now()).toLocaleString()}</p>
+        </div>
+        <p>The proof of delivery, with the receiver's name and signature, is available here:</p>
+        <p><a href="${proofUrl}">View proof of delivery</a></p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: party.email,
+      subject: 'Proof of Delivery - ' + shipment.trackingNumber,
+      html
+    });
+  }
+
+  /**
+   * Send failed delivery attempt notice with a reschedule link
+   * @param {Object} shipment - Shipment object
+   * @param {Object} recipient - Recipient ({ name, email })
+   * @param {Object} details - Attempt details
+   * @param {string} details.reason - Why delivery failed
+   * @param {number} details.attemptsLeft - Attempts left before the shipment is returned
+   * @param {string} details.rescheduleUrl - Link to reschedule the delivery
+   */
+  async sendDeliveryAttemptEmail(shipment, recipient, { reason, attemptsLeft, rescheduleUrl }) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>We Missed You</h2>
+        <p>Hello${recipient.name ? ` ${recipient.name}` : ''},</p>
+        <p>We tried to deliver shipment ${shipment.trackingNumber} but could not complete the delivery.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
+          <p><strong>Reason:</strong> ${reason}</p>
+          <p><strong>Attempted At:</strong> ${new Date().toLocaleString()}</p>
+        </div>
+        <p>Please choose a new delivery date. ${attemptsLeft === 1 ? 'One more attempt will be made' : `${attemptsLeft} more attempts will be made`} before the shipment is returned to the sender.</p>
+        <p><a href="${rescheduleUrl}">Reschedule delivery</a></p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: recipient.email,
+      subject: 'Delivery Attempted - ' + shipment.trackingNumber,
       html
     });
   }
+
+  /**
+   * Send return to sender notice with the return charge
+   * @param {Object} shipment - Shipment object
+   * @param {Object} sender - Sender ({ name, email })
+   */
+  async sendReturnToSenderEmail(shipment, sender) {
+    const charge = shipment.returnInfo?.charge;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Shipment Returning to Sender</h2>
+        <p>Hello${sender.name ? ` ${sender.name}` : ''},</p>
+        <p>Shipment ${shipment.trackingNumber} could not be delivered and is being returned to you.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
+          <p><strong>Reason:</strong> ${shipment.returnInfo?.reason}</p>
+          ${charge ? `<p><strong>Return Charge:</strong> ${formatAmount(charge.total, charge.currency)}</p>` : ''}
+        </div>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: sender.email,
+      subject: 'Shipment Returning to Sender - ' + shipment.trackingNumber,
+      html
+    });
+  }
+
+  /**
+   * Send the recipient a link to follow and manage a delivery
+   * @param {Object} shipment - Shipment object
+   * @param {Object} recipient - Recipient ({ name, email })
+   * @param {string} manageUrl - Delivery management URL
+   */
+  async sendRecipientLinkEmail(shipment, recipient, manageUrl) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>A Shipment Is on Its Way to You</h2>
+        <p>Hello${recipient.name ? ` ${recipient.name}` : ''},</p>
+        <p>${shipment.sender?.name || 'Someone'} has sent you a shipment with Envoy Angel.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
+          <p><strong>Packages:</strong> ${shipment.packages.length}</p>
+        </div>
+        <p>Use the link below to track it, choose a delivery time, add delivery instructions or collect it from a pickup point instead:</p>
+        <p><a href="${manageUrl}">Manage your delivery</a></p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: recipient.email,
+      subject: 'Your Delivery - ' + shipment.trackingNumber,
+      html
+    });
+  }
+
+  /**
+   * Send confirmation of shipments created from a bulk import
+   * @param {Object} batch - Shipment batch
+   * @param {Array} shipments - Created shipments
+   * @param {Object} user - User object
+   */
+  async sendBatchConfirmation(batch, shipments, user) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Shipments Created Successfully</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>${shipments.length} shipments from ${batch.source?.fileName || 'your upload'} have been created as batch ${batch.batchNumber}.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          ${shipments.map(shipment => `<p>${shipment.trackingNumber} - ${shipment.recipient.name}, ${shipment.recipient.address.city}</p>`).join('')}
+          <p><strong>Total Cost:</strong> ${formatAmount(batch.cost.total, batch.cost.currency)}</p>
+        </div>
+        <p>Pay for the whole batch in one payment to release the shipments for pickup.</p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: user.email,
+      subject: 'Shipments Created - ' + batch.batchNumber,
+      html
+    });
+  }
+
+  /**
+   * Send payment confirmation email for a batch of shipments
+   * @param {Object} batch - Shipment batch
+   * @param {Object} user - User object
+   * @param {Object} payment - Payment record
+   * @param {Array} [attachments] - Attachments such as the invoice PDF
+   */
+  async sendBatchPaymentConfirmation(batch, user, payment, attachments) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Payment Successful</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>Your payment for batch ${batch.batchNumber} (${batch.shipments.length} shipments) has been processed successfully.</p>
+        <div style="background-color: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p><strong>Amount Paid:</strong> ${formatAmount(payment.amount, payment.currency)}</p>
+          <p><strong>Payment Date:</strong> ${new Date(payment.paidAt || Date.now()).toLocaleString()}</p>
+          <p><strong>Transaction ID:</strong> ${payment.transactionId || payment.reference || payment._id}</p>
+        </div>
+        <p>Your shipments are now ready for pickup.</p>
+        <p>Best regards,<br>The Envoy Angel Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email: user.email,
+      subject: 'Payment Confirmation - ' + batch.batchNumber,
+      html,
+      attachments
+    });
+  }
 }
 
 export default new EmailService();
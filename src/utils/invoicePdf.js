@@ -0,0 +1,108 @@
+import PDFDocument from 'pdfkit';
+import { formatAmount } from './currency.js';
+
+const TITLES = {
+  invoice: 'INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+/**
+ * Format a VAT rate as a percentage
+ * @param {number} rate - Rate as a fraction (e.g. 0.075)
+ * @returns {number} Percentage (e.g. 7.5)
+ */
+const roundPercent = rate => Math.round((rate || 0) * 10000) / 100;
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>} PDF contents
+ */
+export const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = amount => formatAmount(amount, invoice.currency);
+    const right = { width: 495, align: 'right' };
+
+    // Header
+    doc.fontSize(20).text('Envoy Angel', 50, 50);
+    doc.fontSize(10).fillColor('#555555')
+      .text(process.env.COMPANY_ADDRESS || '', 50, 75)
+      .text(process.env.COMPANY_TAX_ID ? `Tax ID: ${process.env.COMPANY_TAX_ID}` : '');
+    doc.fillColor('#000000').fontSize(16)
+      .text(TITLES[invoice.type], 50, 50, right);
+    doc.fontSize(10)
+      .text(`No: ${invoice.number}`, 50, 72, right)
+      .text(`Date: ${new Date(invoice.issuedAt).toISOString().slice(0, 10)}`, right)
+      .text(`${invoice.batchId ? 'Batch' : 'Shipment'}: ${invoice.trackingNumber || ''}`, right);
+
+    if (invoice.type === 'credit_note' && invoice.reason) {
+      doc.text(`Reason: ${invoice.reason}`, right);
+    }
+
+    // Bill to
+    const billTo = invoice.billTo || {};
+    doc.moveDown(2).fontSize(11).text('Bill to', 50, 150, { underline: true });
+    doc.fontSize(10);
+    [
+      billTo.name,
+      billTo.email,
+      billTo.phone,
+      [billTo.street, billTo.city].filter(Boolean).join(', '),
+      [billTo.postalCode, billTo.country].filter(Boolean).join(' '),
+      billTo.taxId ? `Tax ID: ${billTo.taxId}` : null
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    // Lines
+    let y = 260;
+    doc.fontSize(10).font('Helvetica-Bold')
+      .text('Description', 50, y)
+      .text('Amount', 50, y, right);
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+    doc.font('Helvetica');
+    y += 25;
+
+    invoice.lines.forEach((line) => {
+      doc.text(line.description, 50, y, { width: 380 })
+        .text(money(line.amount), 50, y, right);
+      y += 20;
+    });
+
+    // Totals
+    doc.moveTo(300, y).lineTo(545, y).stroke();
+    y += 10;
+    const totals = [
+      ['Subtotal', invoice.subtotal],
+      ...(invoice.discount ? [['Discount', -invoice.discount]] : []),
+      [`VAT (${roundPercent(invoice.vatRate)}%)`, invoice.vat]
+    ];
+    totals.forEach(([label, amount]) => {
+      doc.text(label, 300, y).text(money(amount), 50, y, right);
+      y += 18;
+    });
+    doc.font('Helvetica-Bold')
+      .text(invoice.type === 'credit_note' ? 'Total credited' : 'Total', 300, y)
+      .text(money(invoice.total), 50, y, right);
+    doc.font('Helvetica');
+
+    // Payment
+    y += 40;
+    if (invoice.paymentMethod) {
+      doc.fontSize(9).fillColor('#555555')
+        .text(
+          `Paid by ${invoice.paymentMethod.replace(/_/g, ' ')}` +
+          (invoice.paymentReference ? ` (ref ${invoice.paymentReference})` : ''),
+          50,
+          y
+        );
+    }
+
+    doc.end();
+  });
+};
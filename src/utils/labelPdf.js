@@ -0,0 +1,184 @@
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+import { formatTrackingNumber, generateTrackingQRData } from './trackingNumber.js';
+
+// Page sizes in points (1/72 inch)
+const A6 = [297.64, 419.53];
+
+/**
+ * Supported label formats
+ * A4 sheets hold four A6 labels in a 2x2 grid.
+ */
+export const LABEL_FORMATS = {
+  '4x6': { size: [288, 432], perPage: 1 },
+  a6: { size: A6, perPage: 1 },
+  a4: { size: 'A4', perPage: 4, labelSize: A6 }
+};
+
+const HANDLING_FLAGS = [
+  ['isFragile', 'FRAGILE'],
+  ['isPerishable', 'PERISHABLE'],
+  ['isHazardous', 'HAZARDOUS']
+];
+
+/**
+ * Format an address block
+ * @param {Object} party - Sender or recipient
+ * @returns {Array} Address lines
+ */
+const addressLines = (party = {}) => {
+  const address = party.address || {};
+  return [
+    party.name,
+    address.street,
+    [address.city, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+    party.phone
+  ].filter(Boolean);
+};
+
+/**
+ * Draw one label in a box
+ * @param {Object} doc - PDF document
+ * @param {Object} label - Label content
+ * @param {Object} box - Position and size { x, y, width, height }
+ */
+const drawLabel = (doc, label, box) => {
+  const { x, y, width, height } = box;
+  const pad = width * 0.05;
+  const inner = width - pad * 2;
+  // Font sizes are tuned for 4x6 and scaled for other sizes
+  const scale = width / 288;
+  const font = size => size * scale;
+
+  doc.save().lineWidth(1).rect(x + 2, y + 2, width - 4, height - 4).stroke().restore();
+
+  let cursor = y + pad;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(font(14))
+    .text('Envoy Angel', x + pad, cursor, { width: inner });
+  doc.font('Helvetica').fontSize(font(9))
+    .text(label.type.toUpperCase(), x + pad, cursor + font(2), { width: inner, align: 'right' });
+  cursor += font(20);
+  doc.fontSize(font(9))
+    .text(`Package ${label.index} of ${label.count}` +
+      (label.weight ? `  |  ${label.weight} kg` : ''), x + pad, cursor, { width: inner });
+  cursor += font(14);
+
+  // Sender
+  doc.moveTo(x + pad, cursor).lineTo(x + width - pad, cursor).stroke();
+  cursor += font(5);
+  doc.font('Helvetica-Bold').fontSize(font(7)).text('FROM', x + pad, cursor);
+  cursor += font(9);
+  doc.font('Helvetica').fontSize(font(8))
+    .text(label.from.join('\n'), x + pad, cursor, { width: inner, height: font(50), ellipsis: true });
+  cursor = doc.y + font(5);
+
+  // Recipient
+  doc.moveTo(x + pad, cursor).lineTo(x + width - pad, cursor).stroke();
+  cursor += font(5);
+  doc.font('Helvetica-Bold').fontSize(font(8)).text('TO', x + pad, cursor);
+  cursor += font(10);
+  doc.font('Helvetica-Bold').fontSize(font(12))
+    .text(label.to.join('\n'), x + pad, cursor, { width: inner, height: font(75), ellipsis: true });
+  cursor = doc.y + font(6);
+
+  // Handling flags
+  if (label.flags.length) {
+    let flagX = x + pad;
+    doc.font('Helvetica-Bold').fontSize(font(9));
+    label.flags.forEach((flag) => {
+      const flagWidth = doc.widthOfString(flag) + font(8);
+      doc.rect(flagX, cursor, flagWidth, font(14)).fill('#000000');
+      doc.fillColor('#ffffff').text(flag, flagX + font(4), cursor + font(3), { lineBreak: false });
+      doc.fillColor('#000000');
+      flagX += flagWidth + font(4);
+    });
+    cursor += font(20);
+  }
+
+  // Barcode and QR code share the bottom of the label
+  const qrSize = inner * 0.3;
+  const bottom = y + height - pad;
+  const codesTop = bottom - qrSize - font(12);
+  const barcodeWidth = inner - qrSize - font(8);
+
+  doc.image(label.barcode, x + pad, codesTop, {
+    fit: [barcodeWidth, qrSize],
+    align: 'center',
+    valign: 'center'
+  });
+  doc.image(label.qrCode, x + width - pad - qrSize, codesTop, { width: qrSize, height: qrSize });
+  doc.font('Helvetica-Bold').fontSize(font(9))
+    .text(label.formattedTracking, x + pad, bottom - font(10), {
+      width: barcodeWidth,
+      align: 'center'
+    });
+};
+
+/**
+ * Render shipping labels, one per package
+ * @param {Object} shipment - Shipment with tracking number
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - Label format (4x6, a6 or a4)
+ * @returns {Promise<Buffer>} PDF contents
+ */
+export const renderShippingLabels = async (shipment, { format = '4x6' } = {}) => {
+  const layout = LABEL_FORMATS[format];
+  const { trackingUrl } = generateTrackingQRData(shipment.trackingNumber);
+
+  const [barcode, qrCode] = await Promise.all([
+    bwipjs.toBuffer({
+      bcid: 'code128',
+      text: shipment.trackingNumber,
+      scale: 3,
+      height: 12
+    }),
+    bwipjs.toBuffer({
+      bcid: 'qrcode',
+      text: trackingUrl,
+      scale: 4
+    })
+  ]);
+
+  const packages = shipment.packages?.length ? shipment.packages : [{}];
+  const labels = packages.map((pkg, index) => ({
+    index: index + 1,
+    count: packages.length,
+    type: shipment.type,
+    weight: pkg.weight,
+    from: addressLines(shipment.sender),
+    to: addressLines(shipment.recipient),
+    flags: HANDLING_FLAGS.filter(([field]) => pkg[field]).map(([, flag]) => flag),
+    barcode,
+    qrCode,
+    formattedTracking: formatTrackingNumber(shipment.trackingNumber)
+  }));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    labels.forEach((label, index) => {
+      const slot = index % layout.perPage;
+      if (slot === 0) {
+        doc.addPage();
+      }
+
+      const [width, height] = layout.labelSize || layout.size;
+      drawLabel(doc, label, {
+        x: (slot % 2) * width,
+        y: Math.floor(slot / 2) * height,
+        width,
+        height
+      });
+    });
+
+    doc.end();
+  });
+};
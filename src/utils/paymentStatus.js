@@ -0,0 +1,43 @@
+/**
+ * Payment statuses
+ * Shared by the Payment collection and the payment summary kept on shipments.
+ */
+
+/**
+ * All payment statuses
+ * - pending: card checkout started, waiting for the provider
+ * - awaiting_verification: bank transfer submitted, waiting for an admin
+ * - cancelled: attempt replaced by a newer one before it finished
+ */
+export const PAYMENT_STATUSES = [
+  'pending',
+  'awaiting_verification',
+  'completed',
+  'failed',
+  'cancelled',
+  'partially_refunded',
+  'refunded'
+];
+
+/**
+ * Payment methods
+ */
+export const PAYMENT_METHODS = ['bank_transfer', 'card'];
+
+/**
+ * Statuses of an attempt that is still waiting on the payer, provider or admin
+ */
+export const OPEN_PAYMENT_STATUSES = ['pending', 'awaiting_verification'];
+
+/**
+ * Statuses in which money has been received for the shipment
+ * A partial refund leaves the shipment paid for.
+ */
+export const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+/**
+ * Check whether a payment status counts as paid
+ * @param {string} status - Payment status
+ * @returns {boolean} Whether the payment is paid
+ */
+export const isPaid = (status) => PAID_PAYMENT_STATUSES.includes(status);
@@ -0,0 +1,96 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Format a date and time for the document
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+const formatDateTime = date => new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+/**
+ * Render a proof-of-delivery document
+ * @param {Object} shipment - Delivered shipment
+ * @param {Array} proofs - Proofs with loaded images ({ proof, signature, photo } buffers)
+ * @returns {Promise<Buffer>} PDF contents
+ */
+export const renderProofOfDeliveryPdf = (shipment, proofs) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const right = { width: 495, align: 'right' };
+    const recipient = shipment.recipient || {};
+    const address = recipient.address || {};
+
+    // Header
+    doc.fontSize(20).text('Envoy Angel', 50, 50);
+    doc.fontSize(16).text('PROOF OF DELIVERY', 50, 50, right);
+    doc.fontSize(10)
+      .text(`Shipment: ${shipment.trackingNumber}`, 50, 72, right)
+      .text(`Status: ${shipment.status.replace(/_/g, ' ')}`, right);
+
+    if (shipment.delivery?.actualDate) {
+      doc.text(`Delivered: ${formatDateTime(shipment.delivery.actualDate)}`, right);
+    }
+
+    // Consignee
+    doc.fontSize(11).text('Delivered to', 50, 130, { underline: true });
+    doc.fontSize(10);
+    [
+      recipient.name,
+      address.street,
+      [address.city, address.postalCode].filter(Boolean).join(' '),
+      address.country
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    let y = 220;
+    proofs.forEach(({ proof, signature, photo }, index) => {
+      const blockHeight = photo ? 300 : 170;
+      if (y + blockHeight > doc.page.height - 50) {
+        doc.addPage();
+        y = 50;
+      }
+
+      doc.moveTo(50, y).lineTo(545, y).stroke();
+      y += 10;
+      doc.font('Helvetica-Bold').fontSize(11)
+        .text(proofs.length > 1 ? `Handover ${index + 1}` : 'Handover', 50, y);
+      doc.font('Helvetica').fontSize(10)
+        .text(`Received by: ${proof.receiverName}`, 50, y + 18)
+        .text(`Time: ${formatDateTime(proof.capturedAt)}`)
+        .text(proof.packages?.length ?
+          `Packages: ${proof.packages.join(', ')}` :
+          `Packages: all (${shipment.packages.length})`);
+
+      if (proof.location?.latitude !== undefined && proof.location?.longitude !== undefined) {
+        doc.text(
+          `Location: ${proof.location.latitude}, ${proof.location.longitude}` +
+          (proof.location.accuracy ? ` (±${proof.location.accuracy} m)` : '')
+        );
+      }
+      y += 90;
+
+      if (signature) {
+        doc.fontSize(9).fillColor('#555555').text('Signature', 50, y);
+        doc.fillColor('#000000');
+        doc.image(signature, 50, y + 12, { fit: [220, 60] });
+      }
+      if (photo) {
+        doc.fontSize(9).fillColor('#555555').text('Photo', 300, y);
+        doc.fillColor('#000000');
+        doc.image(photo, 300, y + 12, { fit: [245, 180] });
+      }
+      y += photo ? 210 : 80;
+    });
+
+    if (!proofs.length) {
+      doc.fontSize(10).text('No proof of delivery has been captured.', 50, y);
+    }
+
+    doc.end();
+  });
+};
@@ -0,0 +1,192 @@
+/**
+ * Shipment status state machine
+ * Single source of truth for the statuses a shipment can be in and the
+ * transitions allowed between them.
+ */
+
+/**
+ * All shipment statuses, in lifecycle order
+ */
+export const SHIPMENT_STATUSES = [
+  'pending',
+  'awaiting_pickup',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'partially_delivered',
+  'delivery_attempted',
+  'held_at_facility',
+  'delivered',
+  'returned_to_sender',
+  'cancelled'
+];
+
+/**
+ * Allowed next statuses for each status
+ */
+export const STATUS_TRANSITIONS = {
+  pending: ['awaiting_pickup', 'cancelled'],
+  awaiting_pickup: ['picked_up', 'cancelled'],
+  picked_up: ['in_transit'],
+  in_transit: ['out_for_delivery', 'partially_delivered'],
+  out_for_delivery: ['partially_delivered', 'delivered', 'delivery_attempted'],
+  // Some packages delivered, the rest still on their way
+  partially_delivered: ['delivered', 'delivery_attempted'],
+  // Courier could not deliver; waits for redelivery or goes back to the sender
+  delivery_attempted: ['out_for_delivery', 'held_at_facility', 'returned_to_sender'],
+  held_at_facility: ['out_for_delivery', 'returned_to_sender'],
+  delivered: [],
+  returned_to_sender: [],
+  cancelled: []
+};
+
+/**
+ * Statuses that can only be entered once the shipment has been paid for
+ */
+export const PAYMENT_REQUIRED_STATUSES = [
+  'awaiting_pickup',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'partially_delivered',
+  'delivery_attempted',
+  'held_at_facility',
+  'delivered',
+  'returned_to_sender'
+];
+
+/**
+ * Reason codes for a failed delivery attempt, with customer-facing descriptions
+ */
+export const DELIVERY_ATTEMPT_REASONS = {
+  recipient_unavailable: 'Recipient was not available',
+  address_not_found: 'Address could not be found',
+  address_inaccessible: 'Address could not be accessed',
+  business_closed: 'Business was closed',
+  refused: 'Recipient refused the delivery',
+  incorrect_address: 'Address is incorrect or incomplete',
+  other: 'Delivery could not be completed'
+};
+
+/**
+ * Reason codes that send a shipment straight back to the sender
+ */
+export const RETURN_IMMEDIATELY_REASONS = ['refused'];
+
+/**
+ * Package (piece) statuses, in lifecycle order
+ * Pieces only move forward; the shipment status is derived from them.
+ */
+export const PACKAGE_STATUSES = [
+  'pending',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered'
+];
+
+/**
+ * Statuses with no outgoing transitions
+ */
+export const TERMINAL_STATUSES = SHIPMENT_STATUSES.filter(
+  status => STATUS_TRANSITIONS[status].length === 0
+);
+
+/**
+ * Get the statuses a shipment may move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+/**
+ * Check whether a transition is allowed by the graph
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} Whether the transition is allowed
+ */
+export const canTransition = (from, to) => {
+  return getAllowedTransitions(from).includes(to);
+};
+
+/**
+ * Check whether a status requires a completed payment
+ * @param {string} status - Target status
+ * @returns {boolean} Whether payment is required
+ */
+export const requiresPayment = (status) => {
+  return PAYMENT_REQUIRED_STATUSES.includes(status);
+};
+
+/**
+ * Find the shortest chain of allowed transitions between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {Array<string>|null} Statuses to pass through (ending with `to`), or null if unreachable
+ */
+export const getTransitionPath = (from, to) => {
+  if (from === to) {
+    return [];
+  }
+
+  const previous = { [from]: null };
+  const queue = [from];
+
+  while (queue.length) {
+    const current = queue.shift();
+    for (const next of getAllowedTransitions(current)) {
+      if (next in previous) {
+        continue;
+      }
+      previous[next] = current;
+      if (next === to) {
+        const path = [];
+        for (let step = to; step !== from; step = previous[step]) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a package may move to a status
+ * @param {string} from - Current package status
+ * @param {string} to - Target package status
+ * @returns {boolean} Whether the package moves forward
+ */
+export const canAdvancePackage = (from, to) => {
+  return PACKAGE_STATUSES.indexOf(to) > PACKAGE_STATUSES.indexOf(from || 'pending');
+};
+
+/**
+ * Derive the shipment status from its package statuses
+ * The shipment is as far along as its least advanced package, except that
+ * a mix of delivered and undelivered packages is partially delivered.
+ * @param {Array<string>} packageStatuses - Status of each package
+ * @returns {string|null} Derived status, or null if packages have not moved
+ */
+export const deriveShipmentStatus = (packageStatuses) => {
+  if (!packageStatuses.length) {
+    return null;
+  }
+
+  const delivered = packageStatuses.filter(status => status === 'delivered').length;
+  if (delivered === packageStatuses.length) {
+    return 'delivered';
+  }
+  if (delivered > 0) {
+    return 'partially_delivered';
+  }
+
+  const least = packageStatuses.reduce((min, status) =>
+    (PACKAGE_STATUSES.indexOf(status) < PACKAGE_STATUSES.indexOf(min) ? status : min)
+  );
+  return least === 'pending' ? null : least;
+};
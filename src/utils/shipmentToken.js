@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+/**
+ * Signed links that grant access to one shipment for one purpose without logging in,
+ * e.g. a proof-of-delivery link emailed to the recipient.
+ * Tokens look like `<expiresAt>.<signature>` and are bound to the shipment ID and purpose.
+ */
+
+// Default lifetime of a token in days
+const DEFAULT_TTL_DAYS = 90;
+
+/**
+ * Get signing secret (read lazily so values from dotenv are picked up)
+ * @returns {string} Secret
+ */
+const getSecret = () => process.env.SHIPMENT_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a token payload
+ * @param {string} shipmentId - Shipment ID
+ * @param {string} purpose - What the token grants access to
+ * @param {number} expiresAt - Expiry as seconds since the epoch
+ * @returns {string} Signature
+ */
+const sign = (shipmentId, purpose, expiresAt) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${shipmentId}:${purpose}:${expiresAt}`)
+  .digest('base64url');
+
+/**
+ * Create a token for a shipment
+ * @param {string|Object} shipmentId - Shipment ID
+ * @param {string} purpose - What the token grants access to
+ * @param {Object} [options] - Token options
+ * @param {number} [options.ttlDays] - Days until the token expires
+ * @returns {string} Token
+ */
+export const createShipmentToken = (shipmentId, purpose, { ttlDays = DEFAULT_TTL_DAYS } = {}) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + Math.round(ttlDays * 24 * 60 * 60);
+  return `${expiresAt}.${sign(shipmentId.toString(), purpose, expiresAt)}`;
+};
+
+/**
+ * Check a token grants a purpose on a shipment
+ * @param {string} token - Token from the link
+ * @param {string|Object} shipmentId - Shipment ID
+ * @param {string} purpose - Required purpose
+ * @returns {boolean} Whether the token is valid and unexpired
+ */
+export const verifyShipmentToken = (token, shipmentId, purpose) => {
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(expiresAt || '') || !signature) {
+    return false;
+  }
+
+  if (Number(expiresAt) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(shipmentId.toString(), purpose, expiresAt));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Build a URL carrying a shipment token
+ * @param {string} path - Path below the server (or client) URL
+ * @param {string} token - Token
+ * @param {Object} [options] - URL options
+ * @param {boolean} [options.client] - Link to the client app instead of the API
+ * @returns {string} URL
+ */
+export const buildTokenUrl = (path, token, { client = false } = {}) => {
+  const base = client ? process.env.CLIENT_URL : process.env.SERVER_URL;
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
@@ -1,36 +1,139 @@
+import Counter from '../models/Counter.js';
+
+// Current format: [TYPE]-[YYYYMMDD]-[SEQUENCE][CHECK], e.g. INT-20250205-0000172
+const TRACKING_PATTERN = /^(INT|LOC)-(\d{8})-(\d{6})(\d)$/;
+
+// Legacy format: [TYPE]-[YYYYMMDD]-[RANDOM], e.g. INT-20250205-001
+const LEGACY_TRACKING_PATTERN = /^(INT|LOC)-(\d{8})-(\d{3})$/;
+
+// Package (piece) numbers append a two-digit piece index to the master number
+const PIECE_LENGTH = 2;
+const PIECE_PATTERN = /^(.+)-(\d{2})$/;
+
+const SEQUENCE_LENGTH = 6;
+const MAX_SEQUENCE = 10 ** SEQUENCE_LENGTH - 1;
+
 /**
- * Generate tracking number for shipment
- * Format: [TYPE]-[YYYYMMDD]-[RANDOM]
- * Example: INT-20250205-001 or LOC-20250205-001
- * @param {string} type - Shipment type (international/local)
- * @returns {string} Tracking number
+ * Format a date as YYYYMMDD
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
  */
-export const generateTrackingNumber = async (type) => {
-  // Get current date in YYYYMMDD format
-  const date = new Date();
+const toDateString = (date) => {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
-  const dateString = `${year}${month}${day}`;
+  return `${year}${month}${day}`;
+};
+
+/**
+ * Calculate Luhn check digit for a string of digits
+ * @param {string} digits - Digits to protect
+ * @returns {number} Check digit
+ */
+export const calculateCheckDigit = (digits) => {
+  let sum = 0;
+
+  // Walk right to left, doubling every second digit starting with the rightmost
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Generate tracking number for shipment
+ * Format: [TYPE]-[YYYYMMDD]-[SEQUENCE][CHECK]
+ * Example: INT-20250205-0000172 or LOC-20250205-0000019
+ * The sequence comes from an atomic daily counter per shipment type and the
+ * final digit is a Luhn check digit over the date and sequence.
+ * @param {string} type - Shipment type (international/local)
+ * @param {Date} [date] - Date to generate for (defaults to now)
+ * @returns {Promise<string>} Tracking number
+ */
+export const generateTrackingNumber = async (type, date = new Date()) => {
+  const dateString = toDateString(date);
 
   // Get prefix based on type
   const prefix = type.toLowerCase() === 'international' ? 'INT' : 'LOC';
 
-  // Generate random 3-digit number
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  // Get next sequence for this type and day
+  const sequence = await Counter.next(`tracking:${prefix}:${dateString}`);
+  if (sequence > MAX_SEQUENCE) {
+    throw new Error(`Daily tracking number limit reached for ${prefix}`);
+  }
+
+  const sequenceString = String(sequence).padStart(SEQUENCE_LENGTH, '0');
+  const checkDigit = calculateCheckDigit(`${dateString}${sequenceString}`);
 
   // Combine parts
-  return `${prefix}-${dateString}-${random}`;
+  return `${prefix}-${dateString}-${sequenceString}${checkDigit}`;
+};
+
+/**
+ * Check whether a tracking number uses the legacy random-suffix format
+ * @param {string} trackingNumber - Tracking number
+ * @returns {boolean} Whether tracking number is legacy
+ */
+export const isLegacyTrackingNumber = (trackingNumber) => {
+  return LEGACY_TRACKING_PATTERN.test(trackingNumber);
 };
 
 /**
- * Validate tracking number format
+ * Validate tracking number format and check digit
  * @param {string} trackingNumber - Tracking number to validate
  * @returns {boolean} Whether tracking number is valid
  */
 export const isValidTrackingNumber = (trackingNumber) => {
-  const pattern = /^(INT|LOC)-\d{8}-\d{3}$/;
-  return pattern.test(trackingNumber);
+  if (typeof trackingNumber !== 'string') {
+    return false;
+  }
+
+  if (isLegacyTrackingNumber(trackingNumber)) {
+    return true;
+  }
+
+  const match = TRACKING_PATTERN.exec(trackingNumber);
+  if (!match) {
+    return false;
+  }
+
+  const [, , dateString, sequence, checkDigit] = match;
+  return calculateCheckDigit(`${dateString}${sequence}`) === parseInt(checkDigit, 10);
+};
+
+/**
+ * Generate the tracking number of one package (piece) in a shipment
+ * @param {string} masterTrackingNumber - Shipment tracking number
+ * @param {number} index - Zero-based package index
+ * @returns {string} Piece tracking number, e.g. INT-20250205-0000172-01
+ */
+export const generatePieceTrackingNumber = (masterTrackingNumber, index) => {
+  return `${masterTrackingNumber}-${String(index + 1).padStart(PIECE_LENGTH, '0')}`;
+};
+
+/**
+ * Split a piece tracking number into master number and piece
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Object|null} { masterTrackingNumber, piece } or null if not a valid piece number
+ */
+export const parsePieceTrackingNumber = (trackingNumber) => {
+  const match = PIECE_PATTERN.exec(trackingNumber || '');
+  if (!match || !isValidTrackingNumber(match[1]) || parseInt(match[2], 10) < 1) {
+    return null;
+  }
+
+  return {
+    masterTrackingNumber: match[1],
+    piece: parseInt(match[2], 10)
+  };
 };
 
 /**
@@ -77,8 +180,12 @@ export const formatTrackingNumber = (trackingNumber) => {
 
   const [prefix, date, sequence] = trackingNumber.split('-');
   const formattedDate = `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`;
-  
-  return `${prefix}-${formattedDate}-${sequence}`;
+
+  if (isLegacyTrackingNumber(trackingNumber)) {
+    return `${prefix}-${formattedDate}-${sequence}`;
+  }
+
+  return `${prefix}-${formattedDate}-${sequence.slice(0, -1)}-${sequence.slice(-1)}`;
 };
 
 /**
@@ -93,7 +200,7 @@ export const generateTrackingQRData = (trackingNumber) => {
 
   // Generate tracking URL
   const trackingUrl = `${process.env.CLIENT_URL}/track/${trackingNumber}`;
-  
+
   return {
     trackingUrl,
     qrData: {
@@ -115,12 +222,15 @@ export const parseTrackingNumber = (trackingNumber) => {
     throw new Error('Invalid tracking number format');
   }
 
-  const [prefix, dateString, sequence] = trackingNumber.split('-');
+  const [prefix, , suffix] = trackingNumber.split('-');
+  const legacy = isLegacyTrackingNumber(trackingNumber);
 
   return {
     type: prefix === 'INT' ? 'international' : 'local',
     date: getDateFromTracking(trackingNumber),
-    sequence: parseInt(sequence),
+    sequence: parseInt(legacy ? suffix : suffix.slice(0, -1), 10),
+    checkDigit: legacy ? null : parseInt(suffix.slice(-1), 10),
+    legacy,
     formatted: formatTrackingNumber(trackingNumber)
   };
 };
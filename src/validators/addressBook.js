@@ -0,0 +1,71 @@
+import { body, query } from 'express-validator';
+import { commonValidations } from '../middleware/validate.js';
+
+export const ADDRESS_BOOK_FORMATS = ['csv', 'vcf'];
+
+const PHONE_PATTERN = /^\+?[\d\s-()]{8,}$/;
+
+// Address fields shared by contacts and saved locations
+const addressFieldsValidation = [
+  body('address.street')
+    .notEmpty().withMessage('Street address is required')
+    .trim(),
+  body('address.city')
+    .notEmpty().withMessage('City is required')
+    .trim(),
+  body('address.country')
+    .notEmpty().withMessage(commonValidations.country.notEmpty)
+    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+  body('address.postalCode')
+    .notEmpty().withMessage(commonValidations.postalCode.notEmpty)
+    .trim(),
+  body('address.taxId')
+    .optional()
+    .trim()
+];
+
+// Address validation
+export const addressValidation = [
+  body('name')
+    .notEmpty().withMessage('Name is required')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('email')
+    .notEmpty().withMessage(commonValidations.email.notEmpty)
+    .isEmail().withMessage(commonValidations.email.isEmail),
+  body('phone')
+    .notEmpty().withMessage(commonValidations.phone.notEmpty)
+    .matches(PHONE_PATTERN).withMessage('Please provide a valid phone number'),
+  ...addressFieldsValidation,
+  body('isDefaultSender')
+    .optional()
+    .isBoolean().withMessage('isDefaultSender must be a boolean')
+    .toBoolean()
+];
+
+// Saved location validation
+export const savedLocationValidation = [
+  body('name')
+    .notEmpty().withMessage('Location name is required')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Location name cannot exceed 100 characters'),
+  ...addressFieldsValidation,
+  body('contactName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Contact name cannot exceed 100 characters'),
+  body('contactPhone')
+    .optional({ values: 'falsy' })
+    .matches(PHONE_PATTERN).withMessage('Please provide a valid contact phone number'),
+  body('isDefaultPickup')
+    .optional()
+    .isBoolean().withMessage('isDefaultPickup must be a boolean')
+    .toBoolean()
+];
+
+// Address book export validation
+export const addressBookExportValidation = [
+  query('format')
+    .optional()
+    .isIn(ADDRESS_BOOK_FORMATS).withMessage(`Format must be one of ${ADDRESS_BOOK_FORMATS.join(', ')}`)
+];
@@ -0,0 +1,138 @@
+import { body } from 'express-validator';
+import { commonValidations } from '../middleware/validate.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+// Contact validation schema generator
+export const createContactValidation = (prefix) => [
+  body(`${prefix}.name`)
+    .notEmpty().withMessage(commonValidations.name.notEmpty)
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body(`${prefix}.email`)
+    .notEmpty().withMessage(commonValidations.email.notEmpty)
+    .isEmail().withMessage(commonValidations.email.isEmail),
+  body(`${prefix}.phone`)
+    .notEmpty().withMessage(commonValidations.phone.notEmpty),
+  body(`${prefix}.address.street`)
+    .notEmpty().withMessage('Street is required'),
+  body(`${prefix}.address.city`)
+    .notEmpty().withMessage('City is required'),
+  body(`${prefix}.address.country`)
+    .notEmpty().withMessage(commonValidations.country.notEmpty)
+    .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+  body(`${prefix}.address.postalCode`)
+    .notEmpty().withMessage(commonValidations.postalCode.notEmpty),
+  body(`${prefix}.address.taxId`)
+    .optional()
+    .notEmpty().withMessage('Tax ID cannot be empty if provided')
+];
+
+// Package validation schema generator
+export const createPackageValidation = (prefix = '') => [
+  body(`${prefix}packageType`)
+    .notEmpty().withMessage('Package type is required')
+    .isIn(['parcel', 'documents', 'pallet', 'container', 'other'])
+    .withMessage('Invalid package type'),
+  body(`${prefix}weight`)
+    .notEmpty().withMessage(commonValidations.weight.notEmpty)
+    .isNumeric().withMessage(commonValidations.weight.isNumeric)
+    .isFloat({ min: 0.1 }).withMessage(commonValidations.weight.min),
+  body(`${prefix}dimensions.length`)
+    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
+    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
+    .isFloat({ min: 1, max: 150 }).withMessage('Length must be between 1 and 150 cm'),
+  body(`${prefix}dimensions.width`)
+    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
+    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
+    .isFloat({ min: 1, max: 150 }).withMessage('Width must be between 1 and 150 cm'),
+  body(`${prefix}dimensions.height`)
+    .notEmpty().withMessage(commonValidations.dimensions.notEmpty)
+    .isNumeric().withMessage(commonValidations.dimensions.isNumeric)
+    .isFloat({ min: 1, max: 150 }).withMessage('Height must be between 1 and 150 cm'),
+  body(`${prefix}isFragile`).optional().isBoolean().withMessage('Fragile flag must be a boolean'),
+  body(`${prefix}isPerishable`).optional().isBoolean().withMessage('Perishable flag must be a boolean'),
+  body(`${prefix}isHazardous`).optional().isBoolean().withMessage('Hazardous flag must be a boolean'),
+  body(`${prefix}description`).optional().isString().trim()
+];
+
+// Shipment type validation
+export const shipmentTypeValidation = [
+  body('type')
+    .notEmpty().withMessage(commonValidations.shipmentType.notEmpty)
+    .isIn(['international', 'local']).withMessage(commonValidations.shipmentType.isIn)
+];
+
+// Package list validation
+export const packagesValidation = [
+  body('packages')
+    .isArray({ min: 1, max: 10 }).withMessage('At least one package is required (max 10)'),
+  body('packages.*').isObject().withMessage('Invalid package data'),
+  ...createPackageValidation('packages.*.')
+];
+
+// Delivery options validation
+export const deliveryOptionsValidation = [
+  body('delivery.options').optional().isObject(),
+  body('delivery.options.timeWindow').optional().isObject(),
+  body('delivery.options.timeWindow.start').optional().isISO8601(),
+  body('delivery.options.timeWindow.end').optional().isISO8601(),
+  body('delivery.options.specialInstructions').optional().isString(),
+  body('delivery.options.requiresSignature').optional().isBoolean()
+];
+
+// Pickup validation
+export const pickupValidation = [
+  body('pickup.location').isObject().withMessage('Pickup location is required'),
+  body('pickup.location.street').notEmpty().withMessage('Pickup street is required'),
+  body('pickup.location.city').notEmpty().withMessage('Pickup city is required'),
+  body('pickup.location.country')
+    .notEmpty().withMessage('Pickup country is required')
+    .isISO31661Alpha2().withMessage('Invalid pickup country code'),
+  body('pickup.location.postalCode').notEmpty().withMessage('Pickup postal code is required'),
+  body('pickup.date')
+    .notEmpty().withMessage(commonValidations.date.notEmpty)
+    .isISO8601().withMessage(commonValidations.date.isDate),
+  body('pickup.contactName')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Pickup contact name cannot exceed 100 characters'),
+  body('pickup.contactPhone')
+    .optional()
+    .isString().withMessage('Invalid pickup contact phone')
+];
+
+// Insurance validation
+export const insuranceValidation = [
+  body('insurance.type')
+    .optional()
+    .isIn(['none', 'basic', 'premium']).withMessage('Invalid insurance type'),
+  body('insurance.coverage')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Coverage amount must be non-negative')
+];
+
+// Currency and promo code validation
+export const pricingValidation = [
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('promoCode')
+    .optional()
+    .isString().withMessage('Promo code must be a string')
+    .isLength({ min: 3, max: 30 }).withMessage('Invalid promo code')
+];
+
+// Shipment creation validation
+export const createShipmentValidation = [
+  body('quoteId')
+    .optional()
+    .isMongoId().withMessage('Invalid quote ID'),
+  ...shipmentTypeValidation,
+  body('sender').isObject().withMessage('Sender information is required'),
+  ...createContactValidation('sender'),
+  body('recipient').isObject().withMessage('Recipient information is required'),
+  ...createContactValidation('recipient'),
+  ...packagesValidation,
+  ...pickupValidation,
+  ...deliveryOptionsValidation,
+  ...insuranceValidation,
+  ...pricingValidation
+];
@@ -0,0 +1,105 @@
+import { body } from 'express-validator';
+import { commonValidations } from '../middleware/validate.js';
+import shipmentService from '../services/shipmentService.js';
+import {
+  createContactValidation,
+  shipmentTypeValidation,
+  packagesValidation,
+  deliveryOptionsValidation,
+  pickupValidation,
+  insuranceValidation
+} from './shipment.js';
+
+/**
+ * Steps of the shipment wizard
+ * Each step lists the top-level fields it fills in, the validation chains for
+ * those fields and any checks that span several fields. Checks only run once
+ * the chains pass and report their error against `field`.
+ */
+export const SHIPMENT_STEPS = [
+  {
+    step: 1,
+    name: 'route',
+    title: 'Shipment type and route',
+    fields: ['type', 'sender', 'recipient'],
+    validations: [
+      ...shipmentTypeValidation,
+      body('sender.address.country')
+        .notEmpty().withMessage('Origin country is required')
+        .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2),
+      body('recipient.address.country')
+        .notEmpty().withMessage('Destination country is required')
+        .isISO31661Alpha2().withMessage(commonValidations.country.isISO31661Alpha2)
+    ],
+    checks: [
+      { field: 'recipient.address.country', run: data => shipmentService.validateAddresses(data) }
+    ]
+  },
+  {
+    step: 2,
+    name: 'packages',
+    title: 'Package details',
+    fields: ['packages'],
+    validations: packagesValidation,
+    checks: [
+      { field: 'packages', run: data => shipmentService.validatePackages(data.packages) }
+    ]
+  },
+  {
+    step: 3,
+    name: 'delivery',
+    title: 'Delivery options',
+    fields: ['delivery'],
+    validations: deliveryOptionsValidation,
+    checks: []
+  },
+  {
+    step: 4,
+    name: 'sender',
+    title: 'Sender information',
+    fields: ['sender'],
+    validations: [
+      body('sender').isObject().withMessage('Sender information is required'),
+      ...createContactValidation('sender')
+    ],
+    checks: []
+  },
+  {
+    step: 5,
+    name: 'recipient',
+    title: 'Recipient information',
+    fields: ['recipient'],
+    validations: [
+      body('recipient').isObject().withMessage('Recipient information is required'),
+      ...createContactValidation('recipient')
+    ],
+    checks: [
+      // The full addresses may have changed the countries chosen in step 1.
+      // The sender address is checked in step 4, so skip the check without it.
+      {
+        field: 'recipient.address.country',
+        run: data => data.sender?.address && shipmentService.validateAddresses(data)
+      }
+    ]
+  },
+  {
+    step: 6,
+    name: 'pickup',
+    title: 'Pickup location and date',
+    fields: ['pickup'],
+    validations: pickupValidation,
+    checks: [
+      { field: 'pickup.date', run: data => shipmentService.validatePickupDate(data.pickup.date) }
+    ]
+  },
+  {
+    step: 7,
+    name: 'insurance',
+    title: 'Insurance',
+    fields: ['insurance'],
+    validations: insuranceValidation,
+    checks: []
+  }
+];
+
+export const STEP_COUNT = SHIPMENT_STEPS.length;
@@ -0,0 +1,256 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../src/models/Payment.js';
+import Shipment from '../src/models/Shipment.js';
+import paymentService from '../src/services/paymentService.js';
+import invoiceService from '../src/services/invoiceService.js';
+import notificationService from '../src/services/notificationService.js';
+import mockProvider from '../src/services/paymentProviders/mockProvider.js';
+
+/**
+ * Check a stored document against a filter of equality, $in and $ne conditions
+ * @param {Object} doc - Document
+ * @param {Object} filter - Filter
+ * @returns {boolean} Whether every field matches
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = String(doc.get(key));
+  if (condition?.$in) {
+    return condition.$in.map(String).includes(value);
+  }
+  if (condition?.$ne !== undefined) {
+    return value !== String(condition.$ne);
+  }
+  return value === String(condition);
+});
+
+/**
+ * Apply the $set and $push parts of an update to a stored document
+ * @param {Object} doc - Document
+ * @param {Object} update - Update
+ * @returns {Object} Document
+ */
+const applyUpdate = (doc, update) => {
+  doc.set(update.$set);
+  doc.history.push(update.$push.history);
+  return doc;
+};
+
+/**
+ * Wrap a result so it can be awaited directly or through sort/select like a query
+ * @param {*} result - Query result
+ * @returns {Object} Query-like object
+ */
+const toQuery = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('mock card payment webhooks', () => {
+  let payments;
+  let shipment;
+
+  /**
+   * Build a webhook request signed by the mock provider
+   * @param {Object} body - Webhook body
+   * @param {string} [signature] - Signature to send instead of the real one
+   * @returns {Object} Webhook request details
+   */
+  const webhook = (body, signature) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return {
+      rawBody,
+      headers: { 'x-mock-signature': signature || mockProvider.signPayload(rawBody) },
+      body
+    };
+  };
+
+  before(() => {
+    process.env.MOCK_PAYMENT_SECRET = 'test_mock_secret';
+  });
+
+  beforeEach(() => {
+    payments = [];
+    mockProvider.reset();
+
+    shipment = new Shipment({
+      type: 'local',
+      isDraft: false,
+      status: 'pending',
+      trackingNumber: 'LOC-20250205-0000019',
+      sender: { name: 'Ada Obi', email: 'ada@example.com' },
+      packages: [{ weight: 2 }],
+      cost: { baseAmount: 5000, total: 5375, currency: 'NGN' }
+    });
+    mock.method(shipment, 'save', async function() {
+      return this;
+    });
+
+    // In-memory stand-ins for the queries the payment flow runs
+    mock.method(Payment, 'updateMany', async (filter, update) => {
+      const matched = payments.filter(payment => matches(payment, filter));
+      matched.forEach(payment => applyUpdate(payment, update));
+      return { modifiedCount: matched.length };
+    });
+    mock.method(Payment, 'exists', async filter => (
+      payments.some(payment => matches(payment, filter)) || null
+    ));
+    mock.method(Payment, 'findOne', filter => toQuery(
+      payments.find(payment => matches(payment, filter)) || null
+    ));
+    mock.method(Payment, 'findById', id => toQuery(
+      payments.find(payment => payment._id.equals(id)) || null
+    ));
+    mock.method(Payment, 'create', async (data) => {
+      const payment = new Payment(data);
+      await payment.validate();
+      payments.push(payment);
+      return payment;
+    });
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+      const payment = payments.find(item => matches(item, filter));
+      return payment ? applyUpdate(payment, update) : null;
+    });
+    mock.method(Shipment, 'findById', () => toQuery(shipment));
+    mock.method(notificationService, 'notifyAdmins', async () => []);
+    mock.method(invoiceService, 'issueInvoice', async () => ({}));
+    mock.method(invoiceService, 'toAttachment', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks the shipment paid after a signed success webhook', async () => {
+    const checkout = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+    assert.equal(checkout.provider, 'mock');
+    assert.equal(shipment.payment.status, 'pending');
+
+    const result = await paymentService.handleWebhook('mock', webhook({
+      event: 'payment.success',
+      data: { reference: checkout.reference, amount: 5375, currency: 'NGN' }
+    }));
+
+    assert.deepEqual(result, { handled: true, reason: undefined });
+    assert.equal(payments[0].status, 'completed');
+    assert.equal(shipment.payment.status, 'completed');
+    assert.equal(shipment.status, 'awaiting_pickup');
+  });
+
+  it('rejects a webhook with a bad signature and leaves the payment pending', async () => {
+    const checkout = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+
+    const body = {
+      event: 'payment.success',
+      data: { reference: checkout.reference, amount: 5375, currency: 'NGN' }
+    };
+    await assert.rejects(
+      paymentService.handleWebhook('mock', webhook(body, 'f'.repeat(128))),
+      { statusCode: 401, message: 'Invalid webhook signature' }
+    );
+
+    assert.equal(payments[0].status, 'pending');
+    assert.equal(shipment.status, 'pending');
+  });
+
+  it('rejects a success webhook that does not say how much was paid', async () => {
+    const checkout = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+
+    await assert.rejects(
+      paymentService.handleWebhook('mock', webhook({
+        event: 'payment.success',
+        data: { reference: checkout.reference }
+      })),
+      { statusCode: 400 }
+    );
+
+    assert.equal(payments[0].status, 'pending');
+    assert.equal(shipment.status, 'pending');
+  });
+
+  it('completes a replaced attempt that is paid while the shipment is unpaid', async () => {
+    const first = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+    await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+    assert.equal(payments[0].status, 'cancelled');
+
+    const result = await paymentService.handleWebhook('mock', webhook({
+      event: 'payment.success',
+      data: { reference: first.reference, amount: 5375, currency: 'NGN' }
+    }));
+
+    assert.equal(result.handled, true);
+    assert.equal(payments[0].status, 'completed');
+    assert.equal(payments[1].status, 'cancelled');
+    assert.ok(shipment.payment.paymentId.equals(payments[0]._id));
+    assert.equal(shipment.status, 'awaiting_pickup');
+  });
+
+  it('flags a replaced attempt for refund when another attempt was already paid', async () => {
+    const first = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+    const second = await paymentService.initializeCardPayment(shipment, {
+      email: 'ada@example.com',
+      provider: 'mock'
+    });
+    await paymentService.handleWebhook('mock', webhook({
+      event: 'payment.success',
+      data: { reference: second.reference, amount: 5375, currency: 'NGN' }
+    }));
+
+    const result = await paymentService.handleWebhook('mock', webhook({
+      event: 'payment.success',
+      data: { reference: first.reference, amount: 5375, currency: 'NGN' }
+    }));
+
+    assert.equal(result.handled, true);
+    assert.equal(payments[0].status, 'cancelled');
+    assert.equal(payments[0].refundRequired, true);
+    assert.equal(payments[1].status, 'completed');
+    assert.ok(shipment.payment.paymentId.equals(payments[1]._id));
+    assert.equal(notificationService.notifyAdmins.mock.callCount(), 1);
+  });
+
+  it('does not settle a payment made through another provider', async () => {
+    payments.push(new Payment({
+      shipmentId: shipment._id,
+      userId: new mongoose.Types.ObjectId(),
+      attempt: 1,
+      method: 'card',
+      status: 'pending',
+      provider: 'paystack',
+      reference: 'EA-paystack-1',
+      amount: 5375,
+      currency: 'NGN'
+    }));
+
+    const result = await paymentService.handleWebhook('mock', webhook({
+      event: 'payment.success',
+      data: { reference: 'EA-paystack-1', amount: 5375, currency: 'NGN' }
+    }));
+
+    assert.equal(result.handled, false);
+    assert.equal(payments[0].status, 'pending');
+  });
+});